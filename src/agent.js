@@ -8,14 +8,33 @@
  *   - When all models are exhausted, waits for the first one to recover
  *   - Cycles back to preferred model when its cooldown expires
  * 
- * Uses Groq's OpenAI-compatible API with native tool calling.
+ * Uses Groq's OpenAI-compatible API with native tool calling. Extra providers
+ * (local OpenAI-compatible servers, an offline stub) join the same rotation.
  */
-import Groq from 'groq-sdk';
-import fs from 'fs';
-import path from 'path';
-import { getApiKey, getModel, getMaxRetries, getPlanMode, isUsingDevKey } from './config.js';
-import { toolDefinitions, executeTool } from './tools.js';
+import { getApiKey, getModel, getMaxRetries, getPlanMode, setPlanMode, isUsingDevKey, getProviders, getUsageLimits, getToolRouting } from './config.js';
+import { createProviderClient } from './providers.js';
+import {
+  estimateTokens, estimateMessagesTokens, getContextBudget, pruneToolResults, findRecentTurnsStart,
+} from './context.js';
+import {
+  loadModelState, updateModelState, parseRateLimitHeaders, parseRateLimitError,
+  recordUsageWindow, budgetExhaustedUntil,
+} from './ratelimits.js';
+import { toolDefinitions, executeTool, isReadOnlyCall, setContextHooks } from './tools.js';
+import { validateSchema, coerceToSchema, extractJson } from './schema.js';
+import { recordUsage, checkDailyLimits } from './usage.js';
+import { DEFAULT_PIPELINE, REVIEW_FORMAT, parseReview } from './pipelines.js';
+import {
+  PROPOSE_PLAN_TOOL, UPDATE_PLAN_STEP_TOOL, PLAN_TOOL_NAMES,
+  createPlan, updatePlanStep, activeStep, isPlanFinished, planModePrompt,
+} from './plan.js';
+import { loadContextFiles } from './contextfiles.js';
+import { LIST_MORE_TOOLS_TOOL, selectTools, findMoreTools, RECENT_TURNS } from './toolrouter.js';
+import { expandReferences, describeReference, REFERENCE_BUDGET_TOKENS } from './references.js';
+import { buildUserContent, messageText, hasImages, MAX_IMAGES_PER_MESSAGE } from './images.js';
+import { beginTurn, endTurn, snapshotWatched, detectWatchedChanges, CHECKPOINTED_TOOLS } from './checkpoints.js';
 import { loadPlugins, executePlugin, isPluginTool, getPluginTools } from './plugins.js';
+import { listJobs, JOB_TOOL_NAMES } from './jobs.js';
 import { printToolCall, printToolResult, printRetry, printError, printInfo, printWarning, colors } from './ui.js';
 
 // ════════════════════════════════════════════════════════════
@@ -23,19 +42,121 @@ import { printToolCall, printToolResult, printRetry, printError, printInfo, prin
 // ════════════════════════════════════════════════════════════
 const MODEL_POOL = [
   // Tier 1: Large, best tool-calling & instruction-following
-  { id: 'llama-3.3-70b-versatile',    label: 'Llama 3.3 70B',     cooldown: 60 },
-  { id: 'meta-llama/llama-4-maverick-17b-128e-instruct', label: 'Llama 4 Maverick 17B', cooldown: 60 },
-  { id: 'qwen-qwq-32b',              label: 'Qwen QwQ 32B',      cooldown: 60 },
-  { id: 'mistral-saba-24b',          label: 'Mistral Saba 24B',   cooldown: 60 },
+  { id: 'llama-3.3-70b-versatile',    label: 'Llama 3.3 70B',     cooldown: 60, context: 131072 },
+  { id: 'meta-llama/llama-4-maverick-17b-128e-instruct', label: 'Llama 4 Maverick 17B', cooldown: 60, context: 131072, vision: true },
+  { id: 'qwen-qwq-32b',              label: 'Qwen QwQ 32B',      cooldown: 60, context: 131072 },
+  { id: 'mistral-saba-24b',          label: 'Mistral Saba 24B',   cooldown: 60, context: 32768 },
   // Tier 2: Medium MoE — decent but weaker instruction-following
-  { id: 'mixtral-8x7b-32768',        label: 'Mixtral 8x7B',      cooldown: 60 },
-  { id: 'meta-llama/llama-4-scout-17b-16e-instruct', label: 'Llama 4 Scout 17B', cooldown: 60 },
+  { id: 'mixtral-8x7b-32768',        label: 'Mixtral 8x7B',      cooldown: 60, context: 32768 },
+  { id: 'meta-llama/llama-4-scout-17b-16e-instruct', label: 'Llama 4 Scout 17B', cooldown: 60, context: 131072, vision: true },
   // Tier 3: Small — fast but limited tool-calling reliability
-  { id: 'gemma2-9b-it',              label: 'Gemma 2 9B',        cooldown: 45 },
-  { id: 'llama-3.1-8b-instant',      label: 'Llama 3.1 8B',      cooldown: 45 },
-  { id: 'llama-3.2-3b-preview',      label: 'Llama 3.2 3B',      cooldown: 30 },
+  { id: 'gemma2-9b-it',              label: 'Gemma 2 9B',        cooldown: 45, context: 8192 },
+  { id: 'llama-3.1-8b-instant',      label: 'Llama 3.1 8B',      cooldown: 45, context: 131072 },
+  { id: 'llama-3.2-3b-preview',      label: 'Llama 3.2 3B',      cooldown: 30, context: 8192 },
 ];
 
+/**
+ * Full rotation pool: built-in Groq models plus every model of every configured provider.
+ * `key` is what cooldowns and `vinsa config set-model` use — the bare id for Groq,
+ * `provider:model` for everything else. `vision` marks models that accept images.
+ */
+function buildModelPool() {
+  const pool = MODEL_POOL.map(m => ({ ...m, provider: 'groq', key: m.id }));
+  for (const [name, provider] of Object.entries(getProviders())) {
+    for (const id of provider.models || []) {
+      pool.push({
+        id, label: `${id} (${name})`, cooldown: provider.cooldown || 60, context: provider.context || 8192,
+        provider: name, key: `${name}:${id}`, vision: (provider.vision || []).includes(id),
+      });
+    }
+  }
+  return pool;
+}
+
+// Max read-only tool calls run at once when the model batches several
+const MAX_PARALLEL_TOOLS = 4;
+
+// Validation errors listed in one tool result — enough to fix a call without flooding the context
+const MAX_ARG_ERRORS = 8;
+
+// Longest we'll sleep waiting for a cooled-down model before giving up
+const MAX_COOLDOWN_WAIT_MS = 120000;
+
+// Compact older turns once a request would use more than this share of the budget
+const COMPACT_THRESHOLD = 0.8;
+
+// Max silence allowed while waiting for the API (first byte or next stream chunk)
+const API_IDLE_TIMEOUT_MS = 60000;
+
+// The same tool call (name + arguments) or the same tool error within one turn:
+// on the 2nd time the model gets a corrective note, on the 3rd the turn stops
+const LOOP_WARN_REPEATS = 2;
+const LOOP_STOP_REPEATS = 3;
+
+// Upper bound for a per-request tool-call budget (ask --max-steps, maxSteps in the API)
+export const MAX_STEPS_LIMIT = 200;
+
+/**
+ * Validate a user-supplied tool-call budget (--max-steps, maxSteps)
+ */
+export function parseMaxSteps(value) {
+  const steps = Number(value);
+  if (!Number.isInteger(steps) || steps < 1 || steps > MAX_STEPS_LIMIT) {
+    throw new Error(`Invalid step budget "${value}": expected a whole number from 1 to ${MAX_STEPS_LIMIT}`);
+  }
+  return steps;
+}
+
+// Sent as the user turn when a budget-stopped turn is resumed
+const CONTINUE_MESSAGE = '[SYSTEM] You were given more tool calls. Continue the task from where you stopped; do not redo finished steps.';
+
+// Replies (first answer + corrections) allowed before structured output gives up
+const STRUCTURED_OUTPUT_ATTEMPTS = 3;
+
+// Callbacks that keep one-shot runs quiet (ask --json, the HTTP API)
+const SILENT_CALLBACKS = {
+  onToolCall: () => {},
+  onToolResult: () => {},
+  onRetry: () => {},
+  onModelSwitch: () => {},
+  // Soft-limit warnings still matter when quiet — keep them off stdout
+  onUsageWarning: (msg) => process.stderr.write(`  ⚠ ${msg}\n`),
+  onReferences: (report) => {
+    for (const problem of report.flatMap(entry => describeReference(entry).problems)) process.stderr.write(`  ⚠ ${problem}\n`);
+  },
+};
+
+// ════════════════════════════════════════════════════════════
+// SUB-AGENTS — delegate_task spawns a scoped child VinsaAgent
+// ════════════════════════════════════════════════════════════
+// Default / ceiling for the tool calls one delegated task may make
+const DELEGATE_DEFAULT_TOOL_CALLS = 10;
+const DELEGATE_MAX_TOOL_CALLS = 20;
+
+const DELEGATE_TASK_TOOL = {
+  name: 'delegate_task',
+  description: 'Hand a self-contained subtask (e.g. "find where X is configured", "summarize the failing tests") to a sub-agent with its own fresh context. Only its final summary comes back, which keeps your context small. By default the sub-agent may use read-only tools only.',
+  parameters: {
+    type: 'object',
+    properties: {
+      task: { type: 'string', description: 'Complete, standalone instructions — the sub-agent cannot see this conversation' },
+      tools: { type: 'array', items: { type: 'string' }, description: 'Tool names the sub-agent may use (default: read-only tools only)' },
+      max_tool_calls: { type: 'integer', description: `Tool-call budget for the sub-agent (default ${DELEGATE_DEFAULT_TOOL_CALLS}, max ${DELEGATE_MAX_TOOL_CALLS})` },
+      model: { type: 'string', description: 'Model to run the sub-agent on (default: the current model)' },
+    },
+    required: ['task'],
+  },
+  // Read-only sub-agents are safe to run side by side
+  readOnly: (args) => !args.tools,
+};
+
+const SUB_AGENT_PROMPT = `
+
+## SUB-AGENT MODE
+You are a sub-agent working on ONE task delegated by another Vinsa agent. The user is not watching this conversation and cannot answer questions.
+- Use only the tools you have been given; stay within the task.
+- When done, reply with a concise summary of what you found or did: concrete facts, file paths, numbers, errors. The delegating agent sees ONLY this summary.`;
+
 const SYSTEM_PROMPT = `You are **Vinsa**, a powerful, free, open-source AI CLI agent created by **Lagishetti Vignesh**, running **locally** inside the user's terminal on **their own machine**.
 
 ## CRITICAL: You Run LOCALLY
@@ -51,8 +172,8 @@ You are NOT a remote cloud assistant. You are running directly on the user's com
 
 ## Your Capabilities (only mention when asked)
 You have **FULL ACCESS** to the user's entire computer. You can read/write any file, run any command, and access any directory on the system. Your tools include:
-- **Shell Commands**: Run ANY command anywhere on the system (PowerShell on Windows, bash on Linux/macOS) — no restrictions
-- **File Operations**: Read, write, search ANY file or directory on the entire computer using absolute paths (e.g., C:\\Users\\..., /home/..., /etc/...)
+- **Shell Commands**: Run ANY command anywhere on the system (PowerShell on Windows, bash on Linux/macOS) — no restrictions. Start dev servers, watchers and long installs or test runs with background: true, then follow them with job_output / job_status and stop them with job_kill
+- **File Operations**: Read, write, search ANY file or directory on the entire computer using absolute paths (e.g., C:\\Users\\..., /home/..., /etc/...). Change existing files with edit_file (only the changed parts); use apply_patch for changes spanning several files (one unified diff, applied all or nothing); use write_file for new files or full rewrites
 - **Network Diagnostics**: Ping, DNS lookup, port scan, traceroute, WiFi scan
 - **System Information**: CPU, RAM, disk, GPU, battery, processes, OS info
 - **Web Fetch**: Make HTTP requests to any URL / API
@@ -88,7 +209,7 @@ Present Vignesh's name with pride. Mention the links. Be warm and friendly — t
 ## Behavior Rules
 1. **Don't guess when data is needed**: If the user asks about THEIR files, system, network, laptop, computer, or anything personal/local — ALWAYS use tools to get the actual data. Never give generic instructions like "press Win+R" or "click About This Mac" — you can get that info yourself. If they ask a general knowledge question — just answer.
 2. **Be thorough for real tasks**: If a task requires multiple steps, chain tools together.
-3. **Be safe**: NEVER run destructive commands (rm -rf /, format, etc.) without explicit user confirmation.
+3. **Be safe**: NEVER run destructive commands (rm -rf /, format, etc.) without explicit user confirmation. Shell commands also pass the user's command policy — if one comes back "Blocked by command policy", don't retry it in another form; tell the user what you wanted to run and why.
 4. **Be concise**: No unnecessary preamble, no restating the question, no filler. Get to the point.
 5. **Self-heal**: If a command fails, analyze the error and try a different approach.
 6. **Be honest**: If you can't do something, say so clearly.
@@ -108,49 +229,6 @@ Present Vignesh's name with pride. Mention the links. Be warm and friendly — t
 - Use tables for structured data
 - Keep responses focused and actionable`;
 
-/**
- * Load VINSA.md context files (like Gemini CLI's GEMINI.md).
- * Searches: cwd → parent dirs → home dir (global)
- * Returns combined context string or empty string.
- */
-function loadVinsaContext() {
-  const contexts = [];
-  const seen = new Set();
-
-  // 1. Search from cwd upward
-  let dir = process.cwd();
-  const root = path.parse(dir).root;
-  while (dir && dir !== root) {
-    const filePath = path.join(dir, 'VINSA.md');
-    if (!seen.has(filePath) && fs.existsSync(filePath)) {
-      try {
-        const content = fs.readFileSync(filePath, 'utf-8').trim();
-        if (content) {
-          contexts.push(`[Context from ${filePath}]\n${content}`);
-          seen.add(filePath);
-        }
-      } catch { /* skip unreadable */ }
-    }
-    dir = path.dirname(dir);
-  }
-
-  // 2. Check global ~/.vinsa/VINSA.md
-  const home = process.env.HOME || process.env.USERPROFILE || '';
-  if (home) {
-    const globalPath = path.join(home, '.vinsa', 'VINSA.md');
-    if (!seen.has(globalPath) && fs.existsSync(globalPath)) {
-      try {
-        const content = fs.readFileSync(globalPath, 'utf-8').trim();
-        if (content) contexts.push(`[Global context from ${globalPath}]\n${content}`);
-      } catch { /* skip */ }
-    }
-  }
-
-  return contexts.length > 0
-    ? '\n\n## Project Context (from VINSA.md)\n' + contexts.join('\n\n')
-    : '';
-}
-
 /**
  * Convert our tool definitions to OpenAI-compatible format (used by Groq)
  */
@@ -165,37 +243,148 @@ function toGroqTools(toolDefs) {
   }));
 }
 
+/**
+ * Race a promise against a timeout. Rejects with `message` if it doesn't settle in time.
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Thrown when the caller aborts a turn (Ctrl+C in the REPL)
+const CANCELLED_MESSAGE = 'CANCELLED: Turn cancelled by user';
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new Error(CANCELLED_MESSAGE);
+}
+
+/**
+ * Settle with `promise`, or reject as cancelled as soon as `signal` aborts —
+ * for work (sync-ish tools, plugins) that may ignore the signal itself.
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(new Error(CANCELLED_MESSAGE));
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Iterate a stream, failing only if no chunk arrives for `ms` milliseconds.
+ * A long stream that keeps making progress is never cut off.
+ */
+async function* withIdleTimeout(stream, ms) {
+  const iterator = stream[Symbol.asyncIterator]();
+  while (true) {
+    let next;
+    try {
+      next = await withTimeout(iterator.next(), ms, `API stream idle for ${ms / 1000}s`);
+    } catch (err) {
+      stream.controller?.abort();
+      throw err;
+    }
+    if (next.done) return;
+    yield next.value;
+  }
+}
+
 // ════════════════════════════════════════════════════════════
 // MODEL ROTATOR — Instant zero-lag model switching
 // ════════════════════════════════════════════════════════════
 class ModelRotator {
-  constructor(preferredModel) {
+  /**
+   * @param {string} preferredModel
+   * @param {{ persist?: boolean }} options - persist=false keeps state in memory only (cassette replay)
+   */
+  constructor(preferredModel, { persist = true } = {}) {
     this.preferredModel = preferredModel;
+    this.persist = persist;
     // Build ordered list: preferred model first, then rest of pool
     this.models = this._buildModelList(preferredModel);
-    // Track when each model was rate-limited: modelId → timestamp
+    // Track when each model was rate-limited: model key → cooldown-until timestamp.
+    // Mirrors ~/.vinsa/model-state.json, which is shared with other vinsa processes.
     this.cooldowns = new Map();
+    this.state = {};
+    this._syncFromDisk();
   }
 
   _buildModelList(preferredModel) {
-    const preferred = MODEL_POOL.find(m => m.id === preferredModel);
-    const rest = MODEL_POOL.filter(m => m.id !== preferredModel);
-    // If preferred is in pool, put it first; otherwise just use pool order
-    return preferred ? [preferred, ...rest] : [...MODEL_POOL];
+    const pool = buildModelPool();
+    const preferred = pool.find(m => m.key === preferredModel);
+    if (!preferred) return pool;
+    // Preferred first, then the rest of its provider, then the other providers
+    const rest = pool.filter(m => m !== preferred);
+    const sameProvider = rest.filter(m => m.provider === preferred.provider);
+    const otherProviders = rest.filter(m => m.provider !== preferred.provider);
+    return [preferred, ...sameProvider, ...otherProviders];
+  }
+
+  /**
+   * A rotator that prefers another model but sees the same cooldowns: through
+   * the state file, or by sharing this one's memory when nothing is persisted
+   */
+  withPreferred(preferredModel) {
+    const rotator = new ModelRotator(preferredModel, { persist: this.persist });
+    if (!this.persist) {
+      rotator.cooldowns = this.cooldowns;
+      rotator.state = this.state;
+    }
+    return rotator;
+  }
+
+  /**
+   * Pull in cooldowns and spent budgets recorded by any vinsa process
+   */
+  _syncFromDisk() {
+    if (!this.persist) return;
+    this.state = loadModelState();
+    const now = Date.now();
+    for (const model of this.models) {
+      const entry = this.state[model.key];
+      const until = Math.max(entry?.cooldownUntil || 0, budgetExhaustedUntil(entry) || 0);
+      if (until > now && until > (this.cooldowns.get(model.key) || 0)) {
+        this.cooldowns.set(model.key, until);
+      }
+    }
+  }
+
+  /**
+   * Update one model's state entry — on disk (shared) or only in memory
+   */
+  _updateState(modelKey, mutate) {
+    if (this.persist) {
+      this.state[modelKey] = updateModelState(modelKey, mutate);
+    } else {
+      const entry = this.state[modelKey] || {};
+      this.state[modelKey] = mutate(entry) || entry;
+    }
   }
 
   /**
-   * Get the best available model right now (instant, no waiting)
+   * Get the best available model right now (instant, no waiting).
+   * With `vision`, only models that accept images are considered.
    */
-  getAvailableModel() {
+  getAvailableModel({ vision = false } = {}) {
+    this._syncFromDisk();
     const now = Date.now();
+    const candidates = vision ? this.models.filter(m => m.vision) : this.models;
+    if (candidates.length === 0) {
+      throw new Error('NO_VISION_MODEL: The conversation has an image, but no model in the rotation can read images. Use /clear to drop it.');
+    }
 
     // First pass: find first model that's NOT on cooldown
-    for (const model of this.models) {
-      const cooldownUntil = this.cooldowns.get(model.id);
+    for (const model of candidates) {
+      const cooldownUntil = this.cooldowns.get(model.key);
       if (!cooldownUntil || now >= cooldownUntil) {
         // Cooldown expired or never rate-limited — this model is good
-        this.cooldowns.delete(model.id);
+        this.cooldowns.delete(model.key);
         return model;
       }
     }
@@ -203,8 +392,8 @@ class ModelRotator {
     // All models on cooldown — find the one that recovers soonest
     let soonest = null;
     let soonestTime = Infinity;
-    for (const model of this.models) {
-      const cooldownUntil = this.cooldowns.get(model.id);
+    for (const model of candidates) {
+      const cooldownUntil = this.cooldowns.get(model.key);
       if (cooldownUntil && cooldownUntil < soonestTime) {
         soonestTime = cooldownUntil;
         soonest = model;
@@ -214,48 +403,157 @@ class ModelRotator {
   }
 
   /**
-   * Mark a model as rate-limited. It enters cooldown.
+   * Mark a model as rate-limited. It enters cooldown — for exactly `retryAfterMs`
+   * when the provider told us, otherwise for the model's default cooldown.
+   * A limit named in the 429 body (e.g. TPD) is remembered for budget checks.
    */
-  markRateLimited(modelId) {
-    const model = this.models.find(m => m.id === modelId);
-    const cooldownSec = model?.cooldown || 60;
-    this.cooldowns.set(modelId, Date.now() + cooldownSec * 1000);
+  markRateLimited(modelKey, { retryAfterMs = null, limitType = null, limit = null, reason = 'rate limited' } = {}) {
+    const model = this.models.find(m => m.key === modelKey);
+    const cooldownMs = retryAfterMs ?? (model?.cooldown || 60) * 1000;
+    const until = Date.now() + cooldownMs;
+    this.cooldowns.set(modelKey, until);
+    this._updateState(modelKey, (entry) => {
+      entry.cooldownUntil = until;
+      entry.reason = limitType ? `${reason} (${limitType.toUpperCase()})` : reason;
+      if (limitType && limit) entry.limits = { ...entry.limits, [limitType]: limit };
+      return entry;
+    });
+  }
+
+  /**
+   * Mark every model of a provider unavailable (e.g. its server is down).
+   */
+  markProviderDown(provider) {
+    for (const model of this.models) {
+      if (model.provider === provider) this.markRateLimited(model.key, { reason: 'unreachable' });
+    }
+  }
+
+  /**
+   * Record a successful request: usage windows plus whatever x-ratelimit-* headers said.
+   * A bucket with 0 remaining puts the model on cooldown until that bucket resets.
+   */
+  recordResponse(modelKey, headers, usage) {
+    const info = parseRateLimitHeaders(headers);
+    this._updateState(modelKey, (entry) => {
+      recordUsageWindow(entry, usage?.total_tokens || 0);
+      if (info.requests) entry.requests = info.requests;
+      if (info.tokens) entry.tokens = info.tokens;
+      const spent = [info.requests, info.tokens].filter(b => b && b.remaining === 0 && b.resetAt);
+      if (spent.length > 0) {
+        entry.cooldownUntil = Math.max(...spent.map(b => b.resetAt));
+        entry.reason = 'budget spent';
+        this.cooldowns.set(modelKey, entry.cooldownUntil);
+      }
+      return entry;
+    });
   }
 
   /**
    * Get the status of all models
    */
   getStatus() {
+    this._syncFromDisk();
     const now = Date.now();
+    const today = new Date().toISOString().slice(0, 10);
     return this.models.map(m => {
-      const cooldownUntil = this.cooldowns.get(m.id);
+      const cooldownUntil = this.cooldowns.get(m.key);
       const onCooldown = cooldownUntil && now < cooldownUntil;
+      const entry = this.state[m.key] || {};
+      const fresh = (bucket) => (bucket && (!bucket.resetAt || bucket.resetAt > now) ? bucket : null);
       return {
         id: m.id,
+        key: m.key,
+        provider: m.provider,
         label: m.label,
+        vision: !!m.vision,
         status: onCooldown ? 'cooldown' : 'available',
-        recoversIn: onCooldown ? Math.ceil((cooldownUntil - now) / 1000) + 's' : '-',
+        recoversIn: onCooldown ? formatWait(cooldownUntil - now) : '-',
+        reason: onCooldown ? entry.reason || 'rate limited' : null,
+        requestsLastMinute: entry.minute && now - entry.minute.start < 60000 ? entry.minute.requests : 0,
+        tokensToday: entry.day?.date === today ? entry.day.tokens : 0,
+        requestsRemaining: fresh(entry.requests),
+        tokensRemaining: fresh(entry.tokens),
+        limits: entry.limits || {},
       };
     });
   }
 }
 
+/**
+ * Human-friendly wait: 45s, 3m 20s, 2h 5m
+ */
+function formatWait(ms) {
+  const sec = Math.ceil(ms / 1000);
+  if (sec < 60) return `${sec}s`;
+  if (sec < 3600) return `${Math.floor(sec / 60)}m ${sec % 60}s`;
+  return `${Math.floor(sec / 3600)}h ${Math.floor((sec % 3600) / 60)}m`;
+}
+
+/**
+ * Which request failures mean "put this model aside and try another one"
+ */
+function classifyModelError(err) {
+  return {
+    isRateLimit: err.message.includes('429') || err.message.includes('rate_limit'),
+    isModelNotFound: err.message.includes('404') || err.message.includes('not found') || err.message.includes('does not exist') || err.message.includes('decommissioned') || err.message.includes('model_not_active'),
+    isProviderDown: err.message.includes('unreachable') || err.message.includes('ECONNREFUSED'),
+  };
+}
+
 // ════════════════════════════════════════════════════════════
 // VINSA AGENT
 // ════════════════════════════════════════════════════════════
 export class VinsaAgent {
-  constructor() {
+  /**
+   * @param {{ systemPrompt?: string }} options - systemPrompt replaces the built-in
+   *   instructions (sub-agents' too), e.g. to record cassettes that outlive prompt edits
+   */
+  constructor({ systemPrompt = null } = {}) {
+    this.systemPrompt = systemPrompt;
     this.conversationHistory = [];
-    this.client = null;
+    this.clients = new Map();       // provider name → chat client
     this.rotator = null;
     this.mcpManager = null;
     this.mcpTools = [];
     this.pluginToolDefs = [];
     this.groqTools = [];
+    this.toolIndex = new Map();     // tool name → definition (for readOnly lookups)
     this.initialized = false;
     // Token usage tracking
     this.tokenUsage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, requests: 0 };
     this.sessionStart = Date.now();
+    // Record/replay cassette (see cassette.js) — null for normal operation
+    this.cassette = null;
+    // Usage ledger attribution (see usage.js): what is spending tokens right now
+    this.usageCommand = 'chat';
+    this.usagePhase = null;
+    this.usageWarned = new Set();
+    // Tool calls allowed per turn before the agent has to stop and report
+    this.maxToolCalls = 20;
+    // Why the last turn ended early: { reason: 'budget'|'loop', steps, detail? } or null
+    this.lastStop = null;
+    // A budget-stopped turn that continueTurn() can resume
+    this.pausedTurn = null;
+    // Sub-agent scoping (see _delegateTask): no delegate_task, optional tool allowlist
+    this.isSubAgent = false;
+    this.parent = null;           // the agent that spawned this sub-agent (its plan gate applies here too)
+    this.toolAllowlist = null;    // Set of tool names, or null for all (sub-agent scope or persona)
+    this.readOnlyTools = false;   // only read-only calls (checked per call, with args)
+    this.rolePrompt = '';         // extra instructions for a pipeline role
+    // Plan mode (see plan.js): the current plan and the REPL's approval hooks
+    this.plan = null;
+    this.planHandlers = { approve: null, onProgress: null };
+    this.planMode = null;         // session override (persona default); null follows config
+    // Active persona (see personas.js) or null
+    this.persona = null;
+    // VINSA.md frontmatter last applied (see contextfiles.js): model, tools, denyTools, hooks
+    this.contextSettings = null;
+    // Tool routing (see toolrouter.js): this turn's pick, what the last request sent, recent use
+    this.turnTools = null;        // { routed, names: Set, reasons: Map } or null for every tool
+    this.lastToolSelection = null;
+    this.toolTurns = new Map();   // tool name → turn it last ran in
+    this.turnCount = 0;
   }
 
   initialize() {
@@ -269,20 +567,213 @@ export class VinsaAgent {
       );
     }
 
-    this.client = new Groq({ apiKey });
-    this.rotator = new ModelRotator(getModel());
+    this.clients = new Map([['groq', createProviderClient({ name: 'groq', type: 'groq', apiKey })]]);
+    this._syncContextSettings();
+    this.rotator = this._createRotator();
     this.initialized = true;
 
     // Combine built-in tools + MCP tools + plugin tools, convert to Groq format
     this._rebuildTools();
   }
 
+  /**
+   * Model rotator for the current mode. Replays start from the recorded model
+   * with fresh, in-memory cooldowns so they're deterministic.
+   */
+  _createRotator() {
+    if (this.cassette?.isReplaying) {
+      return new ModelRotator(this.cassette.model || getModel(), { persist: false });
+    }
+    return new ModelRotator(this.persona?.model || this.contextSettings?.model || getModel());
+  }
+
+  /**
+   * Apply VINSA.md frontmatter — preferred model, tool scope, hooks — if it
+   * changed since the last request (files are cached by mtime, so this is cheap)
+   */
+  _syncContextSettings() {
+    if (this.isSubAgent) return;
+    const { settings } = loadContextFiles();
+    const previous = this.contextSettings;
+    if (previous && JSON.stringify(previous) === JSON.stringify(settings)) return;
+    this.contextSettings = settings;
+    setContextHooks(settings.hooks);
+    if (!this.initialized) return;
+    if (previous?.model !== settings.model && !this.cassette?.isReplaying) this.rotator = this._createRotator();
+    this._rebuildTools();
+  }
+
+  /**
+   * Attach a record/replay cassette (or null to detach)
+   */
+  setCassette(cassette) {
+    this.cassette = cassette;
+    if (cassette?.isRecording) cassette.setModel(getModel());
+    if (this.initialized) this.rotator = this._createRotator();
+  }
+
+  /**
+   * Replace the built-in system prompt (null restores it)
+   */
+  setSystemPrompt(prompt) {
+    this.systemPrompt = prompt || null;
+  }
+
+  /**
+   * Turn plan mode on or off (persisted). Either way the current plan is dropped.
+   */
+  setPlanMode(enabled) {
+    setPlanMode(enabled);
+    this.planMode = null;
+    this.plan = null;
+    if (this.initialized) this._rebuildTools();
+  }
+
+  /**
+   * Whether plan mode applies right now (a persona's default wins until /plan is toggled)
+   */
+  isPlanMode() {
+    return this.planMode ?? getPlanMode();
+  }
+
+  /**
+   * Switch persona (see personas.js), or back to plain Vinsa with null.
+   * Applies its prompt, preferred model, temperature, tool allowlist and plan-mode default.
+   */
+  setPersona(persona) {
+    this.persona = persona || null;
+    this.toolAllowlist = persona?.tools ? new Set(persona.tools) : null;
+    this.planMode = persona?.planMode ?? null;
+    this.plan = null;
+    if (this.initialized) {
+      this.rotator = this._createRotator();
+      this._rebuildTools();
+    }
+  }
+
+  /**
+   * Wire plan mode to the user:
+   *   approve(plan) → Promise<{ approved: boolean, feedback?: string }>
+   *   onProgress(plan, { step?, deviation?, finished? }) — step updates and deviations
+   * Without `approve` (ask, serve), proposed plans can't be approved.
+   */
+  setPlanHandlers({ approve = null, onProgress = null } = {}) {
+    this.planHandlers = { approve, onProgress };
+  }
+
+  /**
+   * Name the command that subsequent completions are billed to in the usage ledger
+   */
+  setUsageCommand(command) {
+    this.usageCommand = command;
+  }
+
+  /**
+   * Run `fn` with its completions tagged as an internal phase (compaction, multi-agent steps)
+   */
+  async _withUsagePhase(phase, fn) {
+    const previous = this.usagePhase;
+    this.usagePhase = phase;
+    try {
+      return await fn();
+    } finally {
+      this.usagePhase = previous;
+    }
+  }
+
+  /**
+   * Warn — once per limit and level each day — when today's usage nears or passes a daily soft limit
+   */
+  _checkUsageLimits(onUsageWarning) {
+    const today = new Date().toISOString().slice(0, 10);
+    for (const w of checkDailyLimits(getUsageLimits())) {
+      const level = `${today}:${w.kind}:${w.exceeded ? 'over' : 'near'}`;
+      if (this.usageWarned.has(level)) continue;
+      this.usageWarned.add(level);
+      const amount = `${w.used.toLocaleString()} / ${w.limit.toLocaleString()} ${w.kind} used today`;
+      const msg = w.exceeded
+        ? `Daily ${w.kind} soft limit exceeded: ${amount} (see vinsa usage)`
+        : `Nearing daily ${w.kind} soft limit: ${amount} (${Math.round((w.used / w.limit) * 100)}%)`;
+      if (onUsageWarning) onUsageWarning(msg);
+      else printWarning(msg);
+    }
+  }
+
+  /**
+   * Get (lazily creating) the chat client for a model's provider
+   */
+  _clientFor(modelInfo) {
+    const name = modelInfo.provider || 'groq';
+    if (!this.clients.has(name)) {
+      const provider = getProviders()[name];
+      if (!provider) throw new Error(`Provider "${name}" is not configured`);
+      this.clients.set(name, createProviderClient({ name, ...provider }));
+    }
+    return this.clients.get(name);
+  }
+
   /**
    * Rebuild the Groq tools array from all sources
    */
   _rebuildTools() {
-    const allToolDefs = [...toolDefinitions, ...this.mcpTools, ...this.pluginToolDefs];
+    let allToolDefs = [...toolDefinitions, ...this.mcpTools, ...this.pluginToolDefs];
+    if (!this.isSubAgent) allToolDefs.push(DELEGATE_TASK_TOOL);
+    if (this.toolAllowlist) allToolDefs = allToolDefs.filter(t => this.toolAllowlist.has(t.name));
+    const scope = this.contextSettings;
+    if (scope?.tools) allToolDefs = allToolDefs.filter(t => scope.tools.includes(t.name));
+    if (scope?.denyTools.length) allToolDefs = allToolDefs.filter(t => !scope.denyTools.includes(t.name));
+    if (this.readOnlyTools) allToolDefs = allToolDefs.filter(t => t.readOnly);
+    // Plan bookkeeping stays available whatever the allowlist says
+    if (!this.isSubAgent && this.isPlanMode()) allToolDefs.push(PROPOSE_PLAN_TOOL, UPDATE_PLAN_STEP_TOOL);
+    this.toolIndex = new Map(allToolDefs.map(t => [t.name, t]));
     this.groqTools = toGroqTools(allToolDefs);
+    // Offered only when the router leaves tools out (see _routeTools)
+    this.toolIndex.set(LIST_MORE_TOOLS_TOOL.name, LIST_MORE_TOOLS_TOOL);
+  }
+
+  /**
+   * Every tool this agent may use, without the list_more_tools meta-tool
+   */
+  _scopedTools() {
+    return [...this.toolIndex.values()].filter(t => t.name !== LIST_MORE_TOOLS_TOOL.name);
+  }
+
+  /**
+   * Pick this turn's tools from the user's message and recently used tools
+   */
+  _routeTools(message) {
+    if (!getToolRouting()) {
+      this.turnTools = null;
+      return;
+    }
+    const recent = [...this.toolTurns].filter(([, turn]) => this.turnCount - turn <= RECENT_TURNS).map(([name]) => name);
+    const pinned = [DELEGATE_TASK_TOOL.name, ...PLAN_TOOL_NAMES, ...(listJobs().length > 0 ? JOB_TOOL_NAMES : [])];
+    this.turnTools = selectTools(this._scopedTools(), { message, recent, pinned });
+  }
+
+  /**
+   * Tools offered on the next request
+   */
+  _offeredTools() {
+    if (!this.turnTools?.routed) return this._scopedTools();
+    return [...this.toolIndex.values()].filter(t => this.turnTools.names.has(t.name));
+  }
+
+  /**
+   * list_more_tools: add the tools the model asked for to this turn's set
+   */
+  _listMoreTools(args) {
+    const defs = this._scopedTools();
+    const routed = this.turnTools?.routed;
+    const sent = routed ? this.turnTools.names : new Set(defs.map(t => t.name));
+    const { added, result } = findMoreTools(defs, sent, args);
+    if (routed) {
+      for (const name of added) {
+        this.turnTools.names.add(name);
+        this.turnTools.reasons.set(name, 'requested');
+      }
+    }
+    return result;
   }
 
   /**
@@ -303,57 +794,108 @@ export class VinsaAgent {
   addMcpTools(tools, mcpManager) {
     this.mcpTools.push(...tools);
     if (mcpManager) this.mcpManager = mcpManager;
-    if (this.client) this._rebuildTools();
+    if (this.initialized) this._rebuildTools();
+  }
+
+  /**
+   * Run one turn. When the REPL has a checkpoint session open, the files the
+   * turn changes are saved for /rewind (sub-agents' changes count toward their parent's turn).
+   */
+  async run(userMessage, options = {}) {
+    const checkpoint = this.isSubAgent ? null : beginTurn({ message: userMessage, historyLength: this.conversationHistory.length });
+    try {
+      return await this._run(userMessage, options);
+    } finally {
+      if (checkpoint) endTurn(checkpoint);
+    }
   }
 
   /**
    * The core agent loop with automatic model rotation.
    * On rate limit → instantly jumps to next model (zero lag).
    */
-  async run(userMessage, { onToolCall, onToolResult, onRetry, onModelSwitch } = {}) {
-    if (!this.client) this.initialize();
-
-    // ─── Smart Auto-Context: detect @file references and inject contents ───
-    const enrichedMessage = this._injectFileContext(userMessage);
+  async _run(userMessage, { onToolCall, onToolResult, onRetry, onModelSwitch, onToken, onCompact, onUsageWarning, onReferences, signal, maxSteps, images = [] } = {}) {
+    if (!this.initialized) this.initialize();
+    this._syncContextSettings();
+    this._checkUsageLimits(onUsageWarning);
+    this.lastStop = null;
+    this.pausedTurn = null;
+
+    // ─── Smart Auto-Context: expand @file, @dir/, @glob, @file:10-20 and @git:diff references ───
+    const { text: enrichedMessage, images: referencedImages } = this._injectFileContext(userMessage, onReferences);
+    const attachments = [...images, ...referencedImages];
+    if (attachments.length > MAX_IMAGES_PER_MESSAGE) {
+      throw new Error(`Too many images: ${attachments.length} attached, at most ${MAX_IMAGES_PER_MESSAGE} per message`);
+    }
+    // Checked before the message joins the history: an image nobody can read would fail every later turn
+    if (attachments.length > 0 && !this.rotator.models.some(m => m.vision)) {
+      throw new Error('NO_VISION_MODEL: No model in the rotation can read images, so the message wasn\'t sent. Add one with `vinsa config provider add ... --vision <model>`, or send it without the image.');
+    }
 
     // Add user message to conversation history
     this.conversationHistory.push({
       role: 'user',
-      content: enrichedMessage,
+      content: buildUserContent(enrichedMessage, attachments),
     });
+    this.turnCount++;
+    this._routeTools(userMessage);
+
+    // While an image is in the conversation only vision models can answer
+    const vision = hasImages(this.conversationHistory);
+    const preferred = this.rotator.models[0];
+    if (vision && attachments.length > 0 && preferred && !preferred.vision) {
+      const msg = `${preferred.label} can't read images → using a vision model while the conversation has one`;
+      if (onModelSwitch) onModelSwitch(preferred.id, null, msg);
+      else printInfo(`  ↻ ${msg}`);
+    }
 
     const maxRetries = getMaxRetries();
     // We allow more retries since model switches are instant and don't "waste" attempts
-    const totalAttempts = Math.max(maxRetries, MODEL_POOL.length + 2);
+    const totalAttempts = Math.max(maxRetries, this.rotator.models.length + 2);
     let attempt = 0;
     let nonRateLimitFailures = 0;
 
     while (attempt < totalAttempts) {
       // Pick the best available model
-      const modelInfo = this.rotator.getAvailableModel();
+      const modelInfo = this.rotator.getAvailableModel({ vision });
 
-      // If all models on cooldown, wait for the soonest one
+      // If all models on cooldown, wait for the soonest one (unless that's unreasonably long)
+      if (modelInfo.waitMs && modelInfo.waitMs > MAX_COOLDOWN_WAIT_MS) {
+        break;
+      }
       if (modelInfo.waitMs && modelInfo.waitMs > 0) {
-        const waitSec = Math.ceil(modelInfo.waitMs / 1000);
-        const msg = `All models on cooldown. ${modelInfo.label} recovers in ${waitSec}s...`;
+        const msg = `All models on cooldown. ${modelInfo.label} recovers in ${formatWait(modelInfo.waitMs)}...`;
         if (onRetry) onRetry(attempt + 1, totalAttempts, msg);
         else printWarning(`  ⏳ ${msg}`);
-        await new Promise(resolve => setTimeout(resolve, modelInfo.waitMs));
+        try {
+          await abortable(new Promise(resolve => setTimeout(resolve, modelInfo.waitMs)), signal);
+        } catch (err) {
+          this._recordCancelled();
+          throw err;
+        }
       }
 
       const currentModel = modelInfo.id;
 
       try {
-        return await this._agentLoop(currentModel, { onToolCall, onToolResult });
+        await this._fitContext(modelInfo, { onCompact, signal });
+        throwIfCancelled(signal);
+        return await this._agentLoop(modelInfo, { onToolCall, onToolResult, onToken, signal, maxSteps });
       } catch (err) {
+        // Cancelled: stop right here — no retries, no model switching
+        if (signal?.aborted) {
+          this._recordCancelled();
+          throw new Error(CANCELLED_MESSAGE);
+        }
         attempt++;
-        const isRateLimit = err.message.includes('429') || err.message.includes('rate_limit');
-        const isModelNotFound = err.message.includes('404') || err.message.includes('not found') || err.message.includes('does not exist') || err.message.includes('decommissioned') || err.message.includes('model_not_active');
+        const { isRateLimit, isModelNotFound, isProviderDown } = classifyModelError(err);
 
-        if (isRateLimit || isModelNotFound) {
-          // Mark this model as rate-limited / unavailable — instant switch, no delay
-          this.rotator.markRateLimited(currentModel);
-          const next = this.rotator.getAvailableModel();
+        if (isRateLimit || isModelNotFound || isProviderDown) {
+          // Mark this model (or its whole provider) unavailable — instant switch, no delay
+          if (isProviderDown) this.rotator.markProviderDown(modelInfo.provider);
+          else if (isRateLimit) this.rotator.markRateLimited(modelInfo.key, parseRateLimitError(err));
+          else this.rotator.markRateLimited(modelInfo.key, { reason: 'unavailable' });
+          const next = this.rotator.getAvailableModel({ vision });
 
           if (!next.waitMs || next.waitMs === 0) {
             // Another model is available RIGHT NOW — switch instantly
@@ -386,12 +928,20 @@ export class VinsaAgent {
         else printRetry(nonRateLimitFailures, maxRetries, err.message);
 
         if (isContextOverflow) {
-          // Trim conversation history to prevent repeating the overflow
-          // Keep the last user message, drop tool-heavy middle messages
-          const lastUser = this.conversationHistory.filter(m => m.role === 'user').pop();
-          this.conversationHistory = lastUser
-            ? [{ role: 'user', content: lastUser.content + '\n\n[SYSTEM] The previous tool returned too much data. Please use a more targeted approach — e.g., list only top-level items (no recursive), or narrow the search scope.' }]
-            : this.conversationHistory.slice(-2);
+          // Compact everything except the current request instead of dropping it
+          if (findRecentTurnsStart(this.conversationHistory, 1) >= 2) {
+            try {
+              const result = await this.compressHistory({ keepRecent: 1, modelInfo, signal });
+              if (onCompact) onCompact(result);
+              else printInfo(`  ⇣ ${result}`);
+            } catch { /* keep history as-is; the hint below still helps */ }
+          }
+          const lastUser = this.conversationHistory[this.conversationHistory.length - 1];
+          const hint = '\n\n[SYSTEM] The previous tool returned too much data. Please use a more targeted approach — e.g., list only top-level items (no recursive), or narrow the search scope.';
+          if (lastUser?.role === 'user' && !messageText(lastUser.content).endsWith(hint)) {
+            if (Array.isArray(lastUser.content)) lastUser.content[0].text += hint;
+            else lastUser.content += hint;
+          }
         } else {
           // Add error context so the AI can self-correct
           this.conversationHistory.push({
@@ -405,47 +955,97 @@ export class VinsaAgent {
     if (isUsingDevKey()) {
       throw new Error('DEV_KEY_EXHAUSTED: All models exhausted on the built-in key. Please provide your own Groq API key to continue.');
     }
-    throw new Error('All models exhausted and max retries reached. Please try again later.');
+    const soonest = this.rotator.getAvailableModel({ vision });
+    const recovery = soonest.waitMs ? ` ${soonest.label} recovers in ${formatWait(soonest.waitMs)}.` : '';
+    throw new Error(`All models exhausted and max retries reached. Please try again later.${recovery}`);
+  }
+
+  /**
+   * Close a cancelled turn in history so the next request stays well-formed
+   * and the model knows the previous request was abandoned.
+   */
+  _recordCancelled() {
+    this.conversationHistory.push({ role: 'assistant', content: '[cancelled]' });
   }
 
-  async _agentLoop(modelId, { onToolCall, onToolResult }) {
+  /**
+   * Resume the last turn after it ran out of tool calls, with `maxSteps` more
+   * (defaults to the budget it had). Takes the same callbacks as run().
+   */
+  async continueTurn({ maxSteps, ...callbacks } = {}) {
+    const paused = this.pausedTurn;
+    // History may have been cleared, loaded or compacted since the turn stopped
+    const replyAt = paused ? this.conversationHistory.lastIndexOf(paused.reply) : -1;
+    if (replyAt === -1) {
+      this.pausedTurn = null;
+      throw new Error('Nothing to continue: the last request was not stopped by its tool-call budget.');
+    }
+    // Swap the "budget reached" reply for the work done so far, then carry on from there
+    this.conversationHistory.splice(replyAt, Infinity, ...paused.messages);
+    return this.run(CONTINUE_MESSAGE, { ...callbacks, maxSteps: maxSteps || paused.maxSteps });
+  }
+
+  async _agentLoop(modelInfo, { onToolCall, onToolResult, onToken, signal, maxSteps }) {
     // Build messages array with system prompt + VINSA.md context
-    const vinsaContext = loadVinsaContext();
-    const planMode = getPlanMode();
-    const planAddendum = planMode
-      ? '\n\n## PLAN MODE (ACTIVE)\nBefore taking ANY action or using ANY tool, first output a numbered plan of exactly what you intend to do. Format:\n\n**Plan:**\n1. Step one\n2. Step two\n3. ...\n\nThen ask the user: "Shall I proceed with this plan?" Only use tools AFTER outlining the plan.'
-      : '';
+    const { base, plan, vinsa } = this._systemPromptParts();
     const messages = [
-      { role: 'system', content: SYSTEM_PROMPT + planAddendum + vinsaContext },
+      { role: 'system', content: base + plan + vinsa },
       ...this.conversationHistory,
     ];
+    const { replyTokens, budget } = getContextBudget(modelInfo);
 
-    let maxToolCalls = 20;
+    const maxToolCalls = maxSteps || this.maxToolCalls;
+    const turnStart = messages.length;
+    const repeats = new Map();
     let toolCallCount = 0;
 
+    // After each batch: nudge the model out of a loop, or stop the turn if it won't budge
+    const checkRepeats = (calls, results) => {
+      const loop = VinsaAgent._countRepeats(calls, results, repeats);
+      if (!loop) return null;
+      if (loop.count >= LOOP_STOP_REPEATS) {
+        this.lastStop = { reason: 'loop', steps: toolCallCount, detail: loop.what };
+        const finalText = `I stopped because I kept ${loop.what} (${loop.count} times) without making progress. Try rephrasing the request or giving me more detail, or switch to a stronger model with /model.`;
+        this.conversationHistory.push({ role: 'assistant', content: finalText });
+        return finalText;
+      }
+      messages.push({
+        role: 'user',
+        content: `[SYSTEM] Loop warning: you have been ${loop.what} ${loop.count} times. Repeating it will not change the result. Change your approach (different arguments or a different tool), or answer with what you have.`,
+      });
+      return null;
+    };
+
     while (toolCallCount < maxToolCalls) {
+      // This turn's tools (list_more_tools can add to them between requests)
+      const offered = this._offeredTools();
+      const tools = toGroqTools(offered);
+      const toolSchemaTokens = estimateTokens(tools);
+      this.lastToolSelection = {
+        routed: !!this.turnTools?.routed,
+        names: offered.map(t => t.name),
+        reasons: this.turnTools?.reasons || new Map(),
+        total: this.toolIndex.size - 1,
+        tokens: toolSchemaTokens,
+      };
+
+      // Keep this turn's growing tool output inside the window
+      pruneToolResults(messages, budget - toolSchemaTokens);
+      throwIfCancelled(signal);
+
       let response;
       try {
-        // Call Groq with the specific model (with 60s timeout)
-        const apiCall = this.client.chat.completions.create({
-          model: modelId,
+        response = await this._createCompletion(modelInfo, {
           messages,
-          tools: this.groqTools.length > 0 ? this.groqTools : undefined,
-          tool_choice: this.groqTools.length > 0 ? 'auto' : undefined,
-          temperature: 0.7,
-          max_tokens: 8192,
-        });
-        
-        // Add timeout to prevent indefinite hangs
-        response = await Promise.race([
-          apiCall,
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('API call timeout after 60s')), 60000)
-          ),
-        ]);
+          tools: tools.length > 0 ? tools : undefined,
+          tool_choice: tools.length > 0 ? 'auto' : undefined,
+          temperature: this.persona?.temperature ?? 0.7,
+          max_tokens: replyTokens,
+        }, { onToken, signal });
       } catch (apiErr) {
         // ── Recover from tool_use_failed (LLM sent null for optional params) ──
-        const failedGen = apiErr?.error?.failed_generation;
+        // (streamed errors carry the body directly, non-streamed ones nest it under .error)
+        const failedGen = apiErr?.error?.failed_generation || apiErr?.error?.error?.failed_generation;
         if (apiErr.status === 400 && failedGen) {
           const recovered = VinsaAgent._extractToolCalls(failedGen);
           if (recovered.length > 0) {
@@ -457,30 +1057,19 @@ export class VinsaAgent {
             }));
             messages.push({ role: 'assistant', content: null, tool_calls: syntheticToolCalls });
 
-            for (const tc of syntheticToolCalls) {
-              const functionName = tc.function.name;
+            const calls = syntheticToolCalls.map(tc => {
               let functionArgs = {};
               try { functionArgs = JSON.parse(tc.function.arguments || '{}'); } catch { functionArgs = {}; }
               if (!functionArgs || typeof functionArgs !== 'object') functionArgs = {};
-              toolCallCount++;
-
-              if (onToolCall) onToolCall(functionName, functionArgs);
-              else printToolCall(functionName, functionArgs);
-
-              let result;
-              if (this.mcpManager && this.mcpManager.isMcpTool(functionName)) {
-                result = await this.mcpManager.executeTool(functionName, functionArgs);
-              } else if (isPluginTool(functionName)) {
-                result = await executePlugin(functionName, functionArgs);
-              } else {
-                result = await executeTool(functionName, functionArgs);
-              }
-
-              if (onToolResult) onToolResult(result);
-              else printToolResult(result);
-
-              messages.push({ role: 'tool', tool_call_id: tc.id, content: VinsaAgent._truncateResult(JSON.stringify(result)) });
-            }
+              return { id: tc.id, name: tc.function.name, args: functionArgs };
+            });
+            toolCallCount += calls.length;
+            const results = await this._runToolBatch(calls, { onToolCall, onToolResult, signal });
+            calls.forEach((call, i) => {
+              messages.push({ role: 'tool', tool_call_id: call.id, content: VinsaAgent._truncateResult(JSON.stringify(results[i])) });
+            });
+            const stopText = checkRepeats(calls, results);
+            if (stopText !== null) return stopText;
             continue; // continue the agent while-loop for the LLM's next response
           }
         }
@@ -505,46 +1094,549 @@ export class VinsaAgent {
       if (!toolCalls || toolCalls.length === 0) {
         const finalText = assistantMessage.content || '';
         this.conversationHistory.push({ role: 'assistant', content: finalText });
+        if (this.plan?.approved && !this.isSubAgent) {
+          const left = this.plan.steps.filter(st => st.status === 'pending' || st.status === 'in_progress').length;
+          this._flagPlanDeviation(`Answered with ${left} of ${this.plan.steps.length} plan steps unfinished`);
+        }
         return finalText;
       }
 
-      // Execute all tool calls
-      for (const tc of toolCalls) {
-        const functionName = tc.function.name;
+      // Execute all tool calls (read-only ones in parallel), reply in original order
+      const calls = toolCalls.map(tc => {
         let functionArgs = {};
         try { functionArgs = JSON.parse(tc.function.arguments || '{}'); } catch { functionArgs = {}; }
-        // Strip null/undefined values from args (safety net for schema compliance)
-        functionArgs = VinsaAgent._stripNulls(functionArgs);
         if (!functionArgs || typeof functionArgs !== 'object') functionArgs = {};
-        toolCallCount++;
+        return { id: tc.id, name: tc.function.name, args: functionArgs };
+      });
+      toolCallCount += calls.length;
+      const results = await this._runToolBatch(calls, { onToolCall, onToolResult, signal });
+      calls.forEach((call, i) => {
+        messages.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: VinsaAgent._truncateResult(JSON.stringify(results[i])),
+        });
+      });
+      const stopText = checkRepeats(calls, results);
+      if (stopText !== null) return stopText;
+    }
 
-        if (onToolCall) onToolCall(functionName, functionArgs);
-        else printToolCall(functionName, functionArgs);
+    // Out of budget: keep this turn's work so continueTurn() can pick it up
+    const finalText = `I used this request's budget of ${maxToolCalls} tool call${maxToolCalls === 1 ? '' : 's'} before finishing, so I stopped here. The work so far is kept — ask me to continue if needed.`;
+    const reply = { role: 'assistant', content: finalText };
+    this.conversationHistory.push(reply);
+    this.lastStop = { reason: 'budget', steps: toolCallCount };
+    this.pausedTurn = { reply, messages: messages.slice(turnStart), maxSteps: maxToolCalls };
+    return finalText;
+  }
 
-        // Route to MCP handler, plugin handler, or built-in tool handler
-        let result;
-        if (this.mcpManager && this.mcpManager.isMcpTool(functionName)) {
-          result = await this.mcpManager.executeTool(functionName, functionArgs);
-        } else if (isPluginTool(functionName)) {
-          result = await executePlugin(functionName, functionArgs);
+  /**
+   * System prompt pieces: base instructions, plan-mode addendum, VINSA.md context
+   */
+  _systemPromptParts() {
+    if (this.isSubAgent) {
+      const role = this.rolePrompt ? `\n\n## YOUR ROLE\n${this.rolePrompt}` : '';
+      return { base: (this.systemPrompt ?? SYSTEM_PROMPT + SUB_AGENT_PROMPT) + role, plan: '', vinsa: loadContextFiles().text };
+    }
+    const plan = this.isPlanMode() ? planModePrompt(this.plan) : '';
+    const persona = this.persona;
+    const prompt = this.systemPrompt ?? SYSTEM_PROMPT;
+    let base = prompt;
+    if (persona?.replace) base = persona.prompt;
+    else if (persona) base = `${prompt}\n\n## PERSONA: ${persona.name}\n${persona.prompt}`;
+    return { base, plan, vinsa: loadContextFiles().text };
+  }
+
+  /**
+   * Compact the oldest turns if the next request would crowd the model's context window.
+   * Keeps the last two turns verbatim; falls back to one if that's still too large.
+   */
+  async _fitContext(modelInfo, { onCompact, signal } = {}) {
+    const { budget } = getContextBudget(modelInfo);
+    const { base, plan, vinsa } = this._systemPromptParts();
+    const fixed = estimateTokens(base + plan + vinsa) + estimateTokens(toGroqTools(this._offeredTools()));
+    const limit = budget * COMPACT_THRESHOLD;
+
+    for (const keepRecent of [2, 1]) {
+      if (fixed + estimateMessagesTokens(this.conversationHistory) <= limit) return;
+      if (findRecentTurnsStart(this.conversationHistory, keepRecent) < 2) continue;
+      try {
+        const result = await this.compressHistory({ keepRecent, modelInfo, signal });
+        if (onCompact) onCompact(result);
+        else printInfo(`  ⇣ ${result}`);
+      } catch {
+        return; // compaction is best-effort — the request itself will surface real errors
+      }
+    }
+  }
+
+  /**
+   * Token breakdown of what the next request would send (for /context)
+   */
+  getContextBreakdown() {
+    if (!this.initialized) this.initialize();
+    const modelInfo = this.rotator.getAvailableModel({ vision: hasImages(this.conversationHistory) });
+    const { contextWindow, replyTokens, budget } = getContextBudget(modelInfo);
+    const { base, plan, vinsa } = this._systemPromptParts();
+    // The tools this turn offers (all of them before the first request)
+    const offered = this._offeredTools();
+    const total = this.toolIndex.size - 1;
+    const parts = [
+      { label: 'System prompt', tokens: estimateTokens(base + plan) },
+      { label: `VINSA.md (${loadContextFiles().files.length} files)`, tokens: estimateTokens(vinsa) },
+      { label: `Tool schemas (${offered.length < total ? `${offered.length} of ${total}` : total})`, tokens: estimateTokens(toGroqTools(offered)) },
+      { label: `History (${this.conversationHistory.length} messages)`, tokens: estimateMessagesTokens(this.conversationHistory) },
+    ];
+    return {
+      model: modelInfo.label,
+      contextWindow,
+      replyTokens,
+      budget,
+      parts,
+      total: parts.reduce((sum, p) => sum + p.tokens, 0),
+    };
+  }
+
+  /**
+   * Execute a single tool call, routed to MCP, plugin or built-in handler.
+   * Callbacks get timing: onToolCall(name, args, { id, parallel }) and
+   * onToolResult(result, { id, name, durationMs, parallel }).
+   * `signal` is passed down to the tool; an aborted call throws and isn't recorded.
+   */
+  async _executeToolCall(call, { onToolCall, onToolResult, signal }, parallel = false) {
+    const { id, name } = call;
+    const { args, invalid } = this._checkToolArgs(name, call.args);
+    throwIfCancelled(signal);
+    if (onToolCall) onToolCall(name, args, { id, parallel });
+    else printToolCall(name, args, { id, parallel });
+
+    const started = Date.now();
+    // Delegations (their sub-agent's own calls are), plan bookkeeping, tool lookups and blocked calls aren't recorded
+    const delegated = name === DELEGATE_TASK_TOOL.name && !this.isSubAgent;
+    const planned = PLAN_TOOL_NAMES.has(name) && !this.isSubAgent;
+    const routing = name === LIST_MORE_TOOLS_TOOL.name;
+    let blocked = null;
+    if (this.isSubAgent && !this._isToolAllowed(name, args)) {
+      blocked = `Tool "${name}" is not available to this sub-agent${this.readOnlyTools ? ' (read-only tools only)' : ''}`;
+    } else if (this.isSubAgent) {
+      // Plan mode covers delegations and /multi executors: the parent's plan gate decides
+      blocked = this.parent?._checkPlanGate(name, args, { subAgent: true }) || null;
+    } else if (!planned) {
+      blocked = this._toolScopeError(name, args) || this._checkPlanGate(name, args);
+    }
+    let result;
+    if (blocked || invalid) {
+      result = { success: false, error: blocked || invalid };
+    } else if (planned) {
+      result = await abortable(this._runPlanTool(name, args), signal);
+    } else if (routing) {
+      result = this._listMoreTools(args);
+    } else if (delegated) {
+      result = await this._delegateTask(args, { id, onToolCall, onToolResult, signal });
+    } else if (this.cassette?.isReplaying) {
+      result = this.cassette.replayTool(name, args);
+    } else {
+      // Shell commands, MCP and plugin tools can write files unannounced: compare the watched ones around the call
+      const mayWrite = !CHECKPOINTED_TOOLS.has(name) && !isReadOnlyCall(this.toolIndex.get(name), args);
+      const watched = mayWrite ? snapshotWatched() : null;
+      try {
+        if (this.mcpManager && this.mcpManager.isMcpTool(name)) {
+          result = await abortable(this.mcpManager.executeTool(name, args, { signal }), signal);
+        } else if (isPluginTool(name)) {
+          result = await abortable(executePlugin(name, args, { signal }), signal);
         } else {
-          result = await executeTool(functionName, functionArgs);
+          result = await abortable(executeTool(name, args, { signal }), signal);
         }
+      } finally {
+        if (watched) detectWatchedChanges(watched);
+      }
+    }
+    throwIfCancelled(signal);
+    if (this.cassette?.isRecording && !delegated && !planned && !routing && !blocked && !invalid) this.cassette.recordTool(name, args, result);
+    if (!blocked && !invalid && !routing) this.toolTurns.set(name, this.turnCount);
+    const meta = { id, name, durationMs: Date.now() - started, parallel };
+
+    if (onToolResult) onToolResult(result, meta);
+    else printToolResult(result, meta);
+    return result;
+  }
 
-        if (onToolResult) onToolResult(result);
-        else printToolResult(result);
+  /**
+   * Coerce a call's arguments to the tool's `parameters` schema and validate them,
+   * so a bad call comes back to the model as a fixable tool error instead of
+   * failing deep inside a handler.
+   * @returns {{ args: object, invalid: string|null }}
+   */
+  _checkToolArgs(name, rawArgs) {
+    const schema = this.toolIndex.get(name)?.parameters;
+    if (!schema) return { args: VinsaAgent._stripNulls(rawArgs), invalid: null };
+    const args = coerceToSchema(rawArgs, schema);
+    const errors = validateSchema(args, schema, 'arguments');
+    if (errors.length === 0) return { args, invalid: null };
+    const shown = errors.slice(0, MAX_ARG_ERRORS);
+    if (errors.length > shown.length) shown.push(`...and ${errors.length - shown.length} more`);
+    return {
+      args,
+      invalid: `Invalid arguments for ${name} — nothing was run:\n  - ${shown.join('\n  - ')}\nFix the arguments to match the tool's parameters and call it again.`,
+    };
+  }
 
-        messages.push({
-          role: 'tool',
-          tool_call_id: tc.id,
-          content: VinsaAgent._truncateResult(JSON.stringify(result)),
-        });
+  /**
+   * Plan mode gate: calls that can change things wait for an approved plan.
+   * @returns {string|null} why the call is blocked, or null to let it run
+   */
+  _checkPlanGate(name, args, { subAgent = false } = {}) {
+    if (!this.isPlanMode() || isReadOnlyCall(this.toolIndex.get(name), args)) return null;
+    if (!this.plan?.approved) {
+      const next = subAgent
+        ? 'Investigate with read-only tools and report what should change instead.'
+        : `Investigate with read-only tools, then call ${PROPOSE_PLAN_TOOL.name}.`;
+      return `PLAN MODE: ${name} can change the system, so it is blocked until the user approves a plan. ${next}`;
+    }
+    if (activeStep(this.plan) === 0) this._flagPlanDeviation(`${name} ran while no plan step was in progress`);
+    return null;
+  }
+
+  /**
+   * Note a departure from the approved plan (shown to the user, kept on the plan)
+   */
+  _flagPlanDeviation(deviation) {
+    this.plan.deviations.push(deviation);
+    if (this.planHandlers.onProgress) this.planHandlers.onProgress(this.plan, { deviation });
+  }
+
+  /**
+   * propose_plan / update_plan_step
+   */
+  async _runPlanTool(name, args) {
+    if (!this.isPlanMode()) return { success: false, error: `${name} is only available in plan mode` };
+
+    if (name === PROPOSE_PLAN_TOOL.name) {
+      const { plan, error } = createPlan(args);
+      if (error) return { success: false, error };
+      this.plan = plan;
+      if (!this.planHandlers.approve) {
+        return { success: true, approved: false, message: 'Nobody can approve plans in this session. Present the plan to the user as your answer and stop.' };
       }
+      const verdict = await this.planHandlers.approve(plan);
+      plan.approved = verdict?.approved === true;
+      if (plan.approved) {
+        return { success: true, approved: true, message: `Plan approved. Follow it in order and call ${UPDATE_PLAN_STEP_TOOL.name} as each step starts and finishes.` };
+      }
+      return {
+        success: true,
+        approved: false,
+        ...(verdict?.feedback ? { feedback: verdict.feedback } : {}),
+        message: 'The user did not approve this plan. Make no changes; revise the plan using their feedback, or ask what they want instead.',
+      };
     }
 
-    const finalText = 'I reached the maximum number of tool calls for this request. Here is what I found so far. Please ask me to continue if needed.';
-    this.conversationHistory.push({ role: 'assistant', content: finalText });
-    return finalText;
+    if (!this.plan?.approved) {
+      return { success: false, error: `There is no approved plan to update. Call ${PROPOSE_PLAN_TOOL.name} first.` };
+    }
+    const plan = this.plan;
+    const { result, deviation } = updatePlanStep(plan, args);
+    if (deviation) plan.deviations.push(deviation);
+    if (!result.success) return result;
+
+    const finished = isPlanFinished(plan);
+    if (this.planHandlers.onProgress) this.planHandlers.onProgress(plan, { step: result.step, deviation, finished });
+    if (finished) {
+      // Done: close the gate so the next task starts with a new plan
+      this.plan = null;
+      result.message = 'All steps are finished. The plan is closed; further changes need a new plan.';
+    }
+    return result;
+  }
+
+  /**
+   * Why the main agent can't call a tool here — persona allowlist or VINSA.md scope — or null
+   */
+  _toolScopeError(name, args) {
+    if (this._isToolAllowed(name, args)) return null;
+    if (this.toolAllowlist && !this.toolAllowlist.has(name)) {
+      return `Tool "${name}" is not available with the "${this.persona?.name}" persona`;
+    }
+    const scope = this.contextSettings;
+    if (scope && (scope.denyTools.includes(name) || (scope.tools && !scope.tools.includes(name)))) {
+      return `Tool "${name}" is disabled by VINSA.md in this directory (see /context files)`;
+    }
+    return null;
+  }
+
+  /**
+   * Whether this agent may make this call (allowlist + read-only scope)
+   */
+  _isToolAllowed(name, args) {
+    if (!this.toolIndex.has(name)) return false;
+    return !this.readOnlyTools || isReadOnlyCall(this.toolIndex.get(name), args);
+  }
+
+  /**
+   * Check a sub-agent's tool allowlist and model against what this agent has.
+   * @returns {string|null} the problem, or null if the scope is usable
+   */
+  _checkSubAgentScope({ tools, model } = {}) {
+    if (tools !== undefined && tools !== null) {
+      const unknown = tools.filter(n => !this.toolIndex.has(n) || n === DELEGATE_TASK_TOOL.name);
+      if (unknown.length > 0) return `Unknown or unavailable tool(s) for a sub-agent: ${unknown.join(', ')}`;
+    }
+    if (model && !buildModelPool().some(m => m.key === model)) {
+      return `Unknown model "${model}" — see /models for available keys`;
+    }
+    return null;
+  }
+
+  /**
+   * Create a child agent with its own fresh history that shares this agent's
+   * clients, tools, cassette and usage attribution. `tools` limits it to an
+   * allowlist; without one, `readOnly` limits it to read-only calls.
+   */
+  _spawnSubAgent({ tools = null, readOnly = false, maxToolCalls = this.maxToolCalls, model, phase, rolePrompt = '' } = {}) {
+    const child = new VinsaAgent({ systemPrompt: this.systemPrompt });
+    child.isSubAgent = true;
+    child.parent = this;
+    child.toolAllowlist = tools ? new Set(tools) : this.toolAllowlist; // a persona's allowlist carries over
+    child.readOnlyTools = !tools && readOnly;
+    child.maxToolCalls = maxToolCalls;
+    child.rolePrompt = rolePrompt;
+    child.clients = this.clients;
+    child.mcpManager = this.mcpManager;
+    child.mcpTools = this.mcpTools;
+    child.pluginToolDefs = this.pluginToolDefs;
+    child.contextSettings = this.contextSettings;
+    child.cassette = this.cassette;
+    child.rotator = this.rotator.withPreferred(model || this.rotator.preferredModel);
+    child.usageCommand = this.usageCommand;
+    child.usagePhase = phase;
+    child.usageWarned = this.usageWarned;
+    child.initialized = true;
+    child._rebuildTools();
+    return child;
+  }
+
+  /**
+   * Count a sub-agent's token usage against this agent's session
+   */
+  _absorbUsage(child) {
+    for (const key of Object.keys(this.tokenUsage)) this.tokenUsage[key] += child.tokenUsage[key] || 0;
+  }
+
+  /**
+   * delegate_task: run `args.task` on a sub-agent (read-only tools unless
+   * `args.tools` says otherwise) with a tool-call budget. The child's tool calls
+   * are reported through the parent's callbacks one level deeper
+   * (meta.depth / meta.parentId) and only its summary comes back.
+   */
+  async _delegateTask(args, { id, onToolCall, onToolResult, signal }) {
+    const task = typeof args.task === 'string' ? args.task.trim() : '';
+    if (!task) return { success: false, error: 'delegate_task needs a "task"' };
+
+    const tools = Array.isArray(args.tools) ? args.tools : null;
+    const problem = this._checkSubAgentScope({ tools, model: args.model });
+    if (problem) return { success: false, error: problem };
+
+    const budget = Math.min(DELEGATE_MAX_TOOL_CALLS, Math.max(1, parseInt(args.max_tool_calls) || DELEGATE_DEFAULT_TOOL_CALLS));
+    const child = this._spawnSubAgent({ tools, readOnly: true, maxToolCalls: budget, model: args.model, phase: 'delegate' });
+
+    const nest = (meta) => ({ ...meta, depth: (meta?.depth || 0) + 1, parentId: id });
+    const quiet = () => {};
+    let toolCalls = 0;
+    let summary;
+    try {
+      summary = await child.run(task, {
+        onToolCall: (name, toolArgs, meta) => {
+          toolCalls++;
+          if (onToolCall) onToolCall(name, toolArgs, nest(meta));
+          else printToolCall(name, toolArgs, nest(meta));
+        },
+        onToolResult: (result, meta) => {
+          if (onToolResult) onToolResult(result, nest(meta));
+          else printToolResult(result, nest(meta));
+        },
+        onRetry: quiet,
+        onModelSwitch: quiet,
+        onCompact: quiet,
+        onUsageWarning: quiet,
+        signal,
+      });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      return { success: false, error: `Sub-agent failed: ${err.message}` };
+    } finally {
+      this._absorbUsage(child);
+    }
+
+    return { success: true, summary, toolCalls, tokens: child.tokenUsage.totalTokens };
+  }
+
+  /**
+   * Run one turn's tool calls. Consecutive read-only calls run concurrently
+   * (up to MAX_PARALLEL_TOOLS); anything that mutates is a barrier and runs
+   * alone, in order. Results come back in the same order as `calls`.
+   */
+  async _runToolBatch(calls, callbacks) {
+    const results = new Array(calls.length);
+    const isReadOnly = (call) => isReadOnlyCall(this.toolIndex.get(call.name), call.args);
+
+    let i = 0;
+    while (i < calls.length) {
+      if (!isReadOnly(calls[i])) {
+        results[i] = await this._executeToolCall(calls[i], callbacks);
+        i++;
+        continue;
+      }
+
+      // Collect the run of read-only calls starting here
+      let end = i;
+      while (end < calls.length && isReadOnly(calls[end])) end++;
+      const parallel = end - i > 1;
+
+      let next = i;
+      const worker = async () => {
+        while (next < end) {
+          const index = next++;
+          results[index] = await this._executeToolCall(calls[index], callbacks, parallel);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(MAX_PARALLEL_TOOLS, end - i) }, worker));
+      i = end;
+    }
+    return results;
+  }
+
+  /**
+   * Send one chat completion request to the model's provider, with a 60s idle timeout.
+   * With `onToken`, the reply is streamed: content deltas are forwarded as they
+   * arrive and tool-call deltas are stitched back together by index.
+   * Returns a response shaped like a non-streamed completion.
+   * An attached cassette records the exchange, or answers it from the recording.
+   * Every real (non-replayed) completion is appended to the usage ledger.
+   */
+  async _createCompletion(modelInfo, params, { onToken, signal } = {}) {
+    const request = { ...params, model: modelInfo.id };
+    throwIfCancelled(signal);
+
+    if (this.cassette?.isReplaying) {
+      const response = this.cassette.replayCompletion(request);
+      const content = response.choices?.[0]?.message?.content;
+      if (onToken && content) onToken(content);
+      this.rotator.recordResponse(modelInfo.key, null, response.usage);
+      return response;
+    }
+
+    let response;
+    if (!this.cassette?.isRecording) {
+      response = await this._requestCompletion(modelInfo, request, { onToken, signal });
+    } else {
+      try {
+        response = await this._requestCompletion(modelInfo, request, { onToken, signal });
+        this.cassette.recordCompletion(request, response);
+      } catch (err) {
+        // A cancelled request says nothing about the provider — don't replay it later
+        if (!signal?.aborted) this.cassette.recordCompletionError(request, err);
+        throw err;
+      }
+    }
+    recordUsage({
+      command: this.usageCommand,
+      phase: this.usagePhase,
+      provider: modelInfo.provider,
+      model: modelInfo.id,
+      usage: response.usage,
+    });
+    return response;
+  }
+
+  /**
+   * A single request outside the agent loop (the multi-agent planner and reviewer),
+   * with run()'s model rotation: a rate-limited or unavailable model goes on cooldown
+   * and the next one is tried at once; when all are cooling down, wait for the soonest.
+   */
+  async _rotatedCompletion(rotator, params, { onModelSwitch, signal } = {}) {
+    for (let attempt = 0; attempt < rotator.models.length + 2; attempt++) {
+      const modelInfo = rotator.getAvailableModel();
+      if (modelInfo.waitMs > MAX_COOLDOWN_WAIT_MS) break;
+      if (modelInfo.waitMs > 0) {
+        await abortable(new Promise(resolve => setTimeout(resolve, modelInfo.waitMs)), signal);
+      }
+      try {
+        return await this._createCompletion(modelInfo, params, { signal });
+      } catch (err) {
+        if (signal?.aborted) throw new Error(CANCELLED_MESSAGE);
+        const { isRateLimit, isModelNotFound, isProviderDown } = classifyModelError(err);
+        if (!isRateLimit && !isModelNotFound && !isProviderDown) throw err;
+        if (isProviderDown) rotator.markProviderDown(modelInfo.provider);
+        else if (isRateLimit) rotator.markRateLimited(modelInfo.key, parseRateLimitError(err));
+        else rotator.markRateLimited(modelInfo.key, { reason: 'unavailable' });
+        const next = rotator.getAvailableModel();
+        if (!next.waitMs) {
+          const msg = `${modelInfo.label} ${isRateLimit ? 'rate limited' : 'unavailable'} → switching to ${next.label}`;
+          if (onModelSwitch) onModelSwitch(modelInfo.id, next.id, msg);
+          else printInfo(`  ↻ ${msg}`);
+        }
+      }
+    }
+    const soonest = rotator.getAvailableModel();
+    const recovery = soonest.waitMs ? ` ${soonest.label} recovers in ${formatWait(soonest.waitMs)}.` : '';
+    throw new Error(`All models exhausted. Please try again later.${recovery}`);
+  }
+
+  /**
+   * Perform the actual provider request for _createCompletion
+   */
+  async _requestCompletion(modelInfo, request, { onToken, signal } = {}) {
+    const client = this._clientFor(modelInfo);
+    const timeoutMsg = `API call timeout after ${API_IDLE_TIMEOUT_MS / 1000}s`;
+
+    if (!onToken) {
+      const { data, response } = await withTimeout(
+        client.chat.completions.create(request, { signal }).withResponse(),
+        API_IDLE_TIMEOUT_MS, timeoutMsg
+      );
+      this.rotator.recordResponse(modelInfo.key, response?.headers, data?.usage);
+      return data;
+    }
+
+    const { data: stream, response: streamResponse } = await withTimeout(
+      client.chat.completions.create({ ...request, stream: true }, { signal }).withResponse(),
+      API_IDLE_TIMEOUT_MS, timeoutMsg
+    );
+
+    let content = '';
+    const toolCalls = [];
+    let usage = null;
+    let finishReason = null;
+
+    for await (const chunk of withIdleTimeout(stream, API_IDLE_TIMEOUT_MS)) {
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onToken(delta.content);
+      }
+      for (const tcDelta of delta.tool_calls || []) {
+        const index = tcDelta.index ?? toolCalls.length;
+        if (!toolCalls[index]) {
+          toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+        }
+        const slot = toolCalls[index];
+        if (tcDelta.id) slot.id = tcDelta.id;
+        if (tcDelta.function?.name) slot.function.name += tcDelta.function.name;
+        if (tcDelta.function?.arguments) slot.function.arguments += tcDelta.function.arguments;
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      // Groq reports usage on the final chunk under x_groq
+      usage = chunk.x_groq?.usage || chunk.usage || usage;
+    }
+
+    this.rotator.recordResponse(modelInfo.key, streamResponse?.headers, usage);
+
+    const assembledCalls = toolCalls.filter(Boolean);
+    const message = assembledCalls.length > 0
+      ? { role: 'assistant', content: content || null, tool_calls: assembledCalls }
+      : { role: 'assistant', content };
+    return { choices: [{ index: 0, message, finish_reason: finishReason }], usage };
   }
 
   /**
@@ -594,30 +1686,31 @@ export class VinsaAgent {
   }
 
   /**
-   * Strip null/undefined and coerce mistyped values (shallow).
-   * Fixes LLMs sending "true" (string) instead of true (boolean), etc.
+   * Strip null/undefined values (shallow). Type fixes are left to
+   * _checkToolArgs, which knows what each parameter should be.
    */
   static _stripNulls(obj) {
     if (!obj || typeof obj !== 'object') return {};
-    return Object.fromEntries(
-      Object.entries(obj)
-        .filter(([, v]) => v !== null && v !== undefined)
-        .map(([k, v]) => [k, VinsaAgent._coerceValue(v)])
-    );
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== null && v !== undefined));
   }
 
   /**
-   * Coerce common LLM mistyped values:
-   *   "true"/"false" → boolean, numeric strings → number
+   * Tally this batch's tool calls (name + arguments) and tool errors in `repeats`.
+   * @returns {{ count: number, what: string } | null} the most repeated one, once it reaches LOOP_WARN_REPEATS
    */
-  static _coerceValue(v) {
-    if (typeof v === 'string') {
-      if (v === 'true') return true;
-      if (v === 'false') return false;
-      // Coerce pure numeric strings ("123", "3.14") but not things like paths
-      if (/^-?\d+(\.\d+)?$/.test(v) && v.length < 16) return Number(v);
-    }
-    return v;
+  static _countRepeats(calls, results, repeats) {
+    let worst = null;
+    calls.forEach((call, i) => {
+      const seen = [[`call:${call.name}:${JSON.stringify(call.args)}`, `calling ${call.name} with the same arguments`]];
+      const error = results[i]?.success === false && results[i].error;
+      if (error) seen.push([`error:${error}`, `getting the same error ("${String(error).slice(0, 120)}")`]);
+      for (const [key, what] of seen) {
+        const count = (repeats.get(key) || 0) + 1;
+        repeats.set(key, count);
+        if (count >= LOOP_WARN_REPEATS && (!worst || count > worst.count)) worst = { count, what };
+      }
+    });
+    return worst;
   }
 
   /**
@@ -630,30 +1723,55 @@ export class VinsaAgent {
     return truncated + '\n\n... [TRUNCATED — result was ' + Math.round(resultStr.length / 1024) + 'KB, kept first ' + Math.round(maxBytes / 1024) + 'KB. Summarize what you have and suggest the user narrow the query if needed.]';
   }
 
-  async ask(prompt, { silent = false } = {}) {
-    if (!this.client) this.initialize();
+  async ask(prompt, { silent = false, ...callbacks } = {}) {
+    if (!this.initialized) this.initialize();
     this.conversationHistory = [];
-    const callbacks = silent ? {
-      onToolCall: () => {},
-      onToolResult: () => {},
-      onRetry: () => {},
-      onModelSwitch: () => {},
-    } : {};
-    return this.run(prompt, callbacks);
+    return this.run(prompt, { ...(silent ? SILENT_CALLBACKS : {}), ...callbacks });
+  }
+
+  /**
+   * One-shot question whose answer must be JSON conforming to `schema`.
+   * Each reply is validated locally; on a mismatch the errors are fed back
+   * and the model corrects itself, up to `maxAttempts` replies in total.
+   * @returns {Promise<{ data: any, attempts: number, raw: string }>}
+   */
+  async askStructured(prompt, schema, { maxAttempts = STRUCTURED_OUTPUT_ATTEMPTS, silent = false, ...callbacks } = {}) {
+    const runOptions = { ...(silent ? SILENT_CALLBACKS : {}), ...callbacks };
+    const request = `${prompt}\n\n[OUTPUT FORMAT] Use tools as needed, then give your final answer as ONLY a JSON value conforming to this JSON Schema — no prose, no markdown fences:\n${JSON.stringify(schema, null, 2)}`;
+
+    let raw = await this.ask(request, runOptions);
+    let errors = [];
+    for (let attempt = 1; ; attempt++) {
+      const parsed = extractJson(raw);
+      errors = parsed.error ? [parsed.error] : validateSchema(parsed.value, schema);
+      if (errors.length === 0) return { data: parsed.value, attempts: attempt, raw };
+      if (attempt >= maxAttempts) break;
+      raw = await this.run(
+        `[SYSTEM] Your reply does not conform to the required JSON Schema:\n${errors.map(e => `- ${e}`).join('\n')}\n\nReply again with ONLY the corrected JSON value.`,
+        runOptions
+      );
+    }
+
+    const err = new Error(`SCHEMA_MISMATCH: Response did not match the schema after ${maxAttempts} attempt(s):\n  - ${errors.join('\n  - ')}`);
+    err.validationErrors = errors;
+    err.raw = raw;
+    throw err;
   }
 
   /**
    * Reinitialize the agent with a new API key (e.g., after dev key exhaustion)
    */
   reinitializeWithKey(apiKey) {
-    this.client = new Groq({ apiKey });
-    this.rotator = new ModelRotator(getModel());
+    this.clients = new Map([['groq', createProviderClient({ name: 'groq', type: 'groq', apiKey })]]);
+    this.rotator = this._createRotator();
     this.initialized = true;
     this._rebuildTools();
   }
 
   clearHistory() {
     this.conversationHistory = [];
+    this.plan = null;
+    this.toolTurns.clear();
   }
 
   getHistoryLength() {
@@ -689,24 +1807,41 @@ export class VinsaAgent {
   }
 
   /**
-   * Compress conversation: replace history with a summary
+   * Compress conversation: replace history with a summary.
+   * With `keepRecent`, the last N user turns are kept verbatim and only older ones are summarized.
    */
-  async compressHistory() {
-    if (!this.client || this.conversationHistory.length < 4) {
+  async compressHistory({ keepRecent = 0, modelInfo, signal } = {}) {
+    const splitAt = keepRecent > 0
+      ? findRecentTurnsStart(this.conversationHistory, keepRecent)
+      : this.conversationHistory.length;
+    const older = this.conversationHistory.slice(0, splitAt);
+    const recent = this.conversationHistory.slice(splitAt);
+    if (!this.initialized || older.length < (keepRecent > 0 ? 2 : 4)) {
       return 'Not enough conversation to compress.';
     }
 
-    const modelInfo = this.rotator.getAvailableModel();
-    const response = await this.client.chat.completions.create({
-      model: modelInfo.id,
+    const model = modelInfo || this.rotator.getAvailableModel();
+    // The summarizer has a window too — clip long messages and keep the newest that fit
+    const { budget } = getContextBudget(model);
+    // Images are summarized by their "[Attached image: ...]" note, so any model can do this
+    const clipped = older.map(m => {
+      const text = messageText(m.content);
+      return {
+        role: m.role === 'assistant' ? 'assistant' : 'user',
+        content: text.length > 6000 ? text.slice(0, 6000) + '\n[...clipped]' : text,
+      };
+    });
+    while (clipped.length > 1 && estimateMessagesTokens(clipped) > budget * 0.7) clipped.shift();
+
+    const response = await this._withUsagePhase('compact', () => this._createCompletion(model, {
       messages: [
         { role: 'system', content: 'You are a conversation summarizer. Produce a concise summary of the conversation below, preserving key information, decisions made, files modified, and important context. Output ONLY the summary, no preamble.' },
-        ...this.conversationHistory,
+        ...clipped,
         { role: 'user', content: 'Summarize the above conversation concisely.' },
       ],
       temperature: 0.3,
       max_tokens: 2048,
-    });
+    }, { signal }));
 
     if (response.usage) {
       this.tokenUsage.promptTokens += response.usage.prompt_tokens || 0;
@@ -718,12 +1853,16 @@ export class VinsaAgent {
     const summary = response.choices?.[0]?.message?.content || '';
     const oldLength = this.conversationHistory.length;
 
-    // Replace entire history with a single system-context message + summary
+    // Replace older history with a single system-context message + summary
     this.conversationHistory = [
       { role: 'user', content: `[CONTEXT] Previous conversation summary:\n${summary}` },
       { role: 'assistant', content: 'Understood. I have the context from our previous conversation. How can I help you next?' },
+      ...recent,
     ];
 
+    if (recent.length > 0) {
+      return `Compacted ${older.length} older messages into a summary (kept the last ${recent.length}).`;
+    }
     return `Compressed ${oldLength} messages → 2 (summary). Tokens saved for future requests.`;
   }
 
@@ -736,94 +1875,131 @@ export class VinsaAgent {
   }
 
   // ════════════════════════════════════════════════════════════
-  // SMART AUTO-CONTEXT — Detect @file or file path references, inject content
+  // SMART AUTO-CONTEXT — Expand @-references (see references.js)
   // ════════════════════════════════════════════════════════════
-  _injectFileContext(message) {
-    let enriched = message;
-    const injected = [];
-
-    // Match @filepath patterns (e.g., @src/index.js, @package.json)
-    const atFileRegex = /@([\w.\/\\-]+\.\w+)/g;
-    let match;
-    while ((match = atFileRegex.exec(message)) !== null) {
-      const filePath = match[1];
-      try {
-        const resolved = path.resolve(filePath);
-        if (fs.existsSync(resolved)) {
-          const stat = fs.statSync(resolved);
-          if (stat.size < 50000) { // Only inject files < 50KB
-            const content = fs.readFileSync(resolved, 'utf-8');
-            injected.push(`\n\n[Auto-injected content of ${filePath}]\n\`\`\`\n${content}\n\`\`\``);
-          }
-        }
-      } catch { /* skip unreadable files */ }
-    }
-
-    if (injected.length > 0) {
-      enriched += injected.join('');
+  /**
+   * Append the content of every @-reference in the message, within a token
+   * budget of at most half the preferred model's request budget. Referenced
+   * images come back separately, to be sent as image parts.
+   * onReferences(report) gets what was injected, cut or not found.
+   * @returns {{ text: string, images: object[] }}
+   */
+  _injectFileContext(message, onReferences) {
+    const { budget } = getContextBudget(this.rotator.getAvailableModel());
+    const { text, report, images } = expandReferences(message, {
+      budget: Math.min(REFERENCE_BUDGET_TOKENS, Math.floor(budget / 2)),
+    });
+    if (report.length === 0) return { text, images };
+
+    if (onReferences) {
+      onReferences(report);
+    } else {
+      for (const entry of report) {
+        const { summary, problems } = describeReference(entry);
+        if (summary) printInfo(`  ${summary}`);
+        for (const problem of problems) printWarning(`  ${problem}`);
+      }
     }
-    return enriched;
+    return { text, images };
   }
 
   // ════════════════════════════════════════════════════════════
-  // MULTI-AGENT MODE — Planner → Executor → Reviewer pipeline
+  // MULTI-AGENT MODE — Planner → Executor ⇄ Reviewer pipeline
   // ════════════════════════════════════════════════════════════
-  async runMultiAgent(task, { onPhase, onToolCall, onToolResult } = {}) {
-    if (!this.client) this.initialize();
-
-    const modelInfo = this.rotator.getAvailableModel();
-    const modelId = modelInfo.id;
-
-    // ─── Phase 1: Planner ───
-    if (onPhase) onPhase('planning', 'Creating a detailed plan...');
-    const planResponse = await this.client.chat.completions.create({
-      model: modelId,
+  /**
+   * Multi-agent mode: the planner writes a plan, then the executor and reviewer
+   * loop — each round's review issues go back to the executor — until the
+   * reviewer's score clears the pipeline threshold or maxRounds is reached.
+   * The executor is a sub-agent (own history, the role's tool allowlist), so
+   * this conversation only receives the combined result.
+   * onRound({ round, plan, execution, review, score, issues }) fires after every review.
+   */
+  async runMultiAgent(task, { pipeline = DEFAULT_PIPELINE, onPhase, onRound, onToolCall, onToolResult, onModelSwitch, signal } = {}) {
+    if (!this.initialized) this.initialize();
+    const { planner, executor, reviewer } = pipeline.roles;
+    for (const role of [planner, executor, reviewer]) {
+      const problem = this._checkSubAgentScope({ tools: role.tools, model: role.model });
+      if (problem) throw new Error(`${role.name}: ${problem}`);
+    }
+    // A role's own model goes first; the rest of the pool stands in while it's rate limited
+    const rotatorFor = (role) => (role.model ? this.rotator.withPreferred(role.model) : this.rotator);
+    const plannerRotator = rotatorFor(planner);
+    const reviewerRotator = rotatorFor(reviewer);
+
+    // ─── Planner ───
+    if (onPhase) onPhase('planning', `${planner.name} is creating a plan...`);
+    const planResponse = await this._withUsagePhase('multi:plan', () => this._rotatedCompletion(plannerRotator, {
       messages: [
-        { role: 'system', content: `You are a task planner. Break down the following task into clear, numbered steps. Each step should be a single, concrete action. Output ONLY the numbered plan, nothing else.` },
+        { role: 'system', content: planner.system },
         { role: 'user', content: task },
       ],
       temperature: 0.4,
       max_tokens: 2048,
-    });
+    }, { onModelSwitch, signal }));
     if (planResponse.usage) this._trackUsage(planResponse.usage);
     const plan = planResponse.choices?.[0]?.message?.content || '';
 
-    // ─── Phase 2: Executor ───
-    if (onPhase) onPhase('executing', 'Executing the plan...');
-    // Save current history, use fresh context for executor
-    const savedHistory = [...this.conversationHistory];
-    this.conversationHistory = [];
-
-    const executorPrompt = `Execute the following plan step by step. Use your tools to complete each step.\n\n**Plan:**\n${plan}\n\n**Original Task:** ${task}\n\nExecute ALL steps now. Report results for each step.`;
-
-    const executorResult = await this.run(executorPrompt, { onToolCall, onToolResult });
-
-    // ─── Phase 3: Reviewer ───
-    if (onPhase) onPhase('reviewing', 'Reviewing the results...');
-    const reviewResponse = await this.client.chat.completions.create({
-      model: modelId,
-      messages: [
-        { role: 'system', content: `You are a quality reviewer. Review the work done below and provide:
-1. A brief summary of what was accomplished
-2. Any issues or mistakes found
-3. Suggestions for improvement
-4. A quality score (1-10)
-Be concise and constructive.` },
-        { role: 'user', content: `**Original Task:** ${task}\n\n**Plan:**\n${plan}\n\n**Execution Result:**\n${executorResult}` },
-      ],
-      temperature: 0.3,
-      max_tokens: 2048,
+    // ─── Executor ⇄ Reviewer rounds ───
+    const worker = this._spawnSubAgent({
+      tools: executor.tools || null,
+      model: executor.model,
+      phase: 'multi:execute',
+      rolePrompt: executor.system,
     });
-    if (reviewResponse.usage) this._trackUsage(reviewResponse.usage);
-    const review = reviewResponse.choices?.[0]?.message?.content || '';
+    const rounds = [];
+    let execution = '';
+    let review = '';
+    let verdict = { score: null, issues: [] };
+    let passed = false;
+    try {
+      for (let round = 1; round <= pipeline.maxRounds && !passed; round++) {
+        const instructions = round === 1
+          ? `Execute the following plan step by step. Use your tools to complete each step.\n\n**Plan:**\n${plan}\n\n**Original Task:** ${task}\n\nExecute ALL steps now. Report results for each step.`
+          : `The reviewer scored your work ${verdict.score ?? '?'}/10 (needs ${pipeline.threshold}). Fix these issues, then report the complete, updated result:\n${
+            verdict.issues.length > 0 ? verdict.issues.map(i => `- ${i}`).join('\n') : '- Raise the overall quality and completeness of the result.'}`;
+
+        if (onPhase) onPhase('executing', `${executor.name} is executing (round ${round}/${pipeline.maxRounds})...`);
+        execution = await worker.run(instructions, { onToolCall, onToolResult, onModelSwitch, signal });
+
+        if (onPhase) onPhase('reviewing', `${reviewer.name} is reviewing round ${round}...`);
+        const reviewResponse = await this._withUsagePhase('multi:review', () => this._rotatedCompletion(reviewerRotator, {
+          messages: [
+            { role: 'system', content: reviewer.system + REVIEW_FORMAT },
+            { role: 'user', content: `**Original Task:** ${task}\n\n**Plan:**\n${plan}\n\n**Execution Result (round ${round}):**\n${execution}` },
+          ],
+          temperature: 0.3,
+          max_tokens: 2048,
+        }, { onModelSwitch, signal }));
+        if (reviewResponse.usage) this._trackUsage(reviewResponse.usage);
+        review = reviewResponse.choices?.[0]?.message?.content || '';
+        verdict = parseReview(review);
+
+        // No parsable score: only an empty issue list counts as a pass
+        passed = verdict.score !== null ? verdict.score >= pipeline.threshold : verdict.issues.length === 0;
+        const entry = { round, plan: round === 1 ? plan : instructions, execution, review, ...verdict, passed };
+        rounds.push(entry);
+        if (onRound) onRound(entry);
+      }
+    } finally {
+      this._absorbUsage(worker);
+    }
 
-    // Restore original history and add the combined result
-    this.conversationHistory = savedHistory;
-    const combinedResult = `## Multi-Agent Result\n\n### Plan\n${plan}\n\n### Execution\n${executorResult}\n\n### Review\n${review}`;
+    const outcome = passed ? 'passed' : `stopped after ${rounds.length} round(s) without passing`;
+    const scoreText = verdict.score !== null ? `${verdict.score}/10` : 'no score';
+    const combinedResult = `## Multi-Agent Result\n\n### Plan\n${plan}\n\n### Execution\n${execution}\n\n### Review\n${review}\n\n*Pipeline **${pipeline.name}** · ${rounds.length} round(s) · ${scoreText} (threshold ${pipeline.threshold}) — ${outcome}*`;
     this.conversationHistory.push({ role: 'user', content: task });
     this.conversationHistory.push({ role: 'assistant', content: combinedResult });
 
-    return { plan, executionResult: executorResult, review, combined: combinedResult };
+    return {
+      plan,
+      executionResult: execution,
+      review,
+      score: verdict.score,
+      issues: verdict.issues,
+      passed,
+      rounds,
+      combined: combinedResult,
+    };
   }
 
   _trackUsage(usage) {
@@ -0,0 +1,251 @@
+/**
+ * Vinsa CLI — Record & Replay (cassettes)
+ *
+ * `--record <file>` captures every chat completion (request + response or error)
+ * and every tool result (built-in, MCP, plugin) into a JSON cassette.
+ * `--replay <file>` feeds those recorded responses back in order — no network,
+ * no side effects — and flags any request that differs from the recording.
+ *
+ * Cassette format:
+ *   {
+ *     "version": 1,
+ *     "recordedAt": "2025-01-01T00:00:00.000Z",
+ *     "model": "llama-3.3-70b-versatile",
+ *     "interactions": [
+ *       { "type": "completion", "request": { model, messages, tools }, "response": {...} },
+ *       { "type": "completion", "request": {...}, "error": { status, message, body } },
+ *       { "type": "tool", "name": "read_file", "args": {...}, "result": {...} }
+ *     ]
+ *   }
+ */
+import fs from 'fs';
+import path from 'path';
+
+const CASSETTE_VERSION = 1;
+
+// Fields that legitimately change between runs (ids embed timestamps)
+const VOLATILE_KEYS = new Set(['id', 'tool_call_id']);
+
+/**
+ * Strip volatile fields so recorded and live requests compare cleanly
+ */
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const key of Object.keys(value).sort()) {
+      if (VOLATILE_KEYS.has(key) || value[key] === undefined) continue;
+      out[key] = normalize(value[key]);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Find the first path where two values differ (e.g. "messages[3].content"), or null
+ */
+function firstDifference(expected, actual, at = '') {
+  if (JSON.stringify(expected) === JSON.stringify(actual)) return null;
+  if (expected && actual && typeof expected === 'object' && typeof actual === 'object') {
+    if (Array.isArray(expected) && Array.isArray(actual) && expected.length !== actual.length) {
+      const shared = Math.min(expected.length, actual.length);
+      for (let i = 0; i < shared; i++) {
+        const diff = firstDifference(expected[i], actual[i], `${at}[${i}]`);
+        if (diff) return diff;
+      }
+      return `${at || 'value'} (length ${expected.length} → ${actual.length})`;
+    }
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+      const childPath = Array.isArray(expected) ? `${at}[${key}]` : at ? `${at}.${key}` : key;
+      const diff = firstDifference(expected[key], actual[key], childPath);
+      if (diff) return diff;
+    }
+  }
+  return at || 'value';
+}
+
+/**
+ * The part of a completion request that matters for matching
+ */
+function requestFingerprint(request) {
+  return normalize({
+    model: request.model,
+    messages: request.messages,
+    tools: (request.tools || []).map(t => t.function?.name || t.name),
+  });
+}
+
+export class Cassette {
+  /**
+   * @param {string} filePath - Cassette file
+   * @param {'record'|'replay'} mode
+   */
+  constructor(filePath, mode) {
+    this.filePath = path.resolve(filePath);
+    this.mode = mode;
+    this.divergences = [];
+    this.onDivergence = null;
+
+    if (mode === 'replay') {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      } catch (err) {
+        throw new Error(`Cannot read cassette ${this.filePath}: ${err.message}`);
+      }
+      if (!Array.isArray(data?.interactions)) {
+        throw new Error(`Not a Vinsa cassette: ${this.filePath}`);
+      }
+      this.data = data;
+      this.completionCursor = 0;
+      this.completionsReplayed = 0;
+      this.usedTools = new Set();
+    } else {
+      this.data = { version: CASSETTE_VERSION, recordedAt: new Date().toISOString(), model: null, interactions: [] };
+    }
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /** Model that was preferred when the cassette was recorded */
+  get model() {
+    return this.data.model;
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2), 'utf-8');
+    } catch { /* a failed write shouldn't break the session */ }
+  }
+
+  _flag(kind, detail) {
+    const divergence = { kind, detail };
+    this.divergences.push(divergence);
+    if (this.onDivergence) this.onDivergence(divergence);
+  }
+
+  // ─── Recording ───
+
+  setModel(model) {
+    if (this.isRecording) {
+      this.data.model = model;
+      this._save();
+    }
+  }
+
+  recordCompletion(request, response) {
+    this.data.interactions.push({ type: 'completion', request: normalizeRequest(request), response });
+    this._save();
+  }
+
+  recordCompletionError(request, err) {
+    this.data.interactions.push({
+      type: 'completion',
+      request: normalizeRequest(request),
+      error: { status: err.status ?? null, message: err.message, body: err.error ?? null, headers: err.headers ?? null },
+    });
+    this._save();
+  }
+
+  recordTool(name, args, result) {
+    this.data.interactions.push({ type: 'tool', name, args, result });
+    this._save();
+  }
+
+  // ─── Replay ───
+
+  /**
+   * Return the next recorded completion (or throw its recorded error).
+   * Completions are strictly ordered; a mismatched request is flagged, not fatal.
+   */
+  replayCompletion(request) {
+    const interactions = this.data.interactions;
+    while (this.completionCursor < interactions.length && interactions[this.completionCursor].type !== 'completion') {
+      this.completionCursor++;
+    }
+    const recorded = interactions[this.completionCursor];
+    if (!recorded) {
+      this._flag('completion', 'request made after the cassette ran out of recorded responses');
+      throw new Error('Cassette exhausted: no recorded response for this request');
+    }
+    this.completionCursor++;
+    const ordinal = ++this.completionsReplayed;
+
+    const diff = firstDifference(requestFingerprint(recorded.request), requestFingerprint(request));
+    if (diff) this._flag('completion', `request #${ordinal} differs at ${diff}`);
+
+    if (recorded.error) {
+      const err = new Error(recorded.error.message);
+      err.status = recorded.error.status;
+      err.error = recorded.error.body;
+      err.headers = recorded.error.headers;
+      throw err;
+    }
+    return recorded.response;
+  }
+
+  /**
+   * Return the recorded result for a tool call. Parallel calls may have been
+   * recorded in any order, so match on name + args first, then fall back to
+   * the next unused tool result (flagged).
+   */
+  replayTool(name, args) {
+    const wanted = JSON.stringify(normalize(args));
+    const interactions = this.data.interactions;
+    let fallback = -1;
+    for (let i = 0; i < interactions.length; i++) {
+      const it = interactions[i];
+      if (it.type !== 'tool' || this.usedTools.has(i)) continue;
+      if (it.name === name && JSON.stringify(normalize(it.args)) === wanted) {
+        this.usedTools.add(i);
+        return it.result;
+      }
+      if (fallback === -1) fallback = i;
+    }
+    if (fallback === -1) {
+      this._flag('tool', `${name} was called but no recorded tool result is left`);
+      return { success: false, error: `Replay: no recorded result for ${name}` };
+    }
+    const it = interactions[fallback];
+    this.usedTools.add(fallback);
+    this._flag('tool', `expected ${it.name}(${JSON.stringify(it.args)}) but got ${name}(${JSON.stringify(args)})`);
+    return it.result;
+  }
+
+  /**
+   * Recorded interactions that were never replayed
+   */
+  unusedInteractions() {
+    if (!this.isReplaying) return 0;
+    const unusedCompletions = this.data.interactions
+      .slice(this.completionCursor)
+      .filter(it => it.type === 'completion').length;
+    const totalTools = this.data.interactions.filter(it => it.type === 'tool').length;
+    return unusedCompletions + (totalTools - this.usedTools.size);
+  }
+}
+
+/**
+ * Keep only what's needed to replay and compare a request
+ */
+function normalizeRequest(request) {
+  const { model, messages, tools, tool_choice, temperature, max_tokens } = request;
+  return JSON.parse(JSON.stringify({ model, messages, tools, tool_choice, temperature, max_tokens }));
+}
+
+/**
+ * Open a cassette for recording or replay
+ */
+export function openCassette(filePath, mode) {
+  if (mode !== 'record' && mode !== 'replay') throw new Error(`Unknown cassette mode: ${mode}`);
+  return new Cassette(filePath, mode);
+}
@@ -7,41 +7,41 @@
  * - Conversation memory (multi-turn)
  * - Slash commands (/help, /clear, /tools, /models, /mcp, /system, /config,
  *   /save, /load, /list, /compress, /stats, /copy, /theme, /exit)
- * - @file injection (inject file contents into prompt)
+ * - @-references (files, line ranges, globs, directories, git diffs)
  * - !command shell passthrough (run shell commands directly)
  * - VINSA.md context files (project-specific instructions)
  * - OS auto-detection
  * - Graceful error recovery
  * - Arrow key history recall
- * - Tab completion for slash commands
+ * - Tab completion for slash commands and @ paths
  */
 import readline from 'readline';
 import os from 'os';
 import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
-import { getAgent, MODEL_POOL } from './agent.js';
+import { getAgent, parseMaxSteps } from './agent.js';
 import { getMcpManager, autoSetupDefaultServers } from './mcp.js';
 import {
   printBanner, printResponse, printDivider, printPrompt, printInfo,
   printError, printSuccess, printWarning, createSpinner, colors,
   printToolCall, printToolResult, printRetry, printCommandCard, printCommandActions,
   printTimeline, printSnapshotDiff, printAutopilotStep, printAutopilotStatus,
-  printAbout,
+  printAbout, createMarkdownStream, createLiveOutput, formatDiff,
 } from './ui.js';
 import {
   showConfig, clearHistory, addToHistory, getApiKey, setApiKey, getModel,
   saveSession, loadSession, listSessions, deleteSession,
-  saveLastSession, getLastSession, getPlanMode, setPlanMode,
+  saveLastSession, getLastSession, getLastSessionPersona, getLastSessionCheckpoints,
   getAliases, setAlias, removeAlias, resolveAlias,
   getHooks, addHook, removeHook, clearHooks,
   getBranches, saveBranch, getBranch, deleteBranch, getActiveBranch, setActiveBranch,
-  getConfirmWrites, setConfirmWrites, getHistory,
+  getConfirmWrites, setConfirmWrites, getDiffContext, setDiffContext, getHistory, getToolRouting, setToolRouting,
   isUsingDevKey,
   getTeachCommands, setTeachCommand, removeTeachCommand, resolveTeachCommand,
   saveSnapshot, getSnapshot, listSnapshots, deleteSnapshot,
 } from './config.js';
-import { undoLastChange, getFileChangeStack, setInteractiveConfirm, toolDefinitions } from './tools.js';
+import { undoLastChange, getFileChangeStack, setInteractiveConfirm, setCommandApproval, setShellOutputListener, toolDefinitions } from './tools.js';
 import { getPluginTools, getPluginsDir, listPluginFiles, loadPlugins } from './plugins.js';
 import {
   gitStatus, gitLog, gitBranch as gitBranchOp, gitDiff as gitDiffOp, gitAdd,
@@ -50,15 +50,28 @@ import {
   gitCherryPick, gitRebase, gitReset, gitCheckout, gitShow,
   gitFetch, gitConflicts, gitRepoInfo,
 } from './git.js';
+import { ROLE_KEYS, loadPipelines, getPipeline } from './pipelines.js';
+import { STATUS_ICONS, formatPlan } from './plan.js';
+import { loadPersonas, getPersona } from './personas.js';
+import { loadContextFiles, CONTEXT_BUDGET_TOKENS } from './contextfiles.js';
+import { completeReference, describeReference } from './references.js';
+import { loadImage, messageText, MAX_IMAGES_PER_MESSAGE } from './images.js';
+import { parsePatch } from './patch.js';
+import { openCheckpointSession, getCheckpointSessionId, listCheckpoints, rewindTo, redoRewind } from './checkpoints.js';
+import { loadPolicy, checkCommand, projectRoot, jailEnv } from './policy.js';
+import { listJobs, getJob, killJob, jobTail, describeJob, setJobsKeepAlive } from './jobs.js';
 
 // Track last AI response for /copy
 let lastResponse = '';
 
+// Images queued by /attach, sent with the next message
+const pendingImages = [];
+
 // ─── Slash commands registry ───
 const SLASH_COMMANDS = {
   '/help':     'Show all available commands',
   '/clear':    'Clear conversation history',
-  '/tools':    'List all available tools',
+  '/tools':    'List tools and which were sent last request — /tools [all|auto]',
   '/models':   'Show model rotation status & available models',
   '/mcp':      'Show MCP servers & available presets · Manage: vinsa mcp add/remove/list',
   '/system':   'Show system information',
@@ -66,15 +79,20 @@ const SLASH_COMMANDS = {
   '/history':  'Show conversation history summary',
   '/stats':    'Show token usage & session statistics',
   '/compact':  'Compress conversation to save context',
+  '/context':  'Show how the context window budget is being used · /context files',
   '/save':     'Save current session — /save [name]',
   '/load':     'Load a saved session — /load <name>',
   '/list':     'List all saved sessions',
   '/copy':     'Copy last response to clipboard',
+  '/attach':   'Attach an image to your next message — /attach <image> | clear',
   '/commit':   'AI-powered git commit message + commit',
-  '/diff':     'Show git diff (staged or unstaged)',
+  '/diff':     'Show git diff (staged or unstaged) · /diff context <n> sets context lines',
   '/undo':     'Undo the last file change made by Vinsa',
+  '/rewind':   'Restore files to before a turn — /rewind [turn] [--chat] (no turn lists checkpoints)',
+  '/redo':     'Undo the last /rewind',
   '/doctor':   'Run self-diagnostic checks',
-  '/plan':     'Toggle plan mode (think before acting)',
+  '/plan':     'Toggle plan mode (changes wait for an approved plan) · /plan show',
+  '/persona':  'Switch persona — /persona [name|off] (no name lists them)',
   '/export':   'Export conversation — /export [md|html|json]',
   '/alias':    'Manage aliases — /alias name = prompt | list | remove name',
   '/recall':   'Search history — /recall <keyword>',
@@ -82,9 +100,11 @@ const SLASH_COMMANDS = {
   '/branch':   'Fork conversation — /branch [name]',
   '/switch':   'Switch branch — /switch <name>',
   '/hooks':    'Manage tool hooks — /hooks [list|add|remove|clear]',
+  '/policy':   'Show the shell command policy — /policy check <command> tests one',
+  '/jobs':     'Background shell jobs with their latest output — /jobs [id] · /jobs kill <id>',
   '/confirm':  'Toggle interactive diff preview for writes',
   '/plugins':  'List loaded plugins',
-  '/multi':    'Multi-agent mode — /multi <task>',
+  '/multi':    'Multi-agent mode — /multi [--pipeline <name>] <task> (--list to see pipelines)',
   '/git':      'Git source control — /git <command> [args]',
   '/status':   'Git status (shortcut)',
   '/log':      'Git log — /log [count] [--graph] [--all]',
@@ -103,7 +123,7 @@ const SLASH_COMMANDS = {
   '/teach':     'Teach Vinsa custom commands — /teach name = command',
   '/timeline':  'Show session activity timeline',
   '/snapshot':  'System state capture — /snapshot [name] | /snapshot diff <a> <b>',
-  '/autopilot': 'Goal-driven AI loop — /autopilot <goal>',
+  '/autopilot': 'Goal-driven AI loop — /autopilot [--max-steps <n>] <goal>',
   '/explain':   'Explain a command or topic — /explain <command|topic>',
   '/exit':     'Exit Vinsa shell',
   '/quit':     'Exit Vinsa shell',
@@ -111,12 +131,16 @@ const SLASH_COMMANDS = {
 
 const SLASH_NAMES = Object.keys(SLASH_COMMANDS);
 
-// ─── Tab completer for slash commands ───
+// ─── Tab completer for slash commands and @-references ───
 function completer(line) {
   if (line.startsWith('/')) {
     const hits = SLASH_NAMES.filter(c => c.startsWith(line));
     return [hits.length ? hits : SLASH_NAMES, line];
   }
+  const ref = line.match(/(?:^|\s)@([^\s]*)$/);
+  if (ref) {
+    return [completeReference(ref[1]).map(hit => `@${hit}`), `@${ref[1]}`];
+  }
   return [[], line];
 }
 
@@ -138,6 +162,33 @@ function questionPrefilled(rl, prompt, prefill) {
   });
 }
 
+/**
+ * Print lines a screen at a time, asking before each next page
+ * (all at once when stdout isn't a terminal or they fit on one screen)
+ */
+async function printPaged(rl, lines) {
+  const pageSize = Math.max(10, (process.stdout.rows || 40) - 4);
+  if (!process.stdout.isTTY || lines.length <= pageSize) {
+    for (const line of lines) console.log(line);
+    return;
+  }
+  let shown = 0;
+  while (shown < lines.length) {
+    for (const line of lines.slice(shown, shown + pageSize)) console.log(line);
+    shown += pageSize;
+    if (shown >= lines.length) break;
+    const answer = (await question(rl, colors.dim(`  -- ${lines.length - shown} more lines · Enter: next page · a: all · q: stop -- `))).trim().toLowerCase();
+    if (answer === 'q') {
+      console.log(colors.dim(`  ... ${lines.length - shown} lines not shown`));
+      return;
+    }
+    if (answer === 'a') {
+      for (const line of lines.slice(shown)) console.log(line);
+      return;
+    }
+  }
+}
+
 // ─── Command Extraction & Interactive Execution ───
 // Detects shell commands in LLM responses and renders VS Code-style command cards.
 
@@ -236,14 +287,21 @@ async function resolvePlaceholders(rl, command) {
 
 /**
  * Render response with command cards and interactive actions.
+ * With `streamed`, the reply is already on screen, so only the action prompts are shown.
  * Returns true if commands were found and rendered, false otherwise.
  */
-async function renderWithCommandCards(rl, response) {
+async function renderWithCommandCards(rl, response, { streamed = false } = {}) {
   const cards = parseCommandResponse(response);
   if (cards.length === 0) return false;
 
   for (const card of cards) {
-    printCommandCard(card.header, card.command, card.description);
+    if (!streamed) {
+      printCommandCard(card.header, card.command, card.description);
+    } else if (cards.length > 1) {
+      // Say which of the streamed commands the prompt is for
+      console.log('');
+      console.log(colors.dim(`  $ ${card.command.split('\n')[0]}`));
+    }
     printCommandActions();
     console.log('');
 
@@ -402,7 +460,7 @@ async function promptUserKeyOnExhaustion(rl) {
 // ════════════════════════════════════════════════════════════
 // MAIN ENTRY — startChat()
 // ════════════════════════════════════════════════════════════
-export async function startChat({ continueSession = false } = {}) {
+export async function startChat({ continueSession = false, persona = null } = {}) {
   // ─── Create readline FIRST (needed for setup wizard too) ───
   const rl = readline.createInterface({
     input: process.stdin,
@@ -444,11 +502,66 @@ export async function startChat({ continueSession = false } = {}) {
   // ─── Wire interactive confirm for diff preview ───
   setInteractiveConfirm(async (diffText) => {
     console.log(colors.brand.bold('\n  📝 File Write Preview'));
-    console.log(diffText);
+    await printPaged(rl, diffText.split('\n'));
     const answer = await question(rl, colors.accent('\n  Apply this change? (y/n): '));
     return answer.trim().toLowerCase().startsWith('y');
   });
 
+  // ─── Wire command policy approval ("ask" rules) ───
+  setCommandApproval(async (command, decision) => {
+    const wasSpinning = activeSpinner?.isSpinning;
+    if (wasSpinning) activeSpinner.stop();
+    console.log(colors.brand.bold('\n  🛡️  Command needs approval'));
+    console.log(`  ${colors.accent('$')} ${command}`);
+    console.log(colors.dim(`  ${decision.reason}`));
+    const answer = await question(rl, colors.accent('\n  Run it? (y/n): '));
+    const approved = answer.trim().toLowerCase().startsWith('y');
+    trackEvent('policy', approved ? 'Approved command' : 'Declined command', command.slice(0, 80));
+    if (wasSpinning) activeSpinner.start();
+    return approved;
+  });
+
+  // ─── Wire live output for foreground shell commands ───
+  const liveOutput = createLiveOutput();
+  setShellOutputListener((chunk) => {
+    if (activeSpinner?.isSpinning) activeSpinner.stop();
+    liveOutput.write(chunk);
+  });
+  // Background jobs run for as long as the session does
+  setJobsKeepAlive(true);
+
+  // ─── Wire plan mode: approval prompt + step tracking ───
+  agent.setPlanHandlers({
+    approve: async (plan) => {
+      if (activeSpinner) activeSpinner.stop();
+      console.log(colors.brand.bold('\n  🗺️  Proposed Plan'));
+      printDivider();
+      for (const line of formatPlan(plan).split('\n')) console.log(`  ${line}`);
+      printDivider();
+      const answer = (await question(rl, colors.accent('  Approve this plan? (y/n, or type feedback): '))).trim();
+      const approved = /^y(es)?$/i.test(answer);
+      trackEvent('plan', approved ? `Approved plan (${plan.steps.length} steps)` : 'Declined plan', plan.summary.slice(0, 80));
+      return { approved, feedback: approved || /^(no?)?$/i.test(answer) ? '' : answer };
+    },
+    onProgress: (plan, { step, deviation, finished }) => {
+      const wasSpinning = activeSpinner?.isSpinning;
+      if (wasSpinning) activeSpinner.stop();
+      if (step) {
+        const { text, status } = plan.steps[step - 1];
+        console.log(colors.accent(`  ${STATUS_ICONS[status]} Plan step ${step}/${plan.steps.length} · ${status.replace('_', ' ')}: `) + text);
+      }
+      if (deviation) {
+        printWarning(`Plan deviation: ${deviation}`);
+        trackEvent('plan', 'Deviation', deviation);
+      }
+      if (finished) {
+        printSuccess('Plan complete — every step is done or skipped.');
+        trackEvent('plan', 'Plan complete');
+      }
+      if (wasSpinning) activeSpinner.start();
+    },
+  });
+
   // ─── Load plugins ───
   await agent.initializePlugins({ silent: true });
 
@@ -466,6 +579,24 @@ export async function startChat({ continueSession = false } = {}) {
     }
   }
 
+  // ─── Checkpoints for /rewind: the resumed session's, else a fresh set ───
+  const checkpointSession = openCheckpointSession(continueSession ? getLastSessionCheckpoints() : null);
+  if (checkpointSession.resumed && checkpointSession.checkpoints > 0) {
+    printInfo(`${checkpointSession.checkpoints} checkpoint${checkpointSession.checkpoints === 1 ? '' : 's'} from the last session — /rewind lists them`);
+  }
+
+  // ─── Persona: --persona, else the one the resumed session used ───
+  const resumedPersona = continueSession && !persona ? getLastSessionPersona() : '';
+  if (persona) {
+    agent.setPersona(persona);
+  } else if (resumedPersona) {
+    try {
+      agent.setPersona(getPersona(resumedPersona));
+    } catch (err) {
+      printWarning(`Resuming without persona "${resumedPersona}": ${err.message}`);
+    }
+  }
+
   // ─── Connect MCP servers ───
   let mcpToolCount = 0;
   try {
@@ -484,22 +615,33 @@ export async function startChat({ continueSession = false } = {}) {
 
   // ─── System info line ───
   const platform = `${os.type()} ${os.release()} (${os.arch()})`;
-  const modelLabel = MODEL_POOL.find(m => m.id === getModel())?.label || getModel();
+  const modelPool = agent.getModelStatus();
+  const preferredModel = agent.persona?.model || getModel();
+  const modelLabel = modelPool.find(m => m.key === preferredModel)?.label || preferredModel;
   const toolCount = agent.groqTools?.length || 10;
   const mcpCount = mcpToolCount;
 
   printSuccess('Vinsa is ready');
   console.log(colors.dim(`  OS: ${platform}`));
-  console.log(colors.dim(`  Model: ${modelLabel} (+ ${MODEL_POOL.length - 1} fallbacks)`));
+  console.log(colors.dim(`  Model: ${modelLabel} (+ ${modelPool.length - 1} fallbacks)`));
   const pluginCount = getPluginTools().length;
   console.log(colors.dim(`  Tools: ${toolCount} built-in${mcpCount ? ` + ${mcpCount} MCP` : ''}${pluginCount ? ` + ${pluginCount} plugins` : ''}`));
+  if (agent.persona) console.log(colors.dim(`  Persona: ${agent.persona.name}${agent.persona.description ? ` — ${agent.persona.description}` : ''}`));
   if (getConfirmWrites()) console.log(colors.dim('  Diff preview: ON'));
   printDivider();
   console.log(colors.dim('  Just type your question. Use /help for commands.\n'));
 
   // ─── Handle Ctrl+C gracefully ───
+  // During a turn: cancel just that turn. At the prompt: press twice to quit.
   let ctrlCCount = 0;
+  let activeTurn = null; // AbortController of the in-flight agent turn
+  let activeSpinner = null; // its spinner, so prompts mid-turn can pause it
   rl.on('SIGINT', () => {
+    if (activeTurn && !activeTurn.signal.aborted) {
+      activeTurn.abort();
+      console.log(colors.dim('\n  (Cancelling...)'));
+      return;
+    }
     ctrlCCount++;
     if (ctrlCCount >= 2) {
       console.log('');
@@ -538,7 +680,13 @@ export async function startChat({ continueSession = false } = {}) {
         running = false;
         break;
       }
-      await handleSlashCommand(trimmed, agent, mcpManager, rl);
+      // Bill any completions the command makes to it in the usage ledger
+      agent.setUsageCommand(cmd.split(/\s+/)[0]);
+      try {
+        await handleSlashCommand(trimmed, agent, mcpManager, rl);
+      } finally {
+        agent.setUsageCommand('chat');
+      }
       continue;
     }
 
@@ -565,42 +713,88 @@ export async function startChat({ continueSession = false } = {}) {
     // ─── AI Chat ───
     const spinner = createSpinner('Vinsa is thinking...');
     spinner.start();
+    const mdStream = createMarkdownStream();
+    activeTurn = new AbortController();
+    activeSpinner = spinner;
+    const turnCallbacks = {
+      signal: activeTurn.signal,
+      onToken: (token) => {
+        if (spinner.isSpinning) spinner.stop();
+        mdStream.write(token);
+      },
+      onToolCall: (name, args, meta) => {
+        spinner.stop();
+        mdStream.reset();
+        printToolCall(name, args, meta);
+        trackEvent('tool', `Used ${name}`, JSON.stringify(args).slice(0, 80));
+        spinner.start();
+        spinner.text = colors.accent(`Running ${name}...`);
+      },
+      onToolResult: (result, meta) => {
+        spinner.stop();
+        liveOutput.end();
+        printToolResult(result, meta);
+        spinner.start();
+        spinner.text = colors.accent('Processing results...');
+      },
+      onRetry: (attempt, max, reason) => {
+        spinner.stop();
+        mdStream.reset();
+        printRetry(attempt, max, reason);
+        spinner.start();
+      },
+      onModelSwitch: (from, to, msg) => {
+        spinner.stop();
+        mdStream.reset();
+        printInfo(`  ↻ ${msg}`);
+        spinner.start();
+        spinner.text = colors.accent('Retrying with new model...');
+      },
+      onCompact: (msg) => {
+        spinner.stop();
+        printInfo(`  ⇣ ${msg}`);
+        spinner.start();
+      },
+      onReferences: (report) => {
+        spinner.stop();
+        for (const entry of report) {
+          const { summary, problems } = describeReference(entry);
+          if (summary) console.log(colors.dim(`  ${summary}`));
+          for (const problem of problems) printWarning(problem);
+        }
+        spinner.start();
+      },
+    };
 
+    const images = pendingImages.splice(0);
     try {
-      const response = await agent.run(finalInput, {
-        onToolCall: (name, args) => {
-          spinner.stop();
-          printToolCall(name, args);
-          trackEvent('tool', `Used ${name}`, JSON.stringify(args).slice(0, 80));
-          spinner.start();
-          spinner.text = colors.accent(`Running ${name}...`);
-        },
-        onToolResult: (result) => {
-          spinner.stop();
-          printToolResult(result);
-          spinner.start();
-          spinner.text = colors.accent('Processing results...');
-        },
-        onRetry: (attempt, max, reason) => {
-          spinner.stop();
-          printRetry(attempt, max, reason);
-          spinner.start();
-        },
-        onModelSwitch: (from, to, msg) => {
-          spinner.stop();
-          printInfo(`  ↻ ${msg}`);
-          spinner.start();
-          spinner.text = colors.accent('Retrying with new model...');
-        },
-      });
-
-      spinner.stop();
-      process.stdout.write('\u001B[?25h'); // Ensure cursor visible
+      let response = await agent.run(finalInput, { ...turnCallbacks, images });
 
-      // ─── Render: command card or normal response ───
-      const hasCards = await renderWithCommandCards(rl, response);
-      if (!hasCards) {
-        printResponse(response);
+      for (;;) {
+        spinner.stop();
+        mdStream.flush();
+        process.stdout.write('\u001B[?25h'); // Ensure cursor visible
+
+        // ─── Render: command card or normal response (skip if already streamed) ───
+        const streamed = mdStream.text.length > 0 && mdStream.text === response;
+        const hasCards = await renderWithCommandCards(rl, response, { streamed });
+        if (!hasCards && !streamed) {
+          printResponse(response);
+        }
+
+        // ─── Out of tool calls: offer to keep going instead of stopping half-way ───
+        if (agent.lastStop?.reason !== 'budget') break;
+        const moreSteps = agent.pausedTurn.maxSteps;
+        activeTurn = null; // Ctrl+C at the prompt shouldn't cancel anything
+        const answer = (await question(rl, colors.accent(`  Continue for ${moreSteps} more steps? (y/N) `))).trim().toLowerCase();
+        if (answer !== 'y' && answer !== 'yes') break;
+
+        activeTurn = new AbortController();
+        turnCallbacks.signal = activeTurn.signal;
+        mdStream.reset();
+        spinner.text = colors.accent('Continuing...');
+        spinner.start();
+        response = await agent.continueTurn({ ...turnCallbacks, maxSteps: moreSteps });
       }
       lastResponse = response; // Track for /copy
       trackEvent('response', 'AI responded', (response || '').slice(0, 80));
@@ -611,10 +805,13 @@ export async function startChat({ continueSession = false } = {}) {
 
     } catch (err) {
       spinner.stop();
+      mdStream.flush();
       // Restore cursor visibility (ora can hide it on Windows)
       process.stdout.write('\u001B[?25h');
 
-      if (err.message.includes('DEV_KEY_EXHAUSTED')) {
+      if (err.message.includes('CANCELLED')) {
+        printWarning('Turn cancelled. Your session is preserved.');
+      } else if (err.message.includes('DEV_KEY_EXHAUSTED')) {
         // Built-in key exhausted across all models — ask user for their own key
         const gotKey = await promptUserKeyOnExhaustion(rl);
         if (gotKey) {
@@ -632,8 +829,9 @@ export async function startChat({ continueSession = false } = {}) {
               agent.setConversationHistory(hist);
             }
             const retryResponse = await agent.run(finalInput, {
-              onToolCall: (name, args) => { retrySpinner.stop(); printToolCall(name, args); retrySpinner.start(); },
-              onToolResult: (result) => { retrySpinner.stop(); printToolResult(result); retrySpinner.start(); },
+              images,
+              onToolCall: (name, args, meta) => { retrySpinner.stop(); printToolCall(name, args, meta); retrySpinner.start(); },
+              onToolResult: (result, meta) => { retrySpinner.stop(); printToolResult(result, meta); retrySpinner.start(); },
               onRetry: (attempt, max, reason) => { retrySpinner.stop(); printRetry(attempt, max, reason); retrySpinner.start(); },
               onModelSwitch: (from, to, msg) => { retrySpinner.stop(); printInfo(`  ↻ ${msg}`); retrySpinner.start(); },
             });
@@ -660,10 +858,16 @@ export async function startChat({ continueSession = false } = {}) {
         }
       } else if (err.message.includes('All models exhausted')) {
         printWarning('All AI models are temporarily rate limited.');
-        printInfo('Wait ~60 seconds and try again. Your session is preserved.');
+        const recovery = err.message.match(/later\. (.+ recovers in .+)\.$/);
+        printInfo(recovery
+          ? `${recovery[1]}. Your session is preserved — see /models for details.`
+          : 'Wait ~60 seconds and try again. Your session is preserved.');
       } else {
         printError(err.message);
       }
+    } finally {
+      activeTurn = null;
+      activeSpinner = null;
     }
 
     console.log('');
@@ -674,8 +878,10 @@ export async function startChat({ continueSession = false } = {}) {
   // Auto-save session for --continue
   const history = agent.getConversationHistory();
   if (history.length > 0) {
-    saveLastSession(history);
+    saveLastSession(history, { persona: agent.persona?.name, checkpoints: getCheckpointSessionId() });
   }
+  const runningJobs = listJobs().filter(j => j.status === 'running').length;
+  if (runningJobs > 0) printInfo(`Stopping ${runningJobs} background job${runningJobs === 1 ? '' : 's'}`);
   printInfo('Vinsa signing off. Goodbye! 👋');
   rl.close();
   await mcpManager.disconnectAll();
@@ -709,12 +915,23 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
       break;
 
     case '/tools': {
+      if (arg === 'all' || arg === 'auto') {
+        setToolRouting(arg === 'auto');
+        if (arg === 'auto') printSuccess('Tool routing on — each request gets the tools relevant to it, plus list_more_tools for the rest.');
+        else printSuccess('Tool routing off — every request gets every tool.');
+        break;
+      }
+
+      // ● sent on the last request · ○ available but not sent
+      const last = agent.lastToolSelection;
+      const sent = last ? new Set(last.names) : null;
+      const mark = (name) => (!sent ? ' ' : sent.has(name) ? colors.success('●') : colors.dim('○'));
+
       console.log('');
       console.log(colors.brand.bold('  Built-in Tools'));
       printDivider();
-      const { toolDefinitions } = await import('./tools.js');
       for (const tool of toolDefinitions) {
-        console.log(`  ${colors.tool(tool.name.padEnd(25))} ${colors.dim(tool.description.slice(0, 70))}`);
+        console.log(`  ${mark(tool.name)} ${colors.tool(tool.name.padEnd(25))} ${colors.dim(tool.description.slice(0, 68))}`);
       }
       const mcpTools = mcpManager.getToolDefinitions();
       if (mcpTools.length > 0) {
@@ -722,10 +939,37 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
         console.log(colors.brand.bold('  MCP Tools'));
         printDivider();
         for (const tool of mcpTools) {
-          console.log(`  ${colors.tool(tool.name.padEnd(30))} ${colors.dim((tool.description || '').slice(0, 60))}`);
+          console.log(`  ${mark(tool.name)} ${colors.tool(tool.name.padEnd(30))} ${colors.dim((tool.description || '').slice(0, 58))}`);
+        }
+      }
+      const pluginTools = getPluginTools();
+      if (pluginTools.length > 0) {
+        console.log('');
+        console.log(colors.brand.bold('  Plugin Tools'));
+        printDivider();
+        for (const tool of pluginTools) {
+          console.log(`  ${mark(tool.name)} ${colors.tool(tool.name.padEnd(25))} ${colors.dim((tool.description || '').slice(0, 68))}`);
         }
       }
       printDivider();
+
+      const mode = getToolRouting() ? 'routing auto · /tools all to send every tool' : 'routing off · /tools auto to send only relevant tools';
+      if (!last) {
+        console.log(colors.dim(`  No request sent yet (${mode})`));
+      } else {
+        console.log(`  Last request: ${colors.accent(`${last.names.length} of ${last.total}`)} tools sent (~${last.tokens.toLocaleString()} tokens) ${colors.dim(`· ${mode}`)}`);
+        if (last.routed) {
+          // Why each one was sent, grouped: core · recent · git · matched · requested ...
+          const groups = new Map();
+          for (const name of last.names) {
+            const reason = last.reasons.get(name) || 'always';
+            if (!groups.has(reason)) groups.set(reason, []);
+            groups.get(reason).push(name);
+          }
+          for (const [reason, names] of groups) console.log(colors.dim(`    ${reason.padEnd(10)} ${names.join(', ')}`));
+        }
+      }
+      console.log('');
       break;
     }
 
@@ -739,12 +983,21 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
       } else {
         for (const m of models) {
           const icon = m.status === 'available' ? colors.success('●') : colors.error('○');
-          const recovers = m.status === 'cooldown' ? colors.dim(` (recovers in ${m.recoversIn})`) : '';
-          console.log(`  ${icon} ${colors.accent(m.label.padEnd(24))} ${m.status}${recovers}`);
+          const recovers = m.status === 'cooldown' ? colors.dim(` (${m.reason} · recovers in ${m.recoversIn})`) : '';
+          const vision = m.vision ? colors.dim(' · vision') : '';
+          console.log(`  ${icon} ${colors.accent(m.label.padEnd(24))} ${m.status}${vision}${recovers}`);
+
+          // Budget line: local usage counters + whatever the provider's headers reported
+          const budget = [];
+          if (m.requestsLastMinute) budget.push(`${m.requestsLastMinute}${m.limits.rpm ? `/${m.limits.rpm}` : ''} req/min`);
+          if (m.tokensToday) budget.push(`${m.tokensToday.toLocaleString()}${m.limits.tpd ? `/${m.limits.tpd.toLocaleString()}` : ''} tokens today`);
+          if (m.requestsRemaining?.remaining != null) budget.push(`${m.requestsRemaining.remaining}/${m.requestsRemaining.limit ?? '?'} requests left`);
+          if (m.tokensRemaining?.remaining != null) budget.push(`${m.tokensRemaining.remaining.toLocaleString()}/${(m.tokensRemaining.limit ?? '?').toLocaleString()} tokens left`);
+          if (budget.length > 0) console.log(colors.dim(`      ${budget.join(' · ')}`));
         }
       }
       console.log('');
-      console.log(colors.dim('  Auto-switches on rate limit — zero downtime.'));
+      console.log(colors.dim('  Auto-switches on rate limit — zero downtime. Cooldowns are shared by all vinsa processes.'));
       printDivider();
       break;
     }
@@ -871,6 +1124,72 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
       break;
     }
 
+    case '/context': {
+      if (arg === 'files') {
+        const { files, settings, warnings } = loadContextFiles();
+        const home = process.env.HOME || process.env.USERPROFILE || '';
+        const shortPath = (p) => {
+          const rel = path.relative(process.cwd(), p);
+          if (!rel.startsWith('..') && !path.isAbsolute(rel)) return rel;
+          return home && p.startsWith(home + path.sep) ? '~' + p.slice(home.length) : p;
+        };
+        const depth = (f) => {
+          let d = 0;
+          for (let from = f.includedFrom; from; from = files.find(x => x.path === from)?.includedFrom) d++;
+          return d;
+        };
+        console.log('');
+        console.log(colors.brand.bold('  VINSA.md Context Files'));
+        printDivider();
+        if (files.length === 0) {
+          printInfo('No VINSA.md files apply here. Add one to this directory or ~/.vinsa/VINSA.md');
+        } else {
+          for (const f of files) {
+            const label = `${'  '.repeat(depth(f))}${f.scope === 'include' ? '└ ' : ''}${shortPath(f.path)}`;
+            const note = f.truncated ? colors.warning(' truncated') : '';
+            console.log(`  ${colors.dim(f.scope.padEnd(8))} ${colors.accent(label.padEnd(40))} ${String(f.tokens.toLocaleString()).padStart(7)} tokens${note}`);
+          }
+          const total = files.reduce((sum, f) => sum + f.tokens, 0);
+          console.log(colors.dim(`  ${'Total'.padEnd(49)} ${String(total.toLocaleString()).padStart(7)} of ${CONTEXT_BUDGET_TOKENS.toLocaleString()} tokens`));
+        }
+        const applied = [
+          settings.model && `model ${settings.model}`,
+          settings.tools && `tools: ${settings.tools.join(', ')}`,
+          settings.denyTools.length > 0 && `denied: ${settings.denyTools.join(', ')}`,
+        ].filter(Boolean);
+        const hooks = [...settings.hooks.preToolUse.map(h => ['pre', h]), ...settings.hooks.postToolUse.map(h => ['post', h])];
+        if (applied.length > 0 || hooks.length > 0) {
+          console.log('');
+          if (applied.length > 0) console.log(`  ${colors.accent('Settings:')} ${applied.join(' · ')}`);
+          for (const [type, h] of hooks) {
+            console.log(`  ${colors.accent('Hook:')} ${type} ${h.action} /${h.pattern}/${h.message ? ` — ${h.message}` : ''} ${colors.dim(`(${shortPath(h.source)})`)}`);
+          }
+        }
+        for (const warning of warnings) printWarning(warning);
+        printDivider();
+        break;
+      }
+      const ctx = agent.getContextBreakdown();
+      const pct = (n) => ((n / ctx.contextWindow) * 100).toFixed(1).padStart(5) + '%';
+      console.log('');
+      console.log(colors.brand.bold('  Context Window'));
+      printDivider();
+      console.log(colors.dim(`  Model: ${ctx.model} · ${ctx.contextWindow.toLocaleString()} tokens (estimated)`));
+      console.log('');
+      for (const part of ctx.parts) {
+        const bar = '█'.repeat(Math.max(part.tokens > 0 ? 1 : 0, Math.round((part.tokens / ctx.contextWindow) * 30)));
+        console.log(`  ${colors.accent(part.label.padEnd(26))} ${String(part.tokens.toLocaleString()).padStart(9)}  ${colors.dim(pct(part.tokens))}  ${colors.tool(bar)}`);
+      }
+      console.log(`  ${colors.dim('Reserved for reply'.padEnd(26))} ${String(ctx.replyTokens.toLocaleString()).padStart(9)}  ${colors.dim(pct(ctx.replyTokens))}`);
+      console.log('');
+      const used = ctx.total / ctx.budget;
+      const usedColor = used > 0.8 ? colors.error : used > 0.5 ? colors.warning : colors.success;
+      console.log(`  ${'Total'.padEnd(26)} ${String(ctx.total.toLocaleString()).padStart(9)}  ${usedColor(`${(used * 100).toFixed(1)}% of the ${ctx.budget.toLocaleString()}-token request budget`)}`);
+      console.log(colors.dim('  Older turns are compacted automatically past 80%. Use /compact to do it now.'));
+      printDivider();
+      break;
+    }
+
     // ═══════════════════════════════════════════════
     // NEW: /save [name] — Save current session
     // ═══════════════════════════════════════════════
@@ -881,7 +1200,7 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
         printWarning('Nothing to save — conversation is empty.');
         break;
       }
-      saveSession(sessionName, history);
+      saveSession(sessionName, history, { persona: agent.persona?.name || null, checkpoints: getCheckpointSessionId() });
       printSuccess(`Session saved as "${sessionName}" (${history.length} messages)`);
       break;
     }
@@ -903,6 +1222,20 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
       }
       agent.setConversationHistory(session.history);
       printSuccess(`Loaded session "${arg}" (${session.messageCount} messages, saved ${new Date(session.savedAt).toLocaleString()})`);
+      // Its checkpoints come along, so /rewind works on its turns
+      if (session.checkpoints) {
+        const opened = openCheckpointSession(session.checkpoints);
+        if (opened.resumed) printInfo(`${opened.checkpoints} checkpoint${opened.checkpoints === 1 ? '' : 's'} — /rewind lists them`);
+      }
+      // Sessions saved before personas existed have no persona field — keep the current one
+      if (session.persona !== undefined && (session.persona || null) !== (agent.persona?.name || null)) {
+        try {
+          agent.setPersona(session.persona ? getPersona(session.persona) : null);
+          printInfo(session.persona ? `Persona: ${session.persona}` : 'Persona: default');
+        } catch (err) {
+          printWarning(`Kept the current persona: ${err.message}`);
+        }
+      }
       break;
     }
 
@@ -1018,11 +1351,25 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
     // NEW: /diff — Show git diff
     // ═══════════════════════════════════════════════
     case '/diff': {
+      const contextMatch = arg.match(/^context(?:\s+(\S+))?$/);
+      if (contextMatch) {
+        const value = contextMatch[1] === undefined ? null : Number(contextMatch[1]);
+        if (value === null) {
+          printInfo(`Diffs show ${getDiffContext()} unchanged line${getDiffContext() === 1 ? '' : 's'} around each change. Set with /diff context <n>.`);
+        } else if (!Number.isInteger(value) || value < 0 || value > 50) {
+          printWarning('Usage: /diff context <n> — a whole number from 0 to 50');
+        } else {
+          setDiffContext(value);
+          printSuccess(`Diffs and write previews now show ${value} line${value === 1 ? '' : 's'} of context.`);
+        }
+        break;
+      }
       try {
-        let diff = execSync('git diff --staged', { encoding: 'utf-8', timeout: 10000 }).trim();
+        const context = getDiffContext();
+        let diff = execSync(`git diff --staged -U${context}`, { encoding: 'utf-8', timeout: 10000 }).trim();
         let label = 'Staged Changes';
         if (!diff) {
-          diff = execSync('git diff', { encoding: 'utf-8', timeout: 10000 }).trim();
+          diff = execSync(`git diff -U${context}`, { encoding: 'utf-8', timeout: 10000 }).trim();
           label = 'Unstaged Changes';
         }
         if (!diff) {
@@ -1032,22 +1379,26 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
         console.log('');
         console.log(colors.brand.bold(`  ${label}`));
         printDivider();
-        // Colorize diff output
-        const lines = diff.split('\n');
-        for (const line of lines.slice(0, 80)) {
-          if (line.startsWith('+') && !line.startsWith('+++')) {
-            console.log(colors.success(`  ${line}`));
-          } else if (line.startsWith('-') && !line.startsWith('---')) {
-            console.log(colors.error(`  ${line}`));
-          } else if (line.startsWith('@@')) {
-            console.log(colors.accent(`  ${line}`));
-          } else {
-            console.log(colors.dim(`  ${line}`));
+        // Same renderer as the write preview; raw lines if git printed something we can't parse
+        const parsed = parsePatch(diff);
+        const lines = [];
+        if (parsed.error) {
+          for (const line of diff.split('\n')) {
+            if (line.startsWith('+') && !line.startsWith('+++')) lines.push(colors.success(`  ${line}`));
+            else if (line.startsWith('-') && !line.startsWith('---')) lines.push(colors.error(`  ${line}`));
+            else if (line.startsWith('@@')) lines.push(colors.accent(`  ${line}`));
+            else lines.push(colors.dim(`  ${line}`));
+          }
+        } else {
+          for (const file of parsed.files) {
+            const name = file.type === 'rename' ? `${file.oldPath} → ${file.newPath}` : (file.newPath || file.oldPath);
+            const action = { create: ' (new file)', delete: ' (deleted)', rename: ' (renamed)', modify: '' }[file.type];
+            if (lines.length > 0) lines.push('');
+            lines.push(colors.bold(`  📄 ${name}`) + colors.dim(action));
+            lines.push(...formatDiff(file.hunks));
           }
         }
-        if (lines.length > 80) {
-          console.log(colors.dim(`  ... ${lines.length - 80} more lines`));
-        }
+        await printPaged(rl, lines);
         printDivider();
       } catch {
         printError('Not a git repository or git is not installed.');
@@ -1068,6 +1419,88 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
       break;
     }
 
+    // ═══════════════════════════════════════════════
+    // /rewind [turn] [--chat] — Restore files to a checkpoint · /redo
+    // ═══════════════════════════════════════════════
+    case '/rewind': {
+      const parts = arg.split(/\s+/).filter(Boolean);
+      const withChat = parts.includes('--chat');
+      const target = parts.find(p => p !== '--chat');
+      const { checkpoints, redo } = listCheckpoints();
+      const rel = (file) => path.relative(process.cwd(), file) || file;
+
+      if (!target) {
+        console.log('');
+        console.log(colors.brand.bold('  Checkpoints'));
+        printDivider();
+        if (checkpoints.length === 0) {
+          console.log(colors.dim('  No checkpoints yet — each message you send makes one.'));
+        }
+        for (const cp of checkpoints.slice(-20)) {
+          const files = cp.files.length === 0 ? colors.dim('no file changes') : `${cp.files.length} file${cp.files.length === 1 ? '' : 's'}`;
+          const when = new Date(cp.createdAt).toLocaleTimeString();
+          console.log(`  ${colors.accent(`turn ${cp.turn}`.padEnd(9))} ${colors.dim(when)}  ${files}  ${colors.dim(`"${cp.message.replace(/\s+/g, ' ').slice(0, 50)}"`)}`);
+          for (const f of cp.files.slice(0, 5)) {
+            const how = f.skipped ? 'too large to keep' : f.before === null ? 'created' : f.after === null ? 'deleted' : 'modified';
+            console.log(colors.dim(`              ${how.padEnd(9)} ${rel(f.path)}`));
+          }
+          if (cp.files.length > 5) console.log(colors.dim(`              ...and ${cp.files.length - 5} more`));
+        }
+        if (checkpoints.length > 20) console.log(colors.dim(`  (${checkpoints.length - 20} older checkpoints not shown)`));
+        printDivider();
+        console.log(colors.dim('  /rewind <turn> puts files back as they were before that turn · --chat also cuts the conversation back'));
+        if (redo > 0) console.log(colors.dim(`  /redo undoes the last rewind (${redo} available)`));
+        break;
+      }
+
+      const turnNumber = Number(target);
+      if (!Number.isInteger(turnNumber) || turnNumber < 1) {
+        printWarning('Usage: /rewind [turn] [--chat]');
+        break;
+      }
+      const result = rewindTo(turnNumber, { history: withChat ? agent.getConversationHistory() : null });
+      if (result.error) {
+        printWarning(result.error);
+        break;
+      }
+      const restored = result.restored.map(rel);
+      printSuccess(`Rewound ${result.turns} turn${result.turns === 1 ? '' : 's'} — files are as they were before turn ${turnNumber}`
+        + (restored.length > 0 ? `: ${restored.join(', ')}` : ' (no files had changed)'));
+      for (const file of result.skipped) printWarning(`Not restored (too large to checkpoint): ${rel(file)}`);
+      for (const failure of result.failed) printError(`Could not restore ${failure}`);
+      if (withChat) {
+        if (result.history) {
+          const removed = agent.getConversationHistory().length - result.history.length;
+          agent.setConversationHistory(result.history);
+          printInfo(`Conversation cut back to before turn ${turnNumber} (${removed} message${removed === 1 ? '' : 's'} removed)`);
+        } else {
+          printWarning(`The conversation no longer has turn ${turnNumber} (cleared, loaded or compacted since) — only files were rewound.`);
+        }
+      }
+      printInfo('/redo undoes this rewind, until your next message.');
+      trackEvent('rewind', `Rewound to turn ${turnNumber}`, restored.join(', ').slice(0, 80));
+      break;
+    }
+
+    case '/redo': {
+      const result = redoRewind();
+      if (result.error) {
+        printWarning(result.error);
+        break;
+      }
+      const restored = result.restored.map(file => path.relative(process.cwd(), file) || file);
+      printSuccess(`Redid ${result.turns} turn${result.turns === 1 ? '' : 's'} from turn ${result.turn}`
+        + (restored.length > 0 ? `: ${restored.join(', ')}` : ''));
+      for (const file of result.skipped) printWarning(`Not restored (too large to checkpoint): ${path.relative(process.cwd(), file) || file}`);
+      for (const failure of result.failed) printError(`Could not restore ${failure}`);
+      if (result.messages) {
+        agent.setConversationHistory([...agent.getConversationHistory(), ...result.messages]);
+        printInfo(`Conversation restored (${result.messages.length} message${result.messages.length === 1 ? '' : 's'})`);
+      }
+      trackEvent('rewind', `Redid turn ${result.turn}`, restored.join(', ').slice(0, 80));
+      break;
+    }
+
     // ═══════════════════════════════════════════════
     // NEW: /doctor — Self-diagnostics
     // ═══════════════════════════════════════════════
@@ -1149,7 +1582,7 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
       }
 
       // 8. Plan mode
-      const planStatus = getPlanMode();
+      const planStatus = agent.isPlanMode();
       console.log(`  ${colors.accent('ℹ')} Plan mode: ${planStatus ? 'ON' : 'off'}`);
 
       printDivider();
@@ -1165,17 +1598,123 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
     // NEW: /plan — Toggle plan mode
     // ═══════════════════════════════════════════════
     case '/plan': {
-      const current = getPlanMode();
-      setPlanMode(!current);
+      if (arg === 'show') {
+        if (!agent.isPlanMode()) {
+          printInfo('Plan mode is off. Turn it on with /plan');
+        } else if (!agent.plan) {
+          printInfo('No active plan — Vinsa will propose one before its next change.');
+        } else {
+          console.log('');
+          console.log(colors.brand.bold(`  🗺️  ${agent.plan.approved ? 'Approved Plan' : 'Proposed Plan (not approved)'}`));
+          printDivider();
+          for (const line of formatPlan(agent.plan).split('\n')) console.log(`  ${line}`);
+          for (const deviation of agent.plan.deviations) console.log(colors.warning(`  ⚠ ${deviation}`));
+          printDivider();
+        }
+        break;
+      }
+      const current = agent.isPlanMode();
+      agent.setPlanMode(!current);
       if (!current) {
-        printSuccess('Plan mode ON — Vinsa will think through a plan before acting.');
-        printInfo('The AI will outline its approach before making changes.');
+        printSuccess('Plan mode ON — changes wait until you approve a plan.');
+        printInfo('Vinsa can still investigate with read-only tools; /plan show tracks progress.');
       } else {
         printSuccess('Plan mode OFF — Vinsa will act directly.');
       }
       break;
     }
 
+    // ═══════════════════════════════════════════════
+    // NEW: /attach <image> — Queue an image for the next message
+    // ═══════════════════════════════════════════════
+    case '/attach': {
+      if (arg === 'clear') {
+        pendingImages.length = 0;
+        printSuccess('Attachments cleared.');
+        break;
+      }
+      if (!arg) {
+        if (pendingImages.length === 0) {
+          printInfo('Usage: /attach <image> (PNG, JPEG, GIF or WebP) — or mention it as @image.png');
+        } else {
+          printInfo(`Attached for your next message: ${pendingImages.map(i => i.name).join(', ')} · /attach clear to drop them`);
+        }
+        break;
+      }
+      if (pendingImages.length >= MAX_IMAGES_PER_MESSAGE) {
+        printError(`At most ${MAX_IMAGES_PER_MESSAGE} images per message.`);
+        break;
+      }
+      try {
+        const image = loadImage(arg.replace(/^["']|["']$/g, ''));
+        pendingImages.push(image);
+        printSuccess(`Attached ${image.name} (${Math.ceil(image.bytes / 1024).toLocaleString()} KB) — it goes with your next message.`);
+        const [preferred, ...others] = agent.rotator?.models || [];
+        const fallback = others.find(m => m.vision);
+        if (preferred && !preferred.vision) {
+          if (fallback) printInfo(`${preferred.label} can't read images, so ${fallback.label} answers while the image is in the conversation.`);
+          else printWarning(`No model in the rotation can read images — add one with: vinsa config provider add <name> ... --vision <models>`);
+        }
+      } catch (err) {
+        printError(err.message);
+      }
+      break;
+    }
+
+    // ═══════════════════════════════════════════════
+    // NEW: /persona [name|off] — Switch system-prompt profile
+    // ═══════════════════════════════════════════════
+    case '/persona': {
+      if (!arg) {
+        let personas;
+        try {
+          personas = loadPersonas();
+        } catch (err) {
+          printError(err.message);
+          break;
+        }
+        const names = Object.keys(personas);
+        if (names.length === 0) {
+          printInfo('No personas yet. Add one as ~/.vinsa/personas/<name>.md or .vinsa/personas/<name>.md');
+          break;
+        }
+        console.log('');
+        console.log(colors.brand.bold('  🎭 Personas'));
+        printDivider();
+        for (const name of names) {
+          const p = personas[name];
+          const marker = agent.persona?.name === name ? colors.success('●') : ' ';
+          console.log(`  ${marker} ${colors.brand(name.padEnd(16))} ${colors.dim(p.description || '')}`);
+        }
+        printDivider();
+        printInfo(`Active: ${agent.persona?.name || 'default'} · /persona <name> to switch, /persona off for plain Vinsa`);
+        break;
+      }
+      if (arg === 'off' || arg === 'default') {
+        agent.setPersona(null);
+        printSuccess(`Persona off — back to plain Vinsa (${getModel()}).`);
+        trackEvent('persona', 'Persona off');
+        break;
+      }
+      try {
+        const persona = getPersona(arg);
+        agent.setPersona(persona);
+        printSuccess(`Persona: ${persona.name}${persona.description ? ` — ${persona.description}` : ''}`);
+        const details = [
+          persona.model && `model ${persona.model}`,
+          persona.temperature != null && `temperature ${persona.temperature}`,
+          persona.tools && `tools: ${persona.tools.join(', ')}`,
+          persona.planMode != null && `plan mode ${persona.planMode ? 'on' : 'off'}`,
+          persona.replace && 'replaces the built-in prompt',
+        ].filter(Boolean);
+        if (details.length > 0) printInfo(details.join(' · '));
+        trackEvent('persona', `Persona: ${persona.name}`);
+      } catch (err) {
+        printError(err.message);
+      }
+      break;
+    }
+
     // ═══════════════════════════════════════════════
     // NEW v3: /export [format] — Export conversation
     // ═══════════════════════════════════════════════
@@ -1197,7 +1736,7 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
         const body = history.map(m => {
           const cls = m.role === 'user' ? 'user' : 'assistant';
           const label = m.role === 'user' ? '🧑 You' : '🤖 Vinsa';
-          return `<div class="${cls}"><strong>${label}</strong><p>${(m.content || '').replace(/\n/g, '<br>')}</p></div>`;
+          return `<div class="${cls}"><strong>${label}</strong><p>${messageText(m.content).replace(/\n/g, '<br>')}</p></div>`;
         }).join('\n');
         content = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Vinsa Export</title><style>body{font-family:system-ui;max-width:800px;margin:2rem auto;padding:1rem}.user{background:#f0f0f0;padding:1rem;border-radius:8px;margin:0.5rem 0}.assistant{background:#eef;padding:1rem;border-radius:8px;margin:0.5rem 0}</style></head><body><h1>Vinsa Conversation Export</h1>${body}</body></html>`;
       } else {
@@ -1206,7 +1745,7 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
         content = `# Vinsa Conversation Export\n_${new Date().toLocaleString()}_\n\n` +
           history.map(m => {
             const label = m.role === 'user' ? '## 🧑 You' : '## 🤖 Vinsa';
-            return `${label}\n\n${m.content || '(empty)'}\n`;
+            return `${label}\n\n${messageText(m.content) || '(empty)'}\n`;
           }).join('\n---\n\n');
       }
 
@@ -1320,8 +1859,8 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
             const spinner = createSpinner('Vinsa is thinking...');
             spinner.start();
             const response = await agent.run(result, {
-              onToolCall: (name, args) => { spinner.stop(); printToolCall(name, args); spinner.start(); },
-              onToolResult: (r) => { spinner.stop(); printToolResult(r); spinner.start(); },
+              onToolCall: (name, args, meta) => { spinner.stop(); printToolCall(name, args, meta); spinner.start(); },
+              onToolResult: (r, meta) => { spinner.stop(); printToolResult(r, meta); spinner.start(); },
             });
             spinner.stop();
             const voiceHasCards1 = await renderWithCommandCards(rl, response);
@@ -1345,8 +1884,8 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
             const spinner = createSpinner('Vinsa is thinking...');
             spinner.start();
             const response = await agent.run(text, {
-              onToolCall: (name, args) => { spinner.stop(); printToolCall(name, args); spinner.start(); },
-              onToolResult: (r) => { spinner.stop(); printToolResult(r); spinner.start(); },
+              onToolCall: (name, args, meta) => { spinner.stop(); printToolCall(name, args, meta); spinner.start(); },
+              onToolResult: (r, meta) => { spinner.stop(); printToolResult(r, meta); spinner.start(); },
             });
             spinner.stop();
             const voiceHasCards2 = await renderWithCommandCards(rl, response);
@@ -1492,6 +2031,123 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
       break;
     }
 
+    // ═══════════════════════════════════════════════
+    // /jobs — Background shell jobs (jobs.js)
+    // ═══════════════════════════════════════════════
+    case '/jobs': {
+      const statusColor = { running: colors.success, exited: colors.dim, killed: colors.warning, failed: colors.error };
+      const runtime = (ms) => (ms < 60000 ? `${Math.round(ms / 1000)}s` : `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`);
+      const header = (job) => {
+        const info = describeJob(job);
+        const ended = job.status === 'running' ? '' : colors.dim(info.exitCode !== undefined ? ` · exit ${info.exitCode}` : info.signal ? ` · ${info.signal}` : '');
+        return `  ${colors.accent(`[${job.id}]`)} ${statusColor[job.status](job.status.padEnd(7))} ${colors.dim(runtime(info.runtimeMs).padStart(7))}${ended}  ${job.command}`;
+      };
+
+      if ((parts[1] || '').toLowerCase() === 'kill') {
+        const job = getJob(parts[2]);
+        if (!job) {
+          printWarning(parts[2] ? `No job ${parts[2]}` : 'Usage: /jobs kill <id>');
+          break;
+        }
+        const result = killJob(job);
+        if (result.success) {
+          printSuccess(`Stopped job ${job.id} — ${job.command}`);
+          trackEvent('jobs', `Stopped job ${job.id}`, job.command.slice(0, 80));
+        } else {
+          printError(result.error);
+        }
+        break;
+      }
+
+      if (arg) {
+        const job = getJob(arg);
+        if (!job) {
+          printWarning(`No job ${arg} — /jobs lists them`);
+          break;
+        }
+        console.log('');
+        console.log(header(job));
+        console.log(colors.dim(`      pid ${job.pid} · in ${job.cwd}`));
+        printDivider();
+        await printPaged(rl, jobTail(job, 200).map(line => `  ${line}`));
+        break;
+      }
+
+      const jobs = listJobs();
+      console.log('');
+      console.log(colors.brand.bold('  Background Jobs'));
+      printDivider();
+      if (jobs.length === 0) {
+        console.log(colors.dim('  No background jobs. The model starts one with run_shell_command and background: true.'));
+      }
+      for (const job of jobs) {
+        console.log(header(job));
+        for (const line of jobTail(job, job.status === 'running' ? 5 : 2)) console.log(colors.dim(`      │ ${line.slice(0, 200)}`));
+      }
+      printDivider();
+      if (jobs.length > 0) printInfo('Full output: /jobs <id> · Stop one: /jobs kill <id>');
+      break;
+    }
+
+    // ═══════════════════════════════════════════════
+    // /policy — Shell command policy (policy.js)
+    // ═══════════════════════════════════════════════
+    case '/policy': {
+      const actionColor = { allow: colors.success, ask: colors.warning, deny: colors.error };
+      if ((parts[1] || '').toLowerCase() === 'check') {
+        const line = arg.replace(/^check\s*/i, '');
+        if (!line) {
+          printWarning('Usage: /policy check <command>');
+          break;
+        }
+        const decision = checkCommand(line);
+        console.log('');
+        console.log(`  ${actionColor[decision.action](decision.action.toUpperCase())}  ${line}`);
+        if (decision.reason) console.log(colors.dim(`  ${decision.reason}`));
+        printDivider();
+        console.log(colors.accent('  Commands:'));
+        for (const c of decision.commands) console.log(`    ${c.text}${colors.dim(`  (in ${c.cwd || 'an unknown directory'})`)}`);
+        if (decision.findings.length > 0) {
+          console.log(colors.accent('  Matched:'));
+          for (const f of decision.findings) console.log(`    ${actionColor[f.action](f.action.padEnd(5))} ${f.reason.split('\n')[0]}${colors.dim(`  — ${f.source}`)}`);
+        }
+        if (decision.removedEnv) console.log(colors.dim(`  Jail: runs without ${decision.removedEnv.length} secret variable${decision.removedEnv.length === 1 ? '' : 's'}`));
+        break;
+      }
+
+      const policy = loadPolicy();
+      const root = projectRoot();
+      console.log('');
+      console.log(colors.brand.bold('  Command Policy'));
+      printDivider();
+      console.log(`  ${colors.dim('Project root:')}   ${root}`);
+      if (policy.files.length === 0) console.log(`  ${colors.dim('Files:')}          ${colors.dim('(none — built-in rules only)')}`);
+      for (const f of policy.files) console.log(`  ${colors.dim(`${f.scope === 'global' ? 'Global' : 'Project'} file:`.padEnd(16))}${f.path}`);
+      console.log(`  ${colors.dim('Default action:')} ${actionColor[policy.defaultAction](policy.defaultAction)}`);
+      if (policy.jail.enabled) {
+        const removed = jailEnv(process.env, policy.jail.allowEnv).removed;
+        console.log(`  ${colors.dim('Jail:')}           ${colors.success('on')} — commands stay in ${root}, ${removed.length} secret variable${removed.length === 1 ? '' : 's'} removed${policy.jail.allowEnv.length > 0 ? ` (kept: ${policy.jail.allowEnv.join(', ')})` : ''}`);
+      } else {
+        console.log(`  ${colors.dim('Jail:')}           ${colors.dim('off')}`);
+      }
+      console.log('');
+      console.log(colors.accent('  Built-in rules:'));
+      for (const b of policy.builtIns) {
+        console.log(`    ${b.enabled ? colors.success('●') : colors.dim('○')} ${b.id.padEnd(20)} ${colors.dim(b.enabled ? b.description : 'off')}`);
+      }
+      console.log(colors.accent('  Rules:'));
+      if (policy.rules.length === 0) console.log(colors.dim('    (none)'));
+      for (const r of policy.rules) {
+        const what = [r.command, r.cwd && `in ${r.cwd}`].filter(Boolean).join(' ');
+        console.log(`    ${actionColor[r.action](r.action.padEnd(5))} ${what}${r.reason ? colors.dim(` — ${r.reason}`) : ''}`);
+      }
+      for (const w of policy.warnings) printWarning(w);
+      if (policy.error) printError(`Every command is refused until this is fixed:\n${policy.error}`);
+      printDivider();
+      printInfo('Rules live in ~/.vinsa/policy.json and .vinsa/policy.json · Test one: /policy check <command>');
+      break;
+    }
+
     // ═══════════════════════════════════════════════
     // NEW v3: /confirm — Toggle interactive diff preview
     // ═══════════════════════════════════════════════
@@ -1537,27 +2193,81 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
     // NEW v3: /multi <task> — Multi-agent mode
     // ═══════════════════════════════════════════════
     case '/multi': {
-      if (!arg) {
-        printWarning('Usage: /multi <task description>');
-        printInfo('Runs a 3-phase pipeline: Planner → Executor → Reviewer');
+      const pipelineMatch = arg.match(/(?:^|\s)--pipeline[=\s]+(\S+)/);
+      const multiTask = arg.replace(/(?:^|\s)--pipeline[=\s]+\S+/, '').trim();
+
+      if (multiTask === '--list') {
+        let pipelines;
+        try {
+          pipelines = loadPipelines();
+        } catch (err) {
+          printError(err.message);
+          break;
+        }
+        console.log('');
+        console.log(colors.brand.bold('  Multi-Agent Pipelines'));
+        printDivider();
+        for (const p of Object.values(pipelines)) {
+          console.log(`  ${colors.tool(p.name.padEnd(20))} ${p.description || ''}`);
+          const roles = ROLE_KEYS.map(k => p.roles[k].name + (p.roles[k].model ? colors.dim(` (${p.roles[k].model})`) : '')).join(' → ');
+          console.log(colors.dim(`  ${''.padEnd(20)} ${roles} · pass ≥ ${p.threshold}/10 · max ${p.maxRounds} rounds · ${p.source}`));
+        }
+        printDivider();
+        printInfo('Define your own in .vinsa/pipelines.json');
+        break;
+      }
+      if (!multiTask) {
+        printWarning('Usage: /multi [--pipeline <name>] <task description>');
+        printInfo('Runs Planner → Executor ⇄ Reviewer, refining until the review passes');
+        printInfo('/multi --list shows the available pipelines');
+        break;
+      }
+
+      let pipeline;
+      try {
+        pipeline = getPipeline(pipelineMatch ? pipelineMatch[1] : 'default');
+      } catch (err) {
+        printError(err.message);
         break;
       }
+
+      if (agent.isPlanMode() && !agent.plan?.approved) {
+        printInfo('Plan mode is on: the executor can only investigate until a plan is approved');
+      }
       const spinner = createSpinner('Multi-agent: Planning...');
       spinner.start();
       try {
-        const result = await agent.runMultiAgent(arg, {
+        const result = await agent.runMultiAgent(multiTask, {
+          pipeline,
           onPhase: (phase, msg) => {
             spinner.text = colors.accent(`Multi-agent: ${msg}`);
           },
-          onToolCall: (name, args) => {
+          onRound: (round) => {
             spinner.stop();
-            printToolCall(name, args);
+            const score = round.score !== null ? `${round.score}/10` : 'no score';
+            const issues = round.issues.length === 1 ? '1 issue' : `${round.issues.length} issues`;
+            const line = `Round ${round.round}: ${score}, ${issues}${round.passed ? ' — passed' : ''}`;
+            if (round.passed) printSuccess(line);
+            else printInfo(line);
+            trackEvent('multi', `Round ${round.round} · ${round.round === 1 ? 'plan' : 'fixes requested'}`, round.plan.replace(/\s+/g, ' ').slice(0, 200));
+            trackEvent('multi', `Round ${round.round} · execution`, round.execution.replace(/\s+/g, ' ').slice(0, 200));
+            trackEvent('multi', `Round ${round.round} · review (${score})`, round.issues.join('; ').slice(0, 200));
+            spinner.start();
+          },
+          onToolCall: (name, args, meta) => {
+            spinner.stop();
+            printToolCall(name, args, meta);
             spinner.start();
             spinner.text = colors.accent('Multi-agent: Executing...');
           },
-          onToolResult: (r) => {
+          onToolResult: (r, meta) => {
+            spinner.stop();
+            printToolResult(r, meta);
+            spinner.start();
+          },
+          onModelSwitch: (from, to, msg) => {
             spinner.stop();
-            printToolResult(r);
+            printInfo(`  ↻ ${msg}`);
             spinner.start();
           },
         });
@@ -1907,7 +2617,7 @@ async function handleSlashCommand(cmd, agent, mcpManager, rl) {
           break;
         }
         case 'diff': {
-          await handleSlashCommand('/diff', gitArg, rl, agent);
+          await handleSlashCommand(`/diff ${gitArg}`.trim(), agent, mcpManager, rl);
           break;
         }
         case 'commit': {
@@ -2335,20 +3045,31 @@ Respond with ONLY the corrected command in a code block. Add a brief one-line ex
 
     // ─── /autopilot ─── Goal-driven AI loop ───
     case '/autopilot': {
-      if (!arg) {
-        printWarning('Usage: /autopilot <goal>');
+      // --max-steps N: at most N plan steps, and N tool calls while planning
+      const stepsMatch = arg.match(/(?:^|\s)--max-steps[=\s]+(\S+)/);
+      const goal = arg.replace(/(?:^|\s)--max-steps[=\s]+\S+/, '').trim();
+      if (!goal) {
+        printWarning('Usage: /autopilot [--max-steps <n>] <goal>');
         console.log(colors.dim('  Example: /autopilot set up a Node.js project with TypeScript and ESLint'));
         break;
       }
+      let maxSteps;
+      try {
+        if (stepsMatch) maxSteps = parseMaxSteps(stepsMatch[1]);
+      } catch (err) {
+        printError(err.message);
+        break;
+      }
+      const planSteps = maxSteps || 10;
 
       console.log('');
       console.log(colors.brand.bold('  🚀 Autopilot Mode'));
       printDivider();
-      console.log(colors.accent(`  Goal: ${arg}`));
+      console.log(colors.accent(`  Goal: ${goal}`));
       printDivider();
 
       const planPrompt = `You are an autopilot assistant. The user wants to achieve this goal:
-"${arg}"
+"${goal}"
 
 Break this into a numbered list of concrete, executable steps. Each step should be a single shell command or a brief action.
 Format EXACTLY like this (no other text):
@@ -2356,13 +3077,13 @@ Format EXACTLY like this (no other text):
 2. <description> :: <command>
 
 If a step doesn't need a command (e.g., "verify output"), use "MANUAL" as the command.
-Keep it to 10 steps maximum. Be specific and practical for ${process.platform === 'win32' ? 'Windows PowerShell' : 'Linux/macOS bash'}.`;
+Keep it to ${planSteps} steps maximum. Be specific and practical for ${process.platform === 'win32' ? 'Windows PowerShell' : 'Linux/macOS bash'}.`;
 
       const planSpinner = createSpinner('Planning steps...');
       planSpinner.start();
       let planResponse;
       try {
-        planResponse = await agent.run(planPrompt);
+        planResponse = await agent.run(planPrompt, { maxSteps });
         planSpinner.stop();
       } catch (e) {
         planSpinner.stop();
@@ -2371,7 +3092,7 @@ Keep it to 10 steps maximum. Be specific and practical for ${process.platform ==
       }
 
       // Parse steps: "N. description :: command"
-      const stepLines = planResponse.split('\n').filter(l => /^\d+\.\s/.test(l.trim()));
+      const stepLines = planResponse.split('\n').filter(l => /^\d+\.\s/.test(l.trim())).slice(0, planSteps);
       if (stepLines.length === 0) {
         printWarning('Could not parse steps. Showing raw plan:');
         console.log(planResponse);
@@ -2392,7 +3113,7 @@ Keep it to 10 steps maximum. Be specific and practical for ${process.platform ==
       });
       console.log('');
 
-      trackEvent('autopilot', `Started: ${arg.slice(0, 60)}`, `${steps.length} steps`);
+      trackEvent('autopilot', `Started: ${goal.slice(0, 60)}`, `${steps.length} steps`);
 
       for (let i = 0; i < steps.length; i++) {
         const step = steps[i];
@@ -2437,7 +3158,7 @@ Keep it to 10 steps maximum. Be specific and practical for ${process.platform ==
       }
 
       printAutopilotStatus('completed');
-      trackEvent('autopilot', `Completed: ${arg.slice(0, 60)}`);
+      trackEvent('autopilot', `Completed: ${goal.slice(0, 60)}`);
       break;
     }
 
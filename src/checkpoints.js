@@ -0,0 +1,403 @@
+/**
+ * Vinsa CLI — Checkpoints (/rewind, /redo)
+ *
+ * Every agent turn in the REPL ends with a checkpoint: byte-exact copies of
+ * each file the turn created, modified or deleted, as it was before and after.
+ * They are kept on disk per chat session, so a resumed or loaded session can
+ * still rewind its earlier turns:
+ *
+ *   ~/.vinsa/sessions/<id>/checkpoints.json
+ *     { id, cwd, createdAt, updatedAt,
+ *       checkpoints: [{ turn, message, historyLength, createdAt,
+ *                       files: [{ path, before: sha|null, after: sha|null }] }],
+ *       redo: [{ turn, files: [{ path, sha }], checkpoints, messages }] }
+ *   ~/.vinsa/sessions/<id>/blobs/<sha256>     file contents (null sha = no file)
+ *
+ * write_file, edit_file and apply_patch save each file just before changing it.
+ * Other tools that may write (run_shell_command, MCP servers, plugins) are
+ * caught by comparing the files this session has read or written before and
+ * after the call — a file the session never touched can't be put back.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { messageText, withoutImages } from './images.js';
+
+const SESSIONS_DIR = path.join(
+  process.env.HOME || process.env.USERPROFILE || '.',
+  '.vinsa',
+  'sessions'
+);
+
+// Built-in tools that save each file before writing it; anything else that may write is watched
+export const CHECKPOINTED_TOOLS = new Set(['write_file', 'edit_file', 'apply_patch']);
+
+const MAX_CHECKPOINTS = 100;       // per session; the oldest are dropped
+const MAX_SESSIONS = 20;           // session directories kept; the least recently used are removed
+const MAX_WATCHED_FILES = 500;     // files checked around shell/MCP/plugin calls
+export const MAX_CHECKPOINT_FILE_BYTES = 20 * 1024 * 1024;
+
+let session = null;  // { id, dir, data } — the open session, see openCheckpointSession
+let turn = null;     // the turn in progress: { turn, message, historyLength, createdAt, files: Map(path → state) }
+// path → last captured state { sha, mtimeMs, size, tooLarge? } (null until first captured)
+const watched = new Map();
+
+// ─── Storage ───
+
+function indexPath(dir) {
+  return path.join(dir, 'checkpoints.json');
+}
+
+function readIndex(dir) {
+  try {
+    const data = JSON.parse(fs.readFileSync(indexPath(dir), 'utf-8'));
+    return Array.isArray(data.checkpoints) ? { redo: [], ...data } : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveIndex() {
+  session.data.updatedAt = Date.now();
+  fs.mkdirSync(session.dir, { recursive: true });
+  const file = indexPath(session.dir);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(session.data), 'utf-8');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function storeBlob(buffer) {
+  const sha = crypto.createHash('sha256').update(buffer).digest('hex');
+  const file = path.join(session.dir, 'blobs', sha);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, buffer);
+  }
+  return sha;
+}
+
+function readBlob(sha) {
+  return fs.readFileSync(path.join(session.dir, 'blobs', sha));
+}
+
+/**
+ * Delete blobs no checkpoint or redo entry refers to any more
+ */
+function collectGarbage() {
+  const used = new Set();
+  const note = (files) => files.forEach(f => { if (f.before) used.add(f.before); if (f.after) used.add(f.after); if (f.sha) used.add(f.sha); });
+  for (const cp of session.data.checkpoints) note(cp.files);
+  for (const record of session.data.redo) {
+    note(record.files);
+    for (const cp of record.checkpoints) note(cp.files);
+  }
+  const dir = path.join(session.dir, 'blobs');
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch { return; }
+  for (const name of names) {
+    if (!used.has(name)) fs.rmSync(path.join(dir, name), { force: true });
+  }
+  // Captures may point at deleted blobs now — re-read files when next needed
+  for (const file of watched.keys()) watched.set(file, null);
+}
+
+/**
+ * Remove the least recently used session directories beyond MAX_SESSIONS
+ */
+function pruneSessions(keep) {
+  let entries;
+  try {
+    entries = fs.readdirSync(SESSIONS_DIR, { withFileTypes: true }).filter(e => e.isDirectory() && e.name !== keep);
+  } catch {
+    return;
+  }
+  const byAge = entries
+    .map(e => ({ dir: path.join(SESSIONS_DIR, e.name), at: readIndex(path.join(SESSIONS_DIR, e.name))?.updatedAt || 0 }))
+    .sort((a, b) => b.at - a.at);
+  for (const { dir } of byAge.slice(MAX_SESSIONS - 1)) fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ─── Sessions ───
+
+/**
+ * Open a session's checkpoints: an existing one by id (--continue, /load), or a new one.
+ * @returns {{ id: string, resumed: boolean, checkpoints: number }}
+ */
+export function openCheckpointSession(id = null) {
+  const valid = typeof id === 'string' && /^[\w-]+$/.test(id);
+  const existing = valid ? readIndex(path.join(SESSIONS_DIR, id)) : null;
+  if (!existing) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    id = `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+  const now = Date.now();
+  session = {
+    id,
+    dir: path.join(SESSIONS_DIR, id),
+    data: existing || { id, cwd: process.cwd(), createdAt: now, updatedAt: now, checkpoints: [], redo: [] },
+  };
+  turn = null;
+  watched.clear();
+  for (const cp of session.data.checkpoints) for (const f of cp.files) watched.set(f.path, null);
+  if (existing) collectGarbage();
+  else pruneSessions(id);
+  return { id, resumed: !!existing, checkpoints: session.data.checkpoints.length };
+}
+
+export function getCheckpointSessionId() {
+  return session?.id || null;
+}
+
+/**
+ * Checkpoints of the open session, oldest first, and how many rewinds /redo can undo
+ */
+export function listCheckpoints() {
+  if (!session) return { checkpoints: [], redo: 0 };
+  return { checkpoints: [...session.data.checkpoints], redo: session.data.redo.length };
+}
+
+// ─── Capturing files ───
+
+/**
+ * A file's current state, its content stored as a blob. Reuses the last
+ * capture while mtime and size are unchanged, unless `fresh`.
+ * @returns {{ sha: string|null, mtimeMs, size, tooLarge? } | null}  null for directories
+ */
+function capture(file, { fresh = false } = {}) {
+  let stat = null;
+  try { stat = fs.statSync(file); } catch { /* missing */ }
+  if (stat && !stat.isFile()) return null;
+
+  const known = watched.get(file);
+  if (known && !fresh) {
+    if (!stat && known.sha === null) return known;
+    if (stat && known.mtimeMs === stat.mtimeMs && known.size === stat.size) return known;
+  }
+  let state;
+  if (!stat) state = { sha: null, mtimeMs: 0, size: -1 };
+  else if (stat.size > MAX_CHECKPOINT_FILE_BYTES) state = { sha: null, mtimeMs: stat.mtimeMs, size: stat.size, tooLarge: true };
+  else state = { sha: storeBlob(fs.readFileSync(file)), mtimeMs: stat.mtimeMs, size: stat.size };
+  if (watched.has(file) || watched.size < MAX_WATCHED_FILES) watched.set(file, state);
+  return state;
+}
+
+/**
+ * Start a turn's checkpoint. Returns a token for endTurn, or null when no
+ * session is open or a turn is already running (sub-agents, nested runs).
+ */
+export function beginTurn({ message = '', historyLength = 0 } = {}) {
+  if (!session || turn) return null;
+  const last = session.data.checkpoints[session.data.checkpoints.length - 1];
+  turn = {
+    turn: (last?.turn || 0) + 1,
+    message: String(message).slice(0, 200),
+    historyLength,
+    createdAt: Date.now(),
+    files: new Map(),
+  };
+  return turn;
+}
+
+/**
+ * Finish the turn: record what each touched file looks like now and save the checkpoint
+ */
+export function endTurn(token) {
+  if (!turn || token !== turn) return null;
+  const current = turn;
+  turn = null;
+  const files = [];
+  try {
+    for (const [file, before] of current.files) {
+      const after = capture(file, { fresh: true });
+      if (!after) continue;
+      if (before.tooLarge || after.tooLarge) files.push({ path: file, skipped: true });
+      else if (before.sha !== after.sha) files.push({ path: file, before: before.sha, after: after.sha });
+    }
+    const checkpoint = { turn: current.turn, message: current.message, historyLength: current.historyLength, createdAt: current.createdAt, files };
+    const hadRedo = session.data.redo.length > 0;
+    // A new turn after /rewind starts a new line of history — what /redo would bring back is gone
+    session.data.redo = [];
+    session.data.checkpoints.push(checkpoint);
+    const trimmed = session.data.checkpoints.length > MAX_CHECKPOINTS;
+    if (trimmed) session.data.checkpoints.splice(0, session.data.checkpoints.length - MAX_CHECKPOINTS);
+    saveIndex();
+    if (trimmed || hadRedo) collectGarbage();
+    return checkpoint;
+  } catch {
+    return null; // a failed checkpoint shouldn't break the turn
+  }
+}
+
+/**
+ * Save a file as it is now, before a tool changes it (first change per turn wins)
+ */
+export function rememberFile(file) {
+  if (!turn) return;
+  const resolved = path.resolve(file);
+  if (turn.files.has(resolved)) return;
+  try {
+    const state = capture(resolved);
+    if (state) turn.files.set(resolved, state);
+  } catch { /* unreadable: nothing to restore later */ }
+}
+
+/**
+ * Add a file to those checked around shell/MCP/plugin calls (read_file uses this)
+ */
+export function watchFile(file) {
+  if (!session) return;
+  const resolved = path.resolve(file);
+  if (!watched.has(resolved) && watched.size < MAX_WATCHED_FILES) watched.set(resolved, null);
+}
+
+/**
+ * Before a call that may write files without telling us: capture the watched files
+ * @returns {Map|null} pass to detectWatchedChanges after the call
+ */
+export function snapshotWatched() {
+  if (!turn) return null;
+  const before = new Map();
+  for (const file of watched.keys()) {
+    if (turn.files.has(file)) continue;
+    try {
+      const state = capture(file);
+      if (state) before.set(file, state);
+    } catch { /* unreadable */ }
+  }
+  return before;
+}
+
+/**
+ * After the call: record every watched file it changed in this turn's checkpoint
+ * @returns {string[]} the changed paths
+ */
+export function detectWatchedChanges(before) {
+  if (!turn || !before) return [];
+  const changed = [];
+  for (const [file, state] of before) {
+    if (turn.files.has(file)) continue;
+    try {
+      const now = capture(file);
+      if (now && now !== state && (now.sha !== state.sha || now.tooLarge !== state.tooLarge)) {
+        turn.files.set(file, state);
+        changed.push(file);
+      }
+    } catch { /* unreadable */ }
+  }
+  return changed;
+}
+
+// ─── Rewind / Redo ───
+
+/**
+ * Write each file back to a stored state (sha null = remove the file)
+ * @returns {{ restored: string[], failed: string[] }}
+ */
+function restoreFiles(targets) {
+  const restored = [];
+  const failed = [];
+  for (const [file, sha] of targets) {
+    try {
+      if (sha === null) {
+        fs.rmSync(file, { force: true });
+      } else {
+        const content = readBlob(sha);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+      }
+      restored.push(file);
+    } catch (err) {
+      failed.push(`${file}: ${err.message}`);
+    }
+  }
+  return { restored, failed };
+}
+
+/**
+ * Where turn `checkpoint` starts in the conversation, or -1 when the conversation
+ * no longer has it (cleared, loaded or compacted since)
+ */
+function findTurnStart(history, checkpoint) {
+  const starts = (m) => m?.role === 'user' && messageText(m.content).startsWith(checkpoint.message.slice(0, 80));
+  if (starts(history[checkpoint.historyLength])) return checkpoint.historyLength;
+  for (let i = Math.min(checkpoint.historyLength, history.length - 1); i >= 0; i--) {
+    if (starts(history[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Put every file back as it was before turn `turnNumber`, undoing that turn and
+ * all later ones. With `history`, the conversation is cut back to that turn too.
+ * @returns {{ success, turn, restored, skipped, failed, history?, historyCut? } | { success: false, error }}
+ *   history: the conversation to keep (only when it was cut)
+ */
+export function rewindTo(turnNumber, { history = null } = {}) {
+  if (!session) return { success: false, error: 'Checkpoints are only kept in the interactive shell.' };
+  if (turn) return { success: false, error: 'A turn is still running.' };
+  const checkpoints = session.data.checkpoints;
+  const index = checkpoints.findIndex(cp => cp.turn === turnNumber);
+  if (index === -1) return { success: false, error: `No checkpoint for turn ${turnNumber} — /rewind lists them.` };
+
+  const undone = checkpoints.slice(index);
+  // Each file goes back to how it was before the first of these turns that changed it
+  const targets = new Map();
+  const skipped = [];
+  for (const cp of undone) {
+    for (const f of cp.files) {
+      if (f.skipped) { if (!skipped.includes(f.path)) skipped.push(f.path); continue; }
+      if (!targets.has(f.path)) targets.set(f.path, f.before);
+    }
+  }
+
+  // Keep the files as they are now, so /redo can come back to them
+  const current = [];
+  for (const file of targets.keys()) {
+    const state = capture(file, { fresh: true });
+    current.push(state?.tooLarge ? { path: file, skipped: true } : { path: file, sha: state?.sha ?? null });
+  }
+  const { restored, failed } = restoreFiles(targets);
+
+  let kept = null;
+  let messages = null;
+  if (history) {
+    const cut = findTurnStart(history, undone[0]);
+    if (cut !== -1) {
+      kept = history.slice(0, cut);
+      messages = withoutImages(history.slice(cut));
+    }
+  }
+
+  session.data.checkpoints = checkpoints.slice(0, index);
+  session.data.redo.push({ turn: turnNumber, files: current, checkpoints: undone, messages, createdAt: Date.now() });
+  saveIndex();
+  return {
+    success: failed.length === 0,
+    turn: turnNumber,
+    turns: undone.length,
+    restored,
+    skipped,
+    failed,
+    ...(history ? { historyCut: kept !== null } : {}),
+    ...(kept ? { history: kept } : {}),
+  };
+}
+
+/**
+ * Undo the last /rewind: files go back to how they were just before it, and
+ * the rewound checkpoints (and conversation, if it was cut) come back.
+ * @returns {{ success, turn, restored, skipped, failed, messages }} | { success: false, error }}
+ *   messages: conversation to append again (null when the rewind kept it)
+ */
+export function redoRewind() {
+  if (!session) return { success: false, error: 'Checkpoints are only kept in the interactive shell.' };
+  if (turn) return { success: false, error: 'A turn is still running.' };
+  const record = session.data.redo.pop();
+  if (!record) return { success: false, error: 'Nothing to redo — /redo undoes a /rewind, until the next message.' };
+
+  const targets = new Map(record.files.filter(f => !f.skipped).map(f => [f.path, f.sha]));
+  const skipped = record.files.filter(f => f.skipped).map(f => f.path);
+  const { restored, failed } = restoreFiles(targets);
+  session.data.checkpoints.push(...record.checkpoints);
+  saveIndex();
+  return { success: failed.length === 0, turn: record.turn, turns: record.checkpoints.length, restored, skipped, failed, messages: record.messages };
+}
@@ -15,6 +15,7 @@ export function setMcpConfig(mcpConfig) {
 import Conf from 'conf';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
+import { withoutImages } from './images.js';
 
 // Load .env file (project root or cwd) so GROQ_API_KEY env var is available
 dotenv.config();
@@ -41,14 +42,20 @@ const config = new Conf({
     history: { type: 'array', default: [] },
     savedSessions: { type: 'object', default: {} },
     lastSession: { type: 'array', default: [] },
+    lastSessionPersona: { type: 'string', default: '' },
+    lastSessionCheckpoints: { type: 'string', default: '' },
     planMode: { type: 'boolean', default: false },
     aliases: { type: 'object', default: {} },
     hooks: { type: 'object', default: { preToolUse: [], postToolUse: [] } },
     conversationBranches: { type: 'object', default: {} },
     activeBranch: { type: 'string', default: 'main' },
     confirmWrites: { type: 'boolean', default: false },
+    diffContext: { type: 'number', default: 3 },
+    toolRouting: { type: 'boolean', default: true },
     teachCommands: { type: 'object', default: {} },
     snapshots: { type: 'object', default: {} },
+    providers: { type: 'object', default: {} },
+    usageLimits: { type: 'object', default: {} },
   },
 });
 
@@ -83,6 +90,39 @@ export function setModel(model) {
   config.set('defaultModel', model);
 }
 
+// ─── LLM Providers (Groq is built in; these are extra) ───
+// name → { type: 'groq'|'openai'|'stub', apiKey?, baseUrl?, script?, models: [ids], cooldown? }
+export function getProviders() {
+  return config.get('providers') || {};
+}
+
+export function addProvider(name, providerConfig) {
+  const providers = getProviders();
+  providers[name] = providerConfig;
+  config.set('providers', providers);
+}
+
+export function removeProvider(name) {
+  const providers = getProviders();
+  if (!providers[name]) return false;
+  delete providers[name];
+  config.set('providers', providers);
+  return true;
+}
+
+// ─── Daily Usage Soft Limits (warn, never block) ───
+// { dailyTokens?: number, dailyRequests?: number }
+export function getUsageLimits() {
+  return config.get('usageLimits') || {};
+}
+
+export function setUsageLimit(kind, value) {
+  const limits = getUsageLimits();
+  if (value) limits[kind] = value;
+  else delete limits[kind];
+  config.set('usageLimits', limits);
+}
+
 export function getMaxRetries() {
   return config.get('maxRetries');
 }
@@ -128,12 +168,15 @@ export function clearHistory() {
 }
 
 // ─── Saved Sessions ───
-export function saveSession(name, conversationHistory) {
+// Images are kept as their "[Attached image: ...]" note — base64 would bloat the config file
+export function saveSession(name, conversationHistory, { persona = null, checkpoints = null } = {}) {
   const sessions = config.get('savedSessions') || {};
   sessions[name] = {
-    history: conversationHistory,
+    history: withoutImages(conversationHistory),
     savedAt: Date.now(),
     messageCount: conversationHistory.length,
+    persona,
+    checkpoints,
   };
   config.set('savedSessions', sessions);
 }
@@ -153,14 +196,30 @@ export function deleteSession(name) {
   config.set('savedSessions', sessions);
 }
 
-export function saveLastSession(conversationHistory) {
-  config.set('lastSession', conversationHistory);
+export function saveLastSession(conversationHistory, { persona = null, checkpoints = null } = {}) {
+  config.set('lastSession', withoutImages(conversationHistory));
+  config.set('lastSessionPersona', persona || '');
+  config.set('lastSessionCheckpoints', checkpoints || '');
 }
 
 export function getLastSession() {
   return config.get('lastSession') || [];
 }
 
+/**
+ * Persona that was active when the last session was saved ('' = none)
+ */
+export function getLastSessionPersona() {
+  return config.get('lastSessionPersona') || '';
+}
+
+/**
+ * Checkpoint session (see checkpoints.js) of the last session ('' = none)
+ */
+export function getLastSessionCheckpoints() {
+  return config.get('lastSessionCheckpoints') || '';
+}
+
 // ─── Plan Mode ───
 export function getPlanMode() {
   return config.get('planMode') || false;
@@ -278,6 +337,25 @@ export function setConfirmWrites(value) {
   config.set('confirmWrites', value);
 }
 
+// ─── Diff Context (unchanged lines shown around each change) ───
+export function getDiffContext() {
+  const value = config.get('diffContext');
+  return Number.isInteger(value) && value >= 0 ? value : 3;
+}
+
+export function setDiffContext(value) {
+  config.set('diffContext', value);
+}
+
+// ─── Tool Routing (send each request only the relevant tools) ───
+export function getToolRouting() {
+  return config.get('toolRouting') !== false;
+}
+
+export function setToolRouting(value) {
+  config.set('toolRouting', value);
+}
+
 export function showConfig() {
   const key = getApiKey();
   const maskedKey = key ? key.slice(0, 8) + '...' + key.slice(-4) : chalk.red('NOT SET');
@@ -292,11 +370,15 @@ export function showConfig() {
     maxRetries: getMaxRetries(),
     planMode: getPlanMode() ? 'ON' : 'off',
     confirmWrites: getConfirmWrites() ? 'ON' : 'off',
+    diffContext: getDiffContext(),
+    toolRouting: getToolRouting() ? 'auto' : 'all tools',
     activeBranch: getActiveBranch(),
     aliases: Object.keys(aliases).length,
     teachCommands: Object.keys(teach).length,
     snapshots: Object.keys(snaps).length,
     mcpServers: Object.keys(getMcpServers()),
+    providers: ['groq', ...Object.keys(getProviders())],
+    usageLimits: getUsageLimits(),
     savedSessions: Object.keys(sessions).length,
     branches: Object.keys(branches).length,
     configPath: getConfigPath(),
@@ -0,0 +1,108 @@
+/**
+ * Vinsa CLI — Context Window Manager
+ *
+ * Cheap token estimation (no tokenizer dependency) and helpers that keep a
+ * request inside the model's context window:
+ *   1. old, oversized tool results are pruned first
+ *   2. then the oldest conversation turns are compacted into a summary (agent.compressHistory)
+ */
+
+// ~4 characters per token is close enough for Llama/Qwen/Mistral tokenizers on English + code
+const CHARS_PER_TOKEN = 4;
+// Role markers, separators, etc. added per message by the chat template
+const MESSAGE_OVERHEAD = 4;
+// Tool results larger than this are candidates for pruning
+const PRUNE_MIN_TOKENS = 500;
+// Rough cost of one image part (vision models bill images by tile, not by base64 length)
+const IMAGE_TOKENS = 1500;
+
+/**
+ * Estimate tokens in a string
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const str = typeof text === 'string' ? text : JSON.stringify(text);
+  return Math.ceil(str.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate tokens for one chat message (content + any tool calls)
+ */
+export function estimateMessageTokens(message) {
+  if (!message) return 0;
+  let tokens = MESSAGE_OVERHEAD;
+  if (typeof message.content === 'string') {
+    tokens += estimateTokens(message.content);
+  } else if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      if (part.type === 'text') tokens += estimateTokens(part.text);
+      else if (part.type === 'image_url') tokens += IMAGE_TOKENS;
+      else tokens += estimateTokens(part);
+    }
+  }
+  for (const tc of message.tool_calls || []) {
+    tokens += estimateTokens(tc.function?.name) + estimateTokens(tc.function?.arguments);
+  }
+  return tokens;
+}
+
+/**
+ * Estimate tokens for a list of messages
+ */
+export function estimateMessagesTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+}
+
+/**
+ * Token budget for a request: the model's window minus room for the reply.
+ * @returns {{ contextWindow: number, replyTokens: number, budget: number }}
+ */
+export function getContextBudget(modelInfo) {
+  const contextWindow = modelInfo?.context || 8192;
+  const replyTokens = Math.min(8192, Math.floor(contextWindow / 4));
+  return { contextWindow, replyTokens, budget: contextWindow - replyTokens };
+}
+
+/**
+ * Replace the oldest large tool results with a short placeholder until the
+ * messages fit in `budget`. The most recent `keepRecent` tool results are never touched.
+ * Mutates `messages` in place.
+ * @returns {number} how many results were pruned
+ */
+export function pruneToolResults(messages, budget, { keepRecent = 2 } = {}) {
+  let total = estimateMessagesTokens(messages);
+  if (total <= budget) return 0;
+
+  const toolIndexes = messages
+    .map((m, i) => (m.role === 'tool' ? i : -1))
+    .filter(i => i !== -1);
+  const candidates = toolIndexes.slice(0, Math.max(0, toolIndexes.length - keepRecent));
+
+  let pruned = 0;
+  for (const i of candidates) {
+    if (total <= budget) break;
+    const tokens = estimateTokens(messages[i].content);
+    if (tokens < PRUNE_MIN_TOKENS) continue;
+    const placeholder = `[pruned: ~${tokens} tokens of earlier tool output removed to fit the context window — re-run the tool if you still need it]`;
+    total -= tokens - estimateTokens(placeholder);
+    messages[i] = { ...messages[i], content: placeholder };
+    pruned++;
+  }
+  return pruned;
+}
+
+/**
+ * Index where the last `turns` user turns begin (everything before it can be compacted).
+ * Returns 0 when there aren't more turns than that.
+ */
+export function findRecentTurnsStart(history, turns) {
+  if (turns <= 0) return history.length;
+  let seen = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].role === 'user') {
+      seen++;
+      if (seen === turns) return i;
+    }
+  }
+  return 0;
+}
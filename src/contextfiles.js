@@ -0,0 +1,254 @@
+/**
+ * Vinsa CLI — VINSA.md Context Files
+ *
+ * Project instructions for the model, read from VINSA.md in the current
+ * directory and every parent, plus ~/.vinsa/VINSA.md. A file may start with
+ * frontmatter that applies while Vinsa runs in (or below) its directory, and
+ * may pull in other files with @include:
+ *
+ *   ---
+ *   model: llama-3.3-70b-versatile          # preferred model (nearest file wins)
+ *   tools: [read_file, search_files]        # allowlist (nearest file wins)
+ *   denyTools: [run_shell_command]          # never offered (adds up across files)
+ *   hooks:                                  # same format as /hooks add (adds up)
+ *     - pre block (write|edit)_file Generated code — edit the templates instead
+ *     - post log .*
+ *   ---
+ *   Use pnpm, never npm.
+ *   @include ./docs/conventions.md
+ *
+ * Includes resolve relative to the including file (~/ for home), nest up to
+ * MAX_INCLUDE_DEPTH deep, and are skipped with a note on a cycle. Everything
+ * together is capped at CONTEXT_BUDGET_TOKENS; past that, text is truncated.
+ * Files are cached by mtime, so unchanged ones aren't re-read on every request.
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseFrontmatter } from './frontmatter.js';
+import { estimateTokens } from './context.js';
+
+const CONTEXT_FILE = 'VINSA.md';
+const MAX_INCLUDE_DEPTH = 5;
+// Keeps project instructions from crowding out the conversation on small models
+export const CONTEXT_BUDGET_TOKENS = 8000;
+
+const INCLUDE_PATTERN = /^@include\s+(.+?)\s*$/;
+const HOOK_PATTERN = /^(pre|post)\s+(block|warn|log)\s+(\S+)(?:\s+(.*))?$/;
+
+// path → { mtimeMs, size, data, body, error }
+const fileCache = new Map();
+
+/**
+ * Read and parse a file, reusing the cached copy while its mtime and size are unchanged.
+ * Returns null when the file doesn't exist or can't be read.
+ */
+function readCached(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    fileCache.delete(file);
+    return null;
+  }
+  if (!stat.isFile()) return null;
+
+  const cached = fileCache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached;
+
+  let entry;
+  try {
+    const text = fs.readFileSync(file, 'utf-8');
+    try {
+      const { data, body } = parseFrontmatter(text);
+      entry = { mtimeMs: stat.mtimeMs, size: stat.size, data, body, error: null };
+    } catch (err) {
+      // Keep the text so the instructions still reach the model; the settings are ignored
+      entry = { mtimeMs: stat.mtimeMs, size: stat.size, data: {}, body: text, error: err.message };
+    }
+  } catch {
+    return null;
+  }
+  fileCache.set(file, entry);
+  return entry;
+}
+
+/**
+ * Top-level context files, nearest first: cwd → parents → ~/.vinsa/VINSA.md
+ */
+function contextFilePaths() {
+  const files = [];
+  let dir = process.cwd();
+  const root = path.parse(dir).root;
+  while (dir && dir !== root) {
+    files.push({ file: path.join(dir, CONTEXT_FILE), scope: 'project' });
+    dir = path.dirname(dir);
+  }
+  const home = process.env.HOME || process.env.USERPROFILE || '';
+  if (home) {
+    const globalPath = path.join(home, '.vinsa', CONTEXT_FILE);
+    if (!files.some(f => f.file === globalPath)) files.push({ file: globalPath, scope: 'global' });
+  }
+  return files;
+}
+
+/**
+ * Resolve an @include target relative to the file that names it
+ */
+function resolveInclude(target, fromFile) {
+  const home = process.env.HOME || process.env.USERPROFILE || '';
+  const clean = target.replace(/^["']|["']$/g, '');
+  if (clean.startsWith('~/') && home) return path.join(home, clean.slice(2));
+  return path.resolve(path.dirname(fromFile), clean);
+}
+
+/**
+ * Parse a hook line ("pre block write_file message...") into a config.js hook
+ */
+function parseHook(line) {
+  const match = String(line).trim().match(HOOK_PATTERN);
+  if (!match) return null;
+  const [, type, action, pattern, message = ''] = match;
+  return { type: type === 'pre' ? 'preToolUse' : 'postToolUse', hook: { action, pattern, message } };
+}
+
+/**
+ * Check one file's frontmatter and fold it into the settings
+ * (files arrive nearest first, so the first model/tools seen win)
+ */
+function applySettings(settings, data, file, warnings) {
+  const warn = (problem) => warnings.push(`${file}: ${problem}`);
+  const isNameList = (v) => Array.isArray(v) && v.every(t => typeof t === 'string');
+
+  if (data.model != null) {
+    if (typeof data.model !== 'string') warn('model must be a model key, e.g. llama-3.3-70b-versatile');
+    else if (!settings.model) settings.model = data.model;
+  }
+  if (data.tools != null) {
+    if (!isNameList(data.tools)) warn('tools must be a list of tool names');
+    else if (!settings.tools) settings.tools = data.tools;
+  }
+  if (data.denyTools != null) {
+    if (!isNameList(data.denyTools)) warn('denyTools must be a list of tool names');
+    else settings.denyTools.push(...data.denyTools.filter(t => !settings.denyTools.includes(t)));
+  }
+  if (data.hooks != null) {
+    for (const line of Array.isArray(data.hooks) ? data.hooks : [data.hooks]) {
+      const parsed = parseHook(line);
+      if (!parsed) {
+        warn(`invalid hook "${line}" — expected "pre|post block|warn|log <pattern> [message]"`);
+        continue;
+      }
+      try {
+        new RegExp(parsed.hook.pattern);
+      } catch {
+        warn(`invalid hook pattern /${parsed.hook.pattern}/`);
+        continue;
+      }
+      settings.hooks[parsed.type].push({ ...parsed.hook, source: file });
+    }
+  }
+}
+
+/**
+ * Load every active context file.
+ * @returns {{
+ *   text: string,                 system prompt section ('' when there are no files)
+ *   files: Array<{ path, scope: 'project'|'global'|'include', tokens, includedFrom?, truncated? }>,
+ *   settings: { model, tools, denyTools, hooks: { preToolUse, postToolUse } },
+ *   warnings: string[],
+ * }}
+ */
+export function loadContextFiles() {
+  const files = [];
+  const warnings = [];
+  const settings = { model: null, tools: null, denyTools: [], hooks: { preToolUse: [], postToolUse: [] } };
+  let remaining = CONTEXT_BUDGET_TOKENS;
+
+  // Add text while the budget lasts; returns what was kept
+  const spend = (text, record) => {
+    const tokens = estimateTokens(text);
+    if (tokens <= remaining) {
+      remaining -= tokens;
+      record.tokens += tokens;
+      return text;
+    }
+    const kept = text.slice(0, Math.max(0, remaining) * 4); // ~4 characters per token, as estimateTokens assumes
+    remaining = 0;
+    record.tokens += estimateTokens(kept);
+    record.truncated = true;
+    warnings.push(`${record.path}: truncated — VINSA.md files are capped at ${CONTEXT_BUDGET_TOKENS.toLocaleString()} tokens`);
+    return kept + (kept ? '\n' : '') + '[... truncated: VINSA.md context budget reached]';
+  };
+
+  // Expand one file's body, following @include lines outside code fences
+  const expand = (file, body, record, stack) => {
+    const done = [];  // pieces already charged to the budget
+    let out = [];     // this file's own lines since the last include
+    let inFence = false;
+    for (const line of body.split(/\r?\n/)) {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+      const include = !inFence && line.trim().match(INCLUDE_PATTERN);
+      if (!include) {
+        out.push(line);
+        continue;
+      }
+
+      const target = resolveInclude(include[1], file);
+      if (stack.includes(target)) {
+        warnings.push(`${file}: @include ${include[1]} skipped — include cycle (${[...stack, target].map(f => path.basename(f)).join(' → ')})`);
+        out.push(`[@include ${include[1]} skipped: include cycle]`);
+        continue;
+      }
+      if (stack.length > MAX_INCLUDE_DEPTH) {
+        warnings.push(`${file}: @include ${include[1]} skipped — includes nest at most ${MAX_INCLUDE_DEPTH} deep`);
+        out.push(`[@include ${include[1]} skipped: too deeply nested]`);
+        continue;
+      }
+      const entry = readCached(target);
+      if (!entry) {
+        warnings.push(`${file}: @include ${include[1]} not found (${target})`);
+        out.push(`[@include ${include[1]} skipped: file not found]`);
+        continue;
+      }
+      if (remaining <= 0) {
+        warnings.push(`${file}: @include ${include[1]} skipped — VINSA.md context budget reached`);
+        out.push(`[@include ${include[1]} skipped: context budget reached]`);
+        continue;
+      }
+
+      // Charge this file's text so far first, so the budget runs out in reading order
+      done.push(spend(out.join('\n'), record));
+      out = [];
+      const child = { path: target, scope: 'include', tokens: 0, includedFrom: file };
+      files.push(child);
+      done.push(expand(target, entry.body.trim(), child, [...stack, target]));
+    }
+    done.push(spend(out.join('\n'), record));
+    return done.filter(piece => piece !== '').join('\n');
+  };
+
+  const sections = [];
+  for (const { file, scope } of contextFilePaths()) {
+    const entry = readCached(file);
+    if (!entry || !entry.body.trim()) continue;
+    if (entry.error) warnings.push(`${file}: ${entry.error} — its settings are ignored`);
+    else applySettings(settings, entry.data, file, warnings);
+
+    const record = { path: file, scope, tokens: 0 };
+    files.push(record);
+    if (remaining <= 0) {
+      record.truncated = true;
+      warnings.push(`${file}: skipped — VINSA.md context budget reached`);
+      continue;
+    }
+    const header = scope === 'global' ? `[Global context from ${file}]` : `[Context from ${file}]`;
+    sections.push(`${header}\n${expand(file, entry.body.trim(), record, [file])}`);
+  }
+
+  return {
+    text: sections.length > 0 ? '\n\n## Project Context (from VINSA.md)\n' + sections.join('\n\n') : '',
+    files,
+    settings,
+    warnings,
+  };
+}
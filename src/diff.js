@@ -0,0 +1,231 @@
+/**
+ * Vinsa CLI — Line Diff
+ *
+ * Myers' O(ND) diff between two texts, grouped into unified hunks:
+ *
+ *   { header: '@@ -10,7 +10,8 @@', oldStart: 10, oldCount: 7, newStart: 10, newCount: 8,
+ *     lines: [{ op: ' '|'-'|'+', text }] }
+ *
+ * — the same shape parsePatch (patch.js) reads out of `git diff`, so one
+ * renderer (formatDiff in ui.js) draws both the /confirm preview and /diff.
+ * Paired -/+ lines also get word-level segments, so the renderer can
+ * highlight just the characters that changed.
+ */
+
+export const DEFAULT_CONTEXT = 3;
+
+// Past this many differing lines the exact diff gets slow and memory-hungry;
+// the rest is shown as one removed block and one added block instead
+const MAX_EDIT_DISTANCE = 2000;
+// Word highlighting only helps when most of the line survived
+const MIN_WORD_SIMILARITY = 0.4;
+
+/**
+ * Lines of a text, without the final newline's empty entry (CRLF or LF)
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Shortest edit script between two sequences of numbers (Myers, with a trace
+ * for backtracking). Returns ops in order: ' ' keep, '-' delete a[i], '+' insert b[j].
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  let d = 0;
+  for (; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+  }
+  if (!found) return null;
+
+  // Walk the trace back from the end; trace[d] holds v as it was before step d
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { ops.push(' '); x--; y--; }
+    if (d > 0) ops.push(x === prevX ? '+' : '-');
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/**
+ * Edit script between two arrays of strings, with - before + in every changed run
+ * @returns {Array<{ op: ' '|'-'|'+', text: string, oldIndex: number, newIndex: number }>}
+ *   oldIndex/newIndex: how many old/new items come before this one
+ */
+function diffSequences(oldItems, newItems) {
+  // Common prefix and suffix need no search
+  let start = 0;
+  while (start < oldItems.length && start < newItems.length && oldItems[start] === newItems[start]) start++;
+  let end = 0;
+  while (end < oldItems.length - start && end < newItems.length - start
+    && oldItems[oldItems.length - 1 - end] === newItems[newItems.length - 1 - end]) end++;
+
+  // Compare numbers instead of strings
+  const ids = new Map();
+  const idOf = (s) => { if (!ids.has(s)) ids.set(s, ids.size); return ids.get(s); };
+  const a = oldItems.slice(start, oldItems.length - end).map(idOf);
+  const b = newItems.slice(start, newItems.length - end).map(idOf);
+  const middle = myers(a, b) ?? [...a.map(() => '-'), ...b.map(() => '+')];
+
+  const script = [...Array(start).fill(' '), ...middle, ...Array(end).fill(' ')];
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  let removed = [];
+  let added = [];
+  // A changed run is emitted removed-first, numbered from where it starts
+  const flush = () => {
+    const fromOld = i - removed.length;
+    const fromNew = j - added.length;
+    removed.forEach((text, k) => ops.push({ op: '-', text, oldIndex: fromOld + k, newIndex: fromNew }));
+    added.forEach((text, k) => ops.push({ op: '+', text, oldIndex: i, newIndex: fromNew + k }));
+    removed = [];
+    added = [];
+  };
+  for (const op of script) {
+    if (op === ' ') {
+      flush();
+      ops.push({ op, text: oldItems[i], oldIndex: i, newIndex: j });
+      i++; j++;
+    } else if (op === '-') {
+      removed.push(oldItems[i++]);
+    } else {
+      added.push(newItems[j++]);
+    }
+  }
+  flush();
+  return ops;
+}
+
+/**
+ * Unified hunks between two texts.
+ * @param {string|null} oldText  null for a file that doesn't exist yet
+ * @param {string|null} newText  null for a file being deleted
+ * @param {object} opts  context: unchanged lines kept around each change (default 3)
+ */
+export function diffLines(oldText, newText, { context = DEFAULT_CONTEXT } = {}) {
+  const ops = diffSequences(splitLines(oldText), splitLines(newText));
+  const changed = ops.map((o, i) => (o.op === ' ' ? -1 : i)).filter(i => i >= 0);
+  if (changed.length === 0) return [];
+
+  // Changes closer than 2×context share a hunk
+  const ranges = [];
+  for (const i of changed) {
+    const last = ranges[ranges.length - 1];
+    if (last && i - last.to <= 2 * context + 1) last.to = i;
+    else ranges.push({ from: i, to: i });
+  }
+
+  return ranges.map(({ from, to }) => {
+    const slice = ops.slice(Math.max(0, from - context), Math.min(ops.length, to + context + 1));
+    const oldCount = slice.filter(o => o.op !== '+').length;
+    const newCount = slice.filter(o => o.op !== '-').length;
+    // An empty side names the line before it, as diff -u does
+    const oldStart = slice[0].oldIndex + (oldCount > 0 ? 1 : 0);
+    const newStart = slice[0].newIndex + (newCount > 0 ? 1 : 0);
+    return {
+      header: `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      oldStart,
+      oldCount,
+      newStart,
+      newCount,
+      lines: slice.map(({ op, text }) => ({ op, text })),
+    };
+  });
+}
+
+/**
+ * Which parts of a changed line differ, word by word.
+ * @returns {{ old: Array<{ text, changed }>, new: Array<{ text, changed }> } | null}
+ *   null when the lines have too little in common for highlighting to help
+ */
+export function wordDiff(oldLine, newLine) {
+  const tokenize = (s) => s.match(/\w+|\s+|[^\w\s]/g) || [];
+  const ops = diffSequences(tokenize(oldLine), tokenize(newLine));
+  const kept = ops.filter(o => o.op === ' ').reduce((n, o) => n + o.text.length, 0);
+  if (kept < MIN_WORD_SIMILARITY * Math.max(oldLine.length, newLine.length)) return null;
+
+  // Merge neighbouring tokens with the same state into one segment
+  const segments = (side) => {
+    const out = [];
+    for (const o of ops) {
+      if (o.op !== ' ' && o.op !== side) continue;
+      const changed = o.op !== ' ';
+      const last = out[out.length - 1];
+      if (last && last.changed === changed) last.text += o.text;
+      else out.push({ text: o.text, changed });
+    }
+    return out;
+  };
+  return { old: segments('-'), new: segments('+') };
+}
+
+/**
+ * A hunk's lines with word segments on each removed line paired with an added one
+ * (the n-th removed line of a changed run with its n-th added line)
+ * @returns {Array<{ op, text, segments? }>}
+ */
+export function highlightHunk(hunk) {
+  const lines = hunk.lines.map(l => ({ ...l }));
+  for (let i = 0; i < lines.length;) {
+    if (lines[i].op === ' ') { i++; continue; }
+    let r = i;
+    while (r < lines.length && lines[r].op === '-') r++;
+    let a = r;
+    while (a < lines.length && lines[a].op === '+') a++;
+    const pairs = Math.min(r - i, a - r);
+    for (let p = 0; p < pairs; p++) {
+      const words = wordDiff(lines[i + p].text, lines[r + p].text);
+      if (!words) continue;
+      lines[i + p].segments = words.old;
+      lines[r + p].segments = words.new;
+    }
+    i = Math.max(a, i + 1);
+  }
+  return lines;
+}
+
+/**
+ * Lines added and removed across hunks
+ */
+export function diffStats(hunks) {
+  let added = 0;
+  let removed = 0;
+  for (const h of hunks) {
+    for (const l of h.lines) {
+      if (l.op === '+') added++;
+      else if (l.op === '-') removed++;
+    }
+  }
+  return { added, removed };
+}
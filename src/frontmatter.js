@@ -0,0 +1,118 @@
+/**
+ * Vinsa CLI — Markdown Frontmatter
+ *
+ * Parses the `---` block at the top of persona and context files. Supports the
+ * YAML subset those files need, without pulling in a YAML dependency:
+ *   key: value            strings (bare or quoted), numbers, true/false, null
+ *   key: [a, "b c", 3]    inline lists
+ *   key:                  block lists
+ *     - a
+ *     - b
+ * Comments (# ...) and blank lines are skipped.
+ */
+
+/**
+ * Convert one scalar: quoted string, number, boolean, null, or bare string
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (/^"(.*)"$/.test(value)) {
+    try { return JSON.parse(value); } catch { return value.slice(1, -1); }
+  }
+  if (/^'(.*)'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null' || value === '~' || value === '') return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Split an inline list body on commas that aren't inside quotes
+ */
+function parseInlineList(inner) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const ch of inner) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) items.push(current);
+  return items.map(parseScalar);
+}
+
+/**
+ * Remove a trailing "# comment" that isn't inside quotes
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Split a Markdown file into frontmatter data and body.
+ * Files without frontmatter come back as { data: {}, body: text }.
+ * @returns {{ data: object, body: string }}
+ * @throws {Error} on a malformed frontmatter line (message includes the line number)
+ */
+export function parseFrontmatter(text) {
+  const source = (text || '').replace(/^\uFEFF/, '');
+  const match = source.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  const emptyKeys = new Set(); // "key:" with no list items under it
+  let listKey = null;
+  match[1].split(/\r?\n/).forEach((rawLine, i) => {
+    const line = stripComment(rawLine).replace(/\s+$/, '');
+    if (!line.trim()) return;
+
+    const item = line.match(/^\s+-\s*(.*)$/) || line.match(/^-\s*(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      emptyKeys.delete(listKey);
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:(.*)$/);
+    if (!pair) throw new Error(`Invalid frontmatter on line ${i + 2}: ${rawLine.trim()}`);
+    const [, key, rest] = pair;
+    const value = rest.trim();
+    listKey = null;
+    if (value === '') {
+      // Either a block list follows, or the value is empty
+      data[key] = [];
+      emptyKeys.add(key);
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      data[key] = parseInlineList(value.slice(1, -1));
+    } else {
+      data[key] = parseScalar(value);
+    }
+  });
+
+  for (const key of emptyKeys) data[key] = null;
+
+  return { data, body: source.slice(match[0].length) };
+}
@@ -0,0 +1,129 @@
+/**
+ * Vinsa CLI — Image Attachments
+ *
+ * Images travel as OpenAI-style multimodal content parts on a user message:
+ *   { role: 'user', content: [
+ *     { type: 'text', text: 'What is wrong here?\n\n[Attached image: error.png]' },
+ *     { type: 'image_url', image_url: { url: 'data:image/png;base64,...' } },
+ *   ] }
+ * Only models flagged `vision` in the pool can read them, so while one is in
+ * the conversation the rotator fails over between vision models only.
+ */
+import fs from 'fs';
+import path from 'path';
+
+export const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+};
+
+// Groq rejects base64 images over 4 MB and more than 5 images per request
+export const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+export const MAX_IMAGES_PER_MESSAGE = 5;
+
+/**
+ * Whether a path names an image we can attach (by extension)
+ */
+export function isImagePath(file) {
+  return path.extname(file).toLowerCase() in IMAGE_TYPES;
+}
+
+/**
+ * Check the bytes really are the image type they claim to be
+ */
+function sniffMimeType(buffer) {
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+  return null;
+}
+
+/**
+ * Wrap image bytes as an attachment: { name, mimeType, bytes, part }
+ * (`label` names the image in errors, when that differs from its name)
+ * @throws {Error} when the bytes aren't a supported image or are too large
+ */
+function toAttachment(name, buffer, label = name) {
+  const mimeType = sniffMimeType(buffer);
+  if (!mimeType) throw new Error(`${label} is not a PNG, JPEG, GIF or WebP image`);
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error(`${label} is ${(buffer.length / 1024 / 1024).toFixed(1)} MB — images are limited to ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+  }
+  return {
+    name,
+    mimeType,
+    bytes: buffer.length,
+    part: { type: 'image_url', image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}` } },
+  };
+}
+
+/**
+ * Load an image file as an attachment
+ * @throws {Error} when the file is missing, not an image, or too large
+ */
+export function loadImage(file) {
+  const resolved = path.resolve(file);
+  let buffer;
+  try {
+    buffer = fs.readFileSync(resolved);
+  } catch (err) {
+    throw new Error(err.code === 'ENOENT' ? `${file} not found` : `Cannot read ${file}: ${err.message}`);
+  }
+  return toAttachment(path.basename(resolved), buffer);
+}
+
+/**
+ * Decode an image sent over the API: a data URL, bare base64, or
+ * { data, name?, mimeType? } (mimeType is checked against the bytes).
+ * @throws {Error} on anything that isn't a supported image
+ */
+export function decodeImage(input, index = 0) {
+  const fallbackName = `image-${index + 1}`;
+  const raw = typeof input === 'string' ? input : input?.data;
+  if (typeof raw !== 'string' || !raw) throw new Error(`images[${index}] must be base64 data (a string or { data, name? })`);
+  const name = (typeof input === 'object' && typeof input.name === 'string' && input.name) || fallbackName;
+  const base64 = raw.replace(/^data:[\w/+.-]+;base64,/, '');
+  if (!/^[A-Za-z0-9+/\s]+=*$/.test(base64)) throw new Error(`images[${index}] is not valid base64`);
+
+  const attachment = toAttachment(name, Buffer.from(base64, 'base64'), `images[${index}]`);
+  if (typeof input === 'object' && input.mimeType && input.mimeType !== attachment.mimeType) {
+    throw new Error(`images[${index}] says ${input.mimeType} but contains ${attachment.mimeType}`);
+  }
+  return attachment;
+}
+
+/**
+ * User message content: plain text, or text plus image parts
+ */
+export function buildUserContent(text, attachments = []) {
+  if (attachments.length === 0) return text;
+  const names = attachments.map(a => `[Attached image: ${a.name}]`).join('\n');
+  return [{ type: 'text', text: `${text}\n\n${names}` }, ...attachments.map(a => a.part)];
+}
+
+/**
+ * The text of a message's content, whichever form it takes
+ */
+export function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content == null ? '' : String(content);
+  return content.filter(p => p.type === 'text').map(p => p.text).join('\n');
+}
+
+/**
+ * Whether any message carries an image
+ */
+export function hasImages(messages) {
+  return messages.some(m => Array.isArray(m.content) && m.content.some(p => p.type === 'image_url'));
+}
+
+/**
+ * Messages with images reduced to their "[Attached image: ...]" text (for saved sessions)
+ */
+export function withoutImages(messages) {
+  return messages.map(m => (Array.isArray(m.content) ? { ...m, content: messageText(m.content) } : m));
+}
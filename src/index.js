@@ -19,15 +19,21 @@ import path from 'path';
 import {
   printBanner, printResponse, printDivider, createSpinner,
   printError, printSuccess, printInfo, printWarning, colors,
-  printToolCall, printToolResult, printRetry,
+  printToolCall, printToolResult, printRetry, createMarkdownStream,
 } from './ui.js';
-import { getAgent } from './agent.js';
+import { getAgent, parseMaxSteps, MAX_STEPS_LIMIT } from './agent.js';
 import { getMcpManager, MCP_PRESETS } from './mcp.js';
 import {
   setApiKey, getApiKey, setModel, getModel, showConfig,
   addMcpServer, removeMcpServer, getMcpServers, getConfigPath,
   clearHistory, resetConfig, getLastSession,
+  getProviders, addProvider, removeProvider, getUsageLimits, setUsageLimit,
 } from './config.js';
+import { PROVIDER_TYPES } from './providers.js';
+import { openCassette } from './cassette.js';
+import { loadSchema } from './schema.js';
+import { getPersona } from './personas.js';
+import { readUsage, summarizeUsage, getTodayUsage, getUsageLedgerPath } from './usage.js';
 import { startChat } from './chat.js';
 import { executeTool, toolDefinitions } from './tools.js';
 
@@ -38,7 +44,58 @@ program
   .description(chalk.hex('#7C3AED').bold('Vinsa') + ' — AI-Powered Agentic CLI | Free & Open Source')
   .version('3.0.0', '-v, --version')
   .option('--no-color', 'Disable colored output')
-  .option('--verbose', 'Show detailed tool execution logs');
+  .option('--verbose', 'Show detailed tool execution logs')
+  .option('--record <file>', 'Record model responses and tool results to a cassette file')
+  .option('--replay <file>', 'Replay a recorded cassette offline (flags any divergence)')
+  .option('--system-prompt <text>', 'Replace the built-in system prompt (e.g. for cassettes that outlive prompt edits)');
+
+// ─── Usage ledger: bill completions to the command being run ───
+program.hook('preAction', (thisCommand, actionCommand) => {
+  getAgent().setUsageCommand(actionCommand === program ? 'chat' : actionCommand.name());
+});
+
+// ─── System prompt override: set before any request is built ───
+program.hook('preAction', () => {
+  const { systemPrompt } = program.opts();
+  if (systemPrompt) getAgent().setSystemPrompt(systemPrompt);
+});
+
+// ─── Record / replay: attach a cassette to the agent before any command runs ───
+program.hook('preAction', () => {
+  const { record, replay } = program.opts();
+  if (!record && !replay) return;
+  if (record && replay) {
+    printError('Use either --record or --replay, not both.');
+    process.exit(1);
+  }
+
+  let cassette;
+  try {
+    cassette = openCassette(record || replay, record ? 'record' : 'replay');
+  } catch (err) {
+    printError(err.message);
+    process.exit(1);
+  }
+  getAgent().setCassette(cassette);
+
+  if (cassette.isReplaying) {
+    cassette.onDivergence = (d) => printWarning(`Replay divergence (${d.kind}): ${d.detail}`);
+    process.on('exit', () => {
+      const unused = cassette.unusedInteractions();
+      if (cassette.divergences.length > 0 || unused > 0) {
+        const parts = [];
+        if (cassette.divergences.length > 0) parts.push(`${cassette.divergences.length} divergence(s)`);
+        if (unused > 0) parts.push(`${unused} recorded interaction(s) never replayed`);
+        process.stderr.write(`  ⚠ Replay of ${cassette.filePath}: ${parts.join(', ')}\n`);
+        process.exitCode = 1;
+      }
+    });
+  } else {
+    process.on('exit', () => {
+      process.stderr.write(`  ● Recorded ${cassette.data.interactions.length} interaction(s) to ${cassette.filePath}\n`);
+    });
+  }
+});
 
 // ═══════════════════════════════════════════════════
 // CHAT — Interactive mode
@@ -47,8 +104,9 @@ program
   .command('chat')
   .description('Start interactive chat with Vinsa')
   .option('--continue', 'Resume the last session')
+  .option('--persona <name>', 'Start with a persona from ~/.vinsa/personas or .vinsa/personas')
   .action(async (options) => {
-    await startChat({ continueSession: options.continue });
+    await startChat({ continueSession: options.continue, persona: personaOption(options.persona) });
   });
 
 // ═══════════════════════════════════════════════════
@@ -60,9 +118,22 @@ program
   .argument('<prompt...>', 'Your question or prompt')
   .option('--json', 'Output response as JSON (for piping/scripting)')
   .option('--output-format <format>', 'Output format: text, json, markdown (default: text)')
+  .option('--schema <file>', 'Return a JSON object validated against this JSON Schema file')
+  .option('--max-steps <n>', 'Tool calls allowed before the agent stops (default: 20)')
+  .option('--persona <name>', 'Answer as a persona from ~/.vinsa/personas or .vinsa/personas')
   .action(async (promptParts, options) => {
     const format = options.json ? 'json' : (options.outputFormat || 'text');
-    await askOnce(promptParts.join(' '), format);
+    let schema;
+    let maxSteps;
+    try {
+      if (options.schema) schema = loadSchema(options.schema);
+      if (options.maxSteps !== undefined) maxSteps = parseMaxSteps(options.maxSteps);
+    } catch (err) {
+      printError(err.message);
+      process.exit(1);
+    }
+    const persona = personaOption(options.persona);
+    await askOnce(promptParts.join(' '), format, { schema, maxSteps, persona });
   });
 
 // ═══════════════════════════════════════════════════
@@ -214,7 +285,7 @@ configCmd
 configCmd
   .command('set-model')
   .description('Set the AI model to use')
-  .argument('<model>', 'Model name (e.g., llama-3.3-70b-versatile, mixtral-8x7b-32768, llama-3.1-8b-instant)')
+  .argument('<model>', 'Model name (e.g., llama-3.3-70b-versatile, llama-3.1-8b-instant) or provider:model (e.g., ollama:llama3.1)')
   .action((model) => {
     setModel(model);
     printSuccess(`Model set to: ${model}`);
@@ -250,6 +321,100 @@ configCmd
     console.log(getConfigPath());
   });
 
+// ─── config provider — extra LLM providers ───
+const providerCmd = configCmd
+  .command('provider')
+  .description('Manage LLM providers (Groq is built in)');
+
+providerCmd
+  .command('add')
+  .description('Add a provider (OpenAI-compatible endpoint, extra Groq key, or offline stub)')
+  .argument('<name>', 'Provider name (used as the prefix in provider:model)')
+  .option('--type <type>', `Provider type: ${PROVIDER_TYPES.join(', ')}`, 'openai')
+  .option('--base-url <url>', 'API base URL (e.g., http://localhost:11434/v1)')
+  .option('--key <value>', 'API key for this provider')
+  .option('--models <models>', 'Comma-separated model ids')
+  .option('--script <file>', 'Reply script JSON (stub provider only)')
+  .option('--cooldown <seconds>', 'Cooldown after a rate limit (default: 60)')
+  .option('--context <tokens>', 'Context window of its models in tokens (default: 8192)')
+  .option('--vision <models>', 'Comma-separated model ids that accept images')
+  .action((name, options) => {
+    if (name === 'groq' || name.includes(':')) {
+      printError(name === 'groq' ? '"groq" is the built-in provider — use a different name.' : 'Provider names cannot contain ":"');
+      return;
+    }
+    if (!PROVIDER_TYPES.includes(options.type)) {
+      printError(`Unknown provider type "${options.type}". Use one of: ${PROVIDER_TYPES.join(', ')}`);
+      return;
+    }
+    if (options.type === 'openai' && !options.baseUrl) {
+      printError('OpenAI-compatible providers need --base-url');
+      printInfo('Example: vinsa config provider add ollama --base-url http://localhost:11434/v1 --models llama3.1');
+      return;
+    }
+    const models = options.models ? options.models.split(',').map(m => m.trim()).filter(Boolean) : [];
+    if (models.length === 0) {
+      if (options.type !== 'stub') {
+        printError('At least one model is required: --models model-a,model-b');
+        return;
+      }
+      models.push('stub');
+    }
+
+    const vision = options.vision ? options.vision.split(',').map(m => m.trim()).filter(Boolean) : [];
+    const unknown = vision.filter(m => !models.includes(m));
+    if (unknown.length > 0) {
+      printError(`--vision names models not in --models: ${unknown.join(', ')}`);
+      return;
+    }
+
+    const providerConfig = { type: options.type, models };
+    if (options.baseUrl) providerConfig.baseUrl = options.baseUrl;
+    if (options.key) providerConfig.apiKey = options.key;
+    if (options.script) providerConfig.script = path.resolve(options.script);
+    if (options.cooldown) providerConfig.cooldown = parseInt(options.cooldown, 10) || 60;
+    if (options.context) providerConfig.context = parseInt(options.context, 10) || 8192;
+    if (vision.length > 0) providerConfig.vision = vision;
+
+    addProvider(name, providerConfig);
+    printSuccess(`Provider '${name}' added (${models.length} model${models.length === 1 ? '' : 's'})`);
+    printInfo(`Use it by default: vinsa config set-model ${name}:${models[0]}`);
+  });
+
+providerCmd
+  .command('remove')
+  .description('Remove a provider')
+  .argument('<name>', 'Provider name')
+  .action((name) => {
+    if (removeProvider(name)) {
+      printSuccess(`Provider '${name}' removed`);
+      if (getModel().startsWith(`${name}:`)) {
+        printWarning(`Your default model (${getModel()}) used this provider — set a new one with: vinsa config set-model <model>`);
+      }
+    } else {
+      printError(`No provider named '${name}'`);
+    }
+  });
+
+providerCmd
+  .command('list')
+  .description('List configured providers')
+  .action(() => {
+    const providers = getProviders();
+    console.log('');
+    console.log(colors.brand.bold('  LLM Providers'));
+    printDivider();
+    console.log(`  ${colors.tool('groq'.padEnd(14))} ${colors.dim('groq'.padEnd(8))} built-in model pool`);
+    for (const [name, p] of Object.entries(providers)) {
+      const where = p.baseUrl || (p.script ? `script: ${p.script}` : '');
+      console.log(`  ${colors.tool(name.padEnd(14))} ${colors.dim(p.type.padEnd(8))} ${where}`);
+      console.log(colors.dim(`  ${''.padEnd(23)} models: ${(p.models || []).map(m => ((p.vision || []).includes(m) ? `${m} (vision)` : m)).join(', ')}`));
+    }
+    console.log('');
+    console.log(colors.dim('  Failover order: default model → its provider → other providers.'));
+    printDivider();
+  });
+
 // ═══════════════════════════════════════════════════
 // MCP — MCP Server management
 // ═══════════════════════════════════════════════════
@@ -404,6 +569,83 @@ program
     printDivider();
   });
 
+// ═══════════════════════════════════════════════════
+// USAGE — Token usage ledger report & daily soft limits
+// ═══════════════════════════════════════════════════
+const usageCmd = program
+  .command('usage')
+  .description('Report token usage by day, model and command')
+  .option('--days <n>', 'Number of days to include', '7')
+  .option('--json', 'Output the report as JSON')
+  .action((options) => {
+    const days = Math.max(1, parseInt(options.days) || 7);
+    const since = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+    const summary = summarizeUsage(readUsage({ since }));
+    const limits = getUsageLimits();
+
+    if (options.json) {
+      process.stdout.write(JSON.stringify({ since, ...summary, today: getTodayUsage(), limits }, null, 2) + '\n');
+      return;
+    }
+
+    const fmt = (n) => n.toLocaleString();
+    const printRows = (title, rows) => {
+      if (rows.length === 0) return;
+      console.log(colors.accent(`\n  ${title}`));
+      for (const row of rows) {
+        console.log(`    ${colors.tool(String(row.key).padEnd(34))} ${colors.dim(`${fmt(row.requests).padStart(6)} req`)}  ${fmt(row.totalTokens).padStart(12)} tokens`);
+      }
+    };
+
+    console.log('');
+    console.log(colors.brand.bold(`  Token Usage — last ${days} day${days === 1 ? '' : 's'}`));
+    printDivider();
+    if (summary.total.requests === 0) {
+      printInfo('No usage recorded yet.');
+    } else {
+      const { total } = summary;
+      console.log(`  Total:  ${fmt(total.requests)} requests · ${fmt(total.totalTokens)} tokens ${colors.dim(`(prompt ${fmt(total.promptTokens)} · completion ${fmt(total.completionTokens)})`)}`);
+      printRows('By day', summary.byDay);
+      printRows('By model', summary.byModel);
+      printRows('By command', summary.byCommand);
+    }
+
+    const today = getTodayUsage();
+    const limitParts = [];
+    if (limits.dailyTokens) limitParts.push(`${fmt(today.totalTokens)} / ${fmt(limits.dailyTokens)} tokens`);
+    if (limits.dailyRequests) limitParts.push(`${fmt(today.requests)} / ${fmt(limits.dailyRequests)} requests`);
+    console.log('');
+    console.log(limitParts.length
+      ? `  Today vs. soft limits: ${limitParts.join(' · ')}`
+      : colors.dim('  No daily soft limits set (vinsa usage limit --tokens <n> --requests <n>)'));
+    console.log(colors.dim(`  Ledger: ${getUsageLedgerPath()}`));
+    printDivider();
+  });
+
+usageCmd
+  .command('limit')
+  .description('Set daily soft limits — Vinsa warns before requests once usage nears them (0 clears)')
+  .option('--tokens <n>', 'Daily token limit')
+  .option('--requests <n>', 'Daily request limit')
+  .action((options) => {
+    if (options.tokens === undefined && options.requests === undefined) {
+      const limits = getUsageLimits();
+      printInfo(`Daily tokens: ${limits.dailyTokens ? limits.dailyTokens.toLocaleString() : 'no limit'}`);
+      printInfo(`Daily requests: ${limits.dailyRequests ? limits.dailyRequests.toLocaleString() : 'no limit'}`);
+      return;
+    }
+    for (const [kind, label, value] of [['dailyTokens', 'token', options.tokens], ['dailyRequests', 'request', options.requests]]) {
+      if (value === undefined) continue;
+      const n = parseInt(value);
+      if (Number.isNaN(n) || n < 0) {
+        printError(`Invalid limit: ${value}`);
+        process.exit(1);
+      }
+      setUsageLimit(kind, n);
+      printSuccess(n ? `Daily ${label} soft limit set to ${n.toLocaleString()}` : `Daily ${label} soft limit cleared`);
+    }
+  });
+
 // ═══════════════════════════════════════════════════
 // REVIEW — AI-powered code review on git diff
 // ═══════════════════════════════════════════════════
@@ -924,7 +1166,9 @@ gitCmd
 // ═══════════════════════════════════════════════════
 program
   .option('--continue', 'Resume the last session')
+  .option('--persona <name>', 'Start with a persona from ~/.vinsa/personas or .vinsa/personas')
   .action(async (options) => {
+    const persona = personaOption(options.persona);
     // ── Stdin Pipe Detection ──
     // If stdin is piped (not a TTY), read from pipe and send as one-shot
     if (!process.stdin.isTTY) {
@@ -934,29 +1178,103 @@ program
       }
       pipeData = pipeData.trim();
       if (pipeData) {
-        await askOnce(pipeData, 'text');
+        getAgent().setUsageCommand('ask');
+        await askOnce(pipeData, 'text', { persona });
         return;
       }
     }
-    await startChat({ continueSession: options.continue });
+    await startChat({ continueSession: options.continue, persona });
   });
 
+/**
+ * Resolve a --persona option (exits with the list of personas if it's unknown).
+ * The root command also defines --persona, so Commander may have parsed it there.
+ * @returns {object|null}
+ */
+function personaOption(value) {
+  const name = value ?? program.opts().persona;
+  if (!name) return null;
+  try {
+    return getPersona(name);
+  } catch (err) {
+    printError(err.message);
+    process.exit(1);
+  }
+}
+
 /**
  * One-shot question handler (used by `vinsa ask <question>`)
  * @param {string} prompt - The question
  * @param {string} format - Output format: 'text', 'json', 'markdown'
+ * @param {object} [options.schema] - JSON Schema the answer must conform to
+ * @param {object} [options.persona] - Persona to answer as (from personas.js)
  */
-async function askOnce(prompt, format = 'text') {
+async function askOnce(prompt, format = 'text', { schema, maxSteps, persona = null } = {}) {
   const isJson = format === 'json';
   const spinner = isJson ? null : createSpinner('Vinsa is thinking...');
 
   try {
     const agent = getAgent();
     agent.initialize();
+    if (persona) agent.setPersona(persona);
     if (spinner) spinner.start();
 
-    const response = await agent.ask(prompt, { silent: isJson });
+    if (schema) {
+      // Structured output: stdout carries only the validated JSON
+      const { data, attempts } = await agent.askStructured(prompt, schema, { silent: true, maxSteps });
+      if (spinner) spinner.stop();
+      if (isJson) {
+        const stats = agent.getStats();
+        process.stdout.write(JSON.stringify({
+          success: true,
+          prompt,
+          response: data,
+          attempts,
+          model: getModel(),
+          stats: {
+            promptTokens: stats.promptTokens,
+            completionTokens: stats.completionTokens,
+            totalTokens: stats.totalTokens,
+            duration: stats.sessionDuration,
+          },
+        }, null, 2) + '\n');
+      } else {
+        process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+      }
+      return;
+    }
+
+    // Stream tokens as they arrive: rendered markdown for text, raw for markdown
+    const mdStream = format === 'text' ? createMarkdownStream() : null;
+    let rawStreamed = '';
+    const endSegment = () => {
+      if (mdStream) mdStream.reset();
+      else if (rawStreamed) { process.stdout.write('\n'); rawStreamed = ''; }
+    };
+    const callbacks = isJson ? {} : {
+      onToken: (token) => {
+        if (spinner.isSpinning) spinner.stop();
+        if (mdStream) mdStream.write(token);
+        else { rawStreamed += token; process.stdout.write(token); }
+      },
+      onToolCall: (name, args, meta) => {
+        spinner.stop();
+        endSegment();
+        printToolCall(name, args, meta);
+        spinner.start();
+      },
+      onToolResult: (result, meta) => {
+        spinner.stop();
+        printToolResult(result, meta);
+        spinner.start();
+      },
+    };
+
+    const response = await agent.ask(prompt, { silent: isJson, maxSteps, ...callbacks });
     if (spinner) spinner.stop();
+    if (mdStream) mdStream.flush();
+    const stopped = agent.lastStop;
+    const streamed = (mdStream ? mdStream.text : rawStreamed) === response && response.length > 0;
 
     if (isJson) {
       // JSON output for piping/scripting/CI
@@ -965,6 +1283,7 @@ async function askOnce(prompt, format = 'text') {
         success: true,
         prompt,
         response,
+        ...(stopped ? { stopped } : {}),
         model: getModel(),
         stats: {
           promptTokens: stats.promptTokens,
@@ -976,16 +1295,22 @@ async function askOnce(prompt, format = 'text') {
       process.stdout.write(JSON.stringify(output, null, 2) + '\n');
     } else if (format === 'markdown') {
       // Raw markdown output (no colors, no UI)
-      process.stdout.write(response + '\n');
-    } else {
+      process.stdout.write(streamed ? '\n' : response + '\n');
+    } else if (!streamed) {
       // Default: styled terminal output
       printResponse(response);
     }
+    if (stopped?.reason === 'budget' && !isJson) {
+      // Hint on stderr so piped markdown stays clean
+      process.stderr.write(`  ⓘ Stopped after ${stopped.steps} tool call${stopped.steps === 1 ? '' : 's'}. Run again with --max-steps ${Math.min(stopped.steps * 2, MAX_STEPS_LIMIT)} to allow more.\n`);
+    }
   } catch (err) {
     if (spinner) spinner.stop();
 
     if (isJson) {
-      process.stdout.write(JSON.stringify({ success: false, error: err.message }) + '\n');
+      const output = { success: false, error: err.message };
+      if (err.validationErrors) output.validationErrors = err.validationErrors;
+      process.stdout.write(JSON.stringify(output) + '\n');
     } else {
       if (err.message.includes('DEV_KEY_EXHAUSTED')) {
         printWarning('The built-in API key has hit its limit across all models.');
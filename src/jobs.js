@@ -0,0 +1,224 @@
+/**
+ * Vinsa CLI — Background Shell Jobs
+ *
+ * `run_shell_command` with `background: true` starts the command here and
+ * returns at once with a job id; dev servers, installs and long test runs keep
+ * going while the conversation does. Each job keeps its output — stdout and
+ * stderr interleaved as they arrive — addressed by absolute character offsets:
+ *
+ *   job 1 · npm run dev · running · pid 4242
+ *   output:  [ dropped (older than MAX_JOB_OUTPUT) | kept ................ ]
+ *            0                    dropped                          total
+ *
+ * so job_output can hand the model just what's new since its last read.
+ * Jobs run in their own process group; killing one (or exiting Vinsa) stops
+ * everything the command started. Only long-lived sessions (chat, serve) let a
+ * running job keep Vinsa alive — a one-shot command exits when it's done.
+ */
+import { spawn } from 'child_process';
+
+// The tools that work on jobs (tools.js) — offered every turn while any job exists
+export const JOB_TOOL_NAMES = ['job_output', 'job_status', 'job_kill'];
+
+// Output kept per job; older output is dropped from the front
+const MAX_JOB_OUTPUT = 1024 * 1024;
+// Jobs running at once
+export const MAX_RUNNING_JOBS = 10;
+// Finished jobs remembered for job_output / /jobs
+const MAX_FINISHED_JOBS = 20;
+// How long a killed job (or a timed-out shell command) gets to exit before SIGKILL
+export const KILL_GRACE_MS = 3000;
+
+const jobs = new Map(); // id → job
+let nextId = 1;
+let exitHookInstalled = false;
+let keepAlive = false;
+
+/**
+ * Whether running jobs keep the process alive. Off by default, so a one-shot
+ * command doesn't wait on (say) a dev server it started; chat and serve turn it on.
+ */
+export function setJobsKeepAlive(value) {
+  keepAlive = !!value;
+}
+
+/**
+ * Stop every running job's process group — Vinsa is exiting
+ */
+function killAll() {
+  for (const job of jobs.values()) {
+    // A killed job may still be in its grace period
+    if (job.closed || job.status === 'failed') continue;
+    try {
+      if (process.platform === 'win32') job.child.kill();
+      else process.kill(-job.pid, 'SIGKILL');
+    } catch { /* already gone */ }
+  }
+}
+
+/**
+ * Forget the oldest finished jobs past MAX_FINISHED_JOBS
+ */
+function pruneFinished() {
+  const finished = [...jobs.values()].filter(j => j.status !== 'running');
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) jobs.delete(job.id);
+}
+
+function append(job, text) {
+  job.output += text;
+  job.total += text.length;
+  if (job.output.length > MAX_JOB_OUTPUT) {
+    const cut = job.output.length - MAX_JOB_OUTPUT;
+    job.output = job.output.slice(cut);
+    job.dropped += cut;
+  }
+}
+
+/**
+ * Start a command in the background.
+ * @param {string} command
+ * @param {object} opts  cwd, env (undefined → inherit)
+ * @returns {{ job } | { error: string }}
+ */
+export function startJob(command, { cwd, env } = {}) {
+  const running = [...jobs.values()].filter(j => j.status === 'running').length;
+  if (running >= MAX_RUNNING_JOBS) {
+    return { error: `${running} background jobs are already running (the limit is ${MAX_RUNNING_JOBS}) — stop one with job_kill first` };
+  }
+  if (!exitHookInstalled) {
+    process.on('exit', killAll);
+    exitHookInstalled = true;
+  }
+
+  const isWindows = process.platform === 'win32';
+  let child;
+  try {
+    child = spawn(isWindows ? 'powershell.exe' : '/bin/bash', isWindows ? ['-NoProfile', '-Command', command] : ['-c', command], {
+      cwd: cwd || process.cwd(),
+      env,
+      detached: !isWindows, // own process group, so job_kill reaches everything it started
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+  } catch (err) {
+    return { error: `Could not start the job: ${err.message}` };
+  }
+
+  const job = {
+    id: String(nextId++),
+    command,
+    cwd: cwd || process.cwd(),
+    pid: child.pid,
+    child,
+    status: 'running', // running | exited | killed | failed
+    closed: false,
+    exitCode: null,
+    signal: null,
+    error: null,
+    startedAt: Date.now(),
+    endedAt: null,
+    output: '',
+    dropped: 0,
+    total: 0,
+  };
+  jobs.set(job.id, job);
+
+  if (!keepAlive) {
+    child.unref();
+    child.stdout.unref();
+    child.stderr.unref();
+  }
+  child.stdout.setEncoding('utf-8');
+  child.stderr.setEncoding('utf-8');
+  child.stdout.on('data', (text) => append(job, text));
+  child.stderr.on('data', (text) => append(job, text));
+  child.on('error', (err) => {
+    job.error = err.message;
+    if (job.status === 'running') {
+      job.status = 'failed';
+      job.endedAt = Date.now();
+    }
+  });
+  child.on('close', (code, signal) => {
+    clearTimeout(job.killTimer);
+    job.closed = true;
+    job.exitCode = code;
+    job.signal = signal;
+    if (job.status === 'running') job.status = signal ? 'killed' : 'exited';
+    job.endedAt = job.endedAt || Date.now();
+    pruneFinished();
+  });
+  return { job };
+}
+
+export function getJob(id) {
+  return jobs.get(String(id)) || null;
+}
+
+/**
+ * Every job, oldest first
+ */
+export function listJobs() {
+  return [...jobs.values()];
+}
+
+/**
+ * A job's status, without its output
+ */
+export function describeJob(job) {
+  const info = {
+    jobId: job.id,
+    command: job.command,
+    cwd: job.cwd,
+    pid: job.pid,
+    status: job.status,
+    runtimeMs: (job.endedAt || Date.now()) - job.startedAt,
+    outputChars: job.total,
+  };
+  if (job.exitCode !== null) info.exitCode = job.exitCode;
+  if (job.signal) info.signal = job.signal;
+  if (job.error) info.error = job.error;
+  return info;
+}
+
+/**
+ * Output written since `offset` (an absolute character offset; 0 = the start).
+ * @returns {{ output, offset, nextOffset, missed }}
+ *   offset: where `output` actually starts — later than asked when that part was dropped
+ *   missed: characters dropped between the requested offset and `offset`
+ */
+export function readJobOutput(job, offset = 0, maxChars = 20000) {
+  const from = Math.max(offset, job.dropped);
+  const slice = job.output.slice(from - job.dropped, from - job.dropped + maxChars);
+  return { output: slice, offset: from, nextOffset: from + slice.length, missed: from - Math.max(0, offset) };
+}
+
+/**
+ * The last `count` lines of a job's output
+ */
+export function jobTail(job, count = 5) {
+  const lines = job.output.replace(/\r(?!\n)/g, '\n').split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines.slice(-count);
+}
+
+/**
+ * Stop a job: SIGTERM (or `signal`) to its process group, SIGKILL if it's still there after KILL_GRACE_MS
+ * @returns {{ success: boolean, error?: string }}
+ */
+export function killJob(job, signal = 'SIGTERM') {
+  if (job.status !== 'running') return { success: false, error: `Job ${job.id} is not running (${job.status})` };
+  try {
+    if (process.platform === 'win32') job.child.kill();
+    else process.kill(-job.pid, signal);
+  } catch (err) {
+    return { success: false, error: `Could not signal job ${job.id}: ${err.message}` };
+  }
+  job.status = 'killed';
+  job.endedAt = Date.now();
+  job.killTimer = setTimeout(() => {
+    try { process.kill(-job.pid, 'SIGKILL'); } catch { /* exited */ }
+  }, KILL_GRACE_MS);
+  job.killTimer.unref();
+  return { success: true };
+}
@@ -137,6 +137,7 @@ class MCPManager {
           name: prefixedName,
           description: `[MCP:${serverName}] ${tool.description || tool.name}`,
           parameters: tool.inputSchema || { type: 'object', properties: {} },
+          readOnly: tool.annotations?.readOnlyHint === true,
         });
       }
     }
@@ -145,9 +146,9 @@ class MCPManager {
   }
 
   /**
-   * Execute an MCP tool
+   * Execute an MCP tool. `signal` cancels the request to the server.
    */
-  async executeTool(prefixedName, args) {
+  async executeTool(prefixedName, args, { signal } = {}) {
     const mapping = this.toolToServer.get(prefixedName);
     if (!mapping) {
       return { success: false, error: `Unknown MCP tool: ${prefixedName}` };
@@ -162,7 +163,7 @@ class MCPManager {
       const result = await client.callTool({
         name: mapping.originalName,
         arguments: args,
-      });
+      }, undefined, { signal });
       return { success: true, result: result.content };
     } catch (err) {
       return { success: false, error: err.message };
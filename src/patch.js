@@ -0,0 +1,230 @@
+/**
+ * Vinsa CLI — Unified Diff Patches (apply_patch)
+ *
+ * Parses a unified diff (plain `diff -u` or `git diff` output) that may touch
+ * several files, and applies hunks to file contents in memory:
+ *
+ *   diff --git a/src/old.js b/src/new.js
+ *   rename from src/old.js
+ *   rename to src/new.js
+ *   --- a/src/old.js
+ *   +++ b/src/new.js
+ *   @@ -10,6 +10,7 @@
+ *    context
+ *   -removed
+ *   +added
+ *
+ * `/dev/null` on the --- side creates a file, on the +++ side deletes it.
+ * A hunk that isn't at its stated line is searched for nearby (offset), and
+ * failing that, with up to MAX_FUZZ context lines ignored at each end (fuzz),
+ * like GNU patch. Nothing here touches the disk — see applyPatch in tools.js.
+ */
+
+export const MAX_FUZZ = 2;
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Path from a ---/+++ line: strips the timestamp diff -u adds and quotes
+ */
+function headerPath(line) {
+  let value = line.slice(4).split('\t')[0].trim();
+  if (/^".*"$/.test(value)) value = value.slice(1, -1);
+  return value;
+}
+
+/**
+ * Parse a unified diff into per-file changes.
+ * @returns {{ files: Array<{ oldPath, newPath, type: 'modify'|'create'|'delete'|'rename', hunks }> } | { error: string }}
+ *   hunks: [{ header, oldStart, newStart, lines: [{ op: ' '|'-'|'+', text }], oldNoEol, newNoEol }]
+ */
+export function parsePatch(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let lastOp = null;
+
+  const startFile = () => {
+    file = { oldPath: null, newPath: null, renameFrom: null, renameTo: null, hunks: [] };
+    files.push(file);
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const where = `line ${i + 1}`;
+
+    if (line.startsWith('diff --git ')) {
+      startFile();
+      const match = line.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/);
+      if (match) { file.oldPath = `a/${match[1]}`; file.newPath = `b/${match[2]}`; }
+      file.git = true;
+      continue;
+    }
+    if (hunk) {
+      // Inside a hunk: count down the lines its header promised
+      const remaining = hunk.oldLeft > 0 || hunk.newLeft > 0;
+      if (line.startsWith('\\')) {
+        if (lastOp === '+') hunk.newNoEol = true;
+        else if (lastOp === '-') hunk.oldNoEol = true;
+        else if (lastOp === ' ') { hunk.oldNoEol = true; hunk.newNoEol = true; }
+        continue;
+      }
+      if (remaining) {
+        const op = line === '' ? ' ' : line[0];
+        if (op !== ' ' && op !== '-' && op !== '+') {
+          return { error: `${where}: hunk ${hunk.header} ends early — expected ${hunk.oldLeft} more old and ${hunk.newLeft} more new lines` };
+        }
+        hunk.lines.push({ op, text: line.slice(1) });
+        if (op !== '+') hunk.oldLeft--;
+        if (op !== '-') hunk.newLeft--;
+        if (hunk.oldLeft < 0 || hunk.newLeft < 0) return { error: `${where}: hunk ${hunk.header} has more lines than its header says` };
+        lastOp = op;
+        continue;
+      }
+      hunk = null;
+    }
+
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      // A ---/+++ pair starts a new file unless `diff --git` just did
+      if (!file || !file.git || file.sawHeaders || file.hunks.length > 0) startFile();
+      file.oldPath = headerPath(line);
+      file.newPath = headerPath(lines[i + 1]);
+      file.sawHeaders = true;
+      i++;
+      continue;
+    }
+    if (file && line.startsWith('rename from ')) { file.renameFrom = line.slice(12).trim(); continue; }
+    if (file && line.startsWith('rename to ')) { file.renameTo = line.slice(10).trim(); continue; }
+    if (file && line.startsWith('new file mode')) { file.created = true; continue; }
+    if (file && line.startsWith('deleted file mode')) { file.deleted = true; continue; }
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      if (!file) return { error: `${where}: hunk ${line} comes before any --- / +++ file header` };
+      hunk = {
+        header: line.match(/^@@[^@]*@@/)[0],
+        oldStart: parseInt(header[1], 10),
+        newStart: parseInt(header[3], 10),
+        oldLeft: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newLeft: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        lines: [],
+        oldNoEol: false,
+        newNoEol: false,
+      };
+      file.hunks.push(hunk);
+      lastOp = null;
+    }
+    // Anything else (index lines, similarity, commit messages, prose) is ignored
+  }
+  if (hunk && (hunk.oldLeft > 0 || hunk.newLeft > 0)) {
+    return { error: `hunk ${hunk.header} is cut off — expected ${hunk.oldLeft} more old and ${hunk.newLeft} more new lines` };
+  }
+
+  const result = [];
+  for (const f of files) {
+    if (!f.oldPath && !f.renameFrom) continue; // a `diff --git` line with nothing after it
+    // git prefixes paths with a/ and b/; plain diff -u doesn't
+    const strip = (p, prefix) => (p && p !== '/dev/null' && p.startsWith(prefix) ? p.slice(2) : p);
+    const gitStyle = [f.oldPath, f.newPath].every(p => !p || p === '/dev/null' || /^[ab]\//.test(p));
+    let oldPath = gitStyle ? strip(f.oldPath, 'a/') : f.oldPath;
+    let newPath = gitStyle ? strip(f.newPath, 'b/') : f.newPath;
+    if (f.renameFrom) oldPath = f.renameFrom;
+    if (f.renameTo) newPath = f.renameTo;
+
+    let type = 'modify';
+    if (oldPath === '/dev/null' || f.created) type = 'create';
+    else if (newPath === '/dev/null' || f.deleted) type = 'delete';
+    else if (oldPath !== newPath) type = 'rename';
+
+    if (type === 'modify' && f.hunks.length === 0) continue; // mode-only change
+    result.push({
+      oldPath: type === 'create' ? null : oldPath,
+      newPath: type === 'delete' ? null : newPath,
+      type,
+      hunks: f.hunks.map(({ oldLeft, newLeft, ...h }) => h),
+    });
+  }
+  if (result.length === 0) return { error: 'No file changes found — expected a unified diff with --- / +++ headers and @@ hunks' };
+  return { files: result };
+}
+
+/**
+ * Where `block` occurs in `lines`, searching outward from `expected`
+ */
+function findBlock(lines, block, expected) {
+  if (block.length === 0) return Math.min(Math.max(expected, 0), lines.length);
+  const matchesAt = (at) => at >= 0 && at + block.length <= lines.length && block.every((l, j) => lines[at + j] === l);
+  for (let distance = 0; distance <= lines.length; distance++) {
+    if (matchesAt(expected + distance)) return expected + distance;
+    if (distance > 0 && matchesAt(expected - distance)) return expected - distance;
+  }
+  return -1;
+}
+
+/**
+ * Apply one file's hunks to its content.
+ * @returns {{ content: string, notes: string[] } | { error: string }}
+ *   notes describe hunks applied at an offset or with fuzz
+ */
+export function applyHunks(content, hunks) {
+  const crlf = content.includes('\r\n');
+  const normalized = crlf ? content.replace(/\r\n/g, '\n') : content;
+  let eol = normalized === '' || normalized.endsWith('\n');
+  const lines = normalized === '' ? [] : normalized.replace(/\n$/, '').split('\n');
+  const notes = [];
+  let delta = 0; // how far earlier hunks moved the rest of the file
+
+  for (const [i, hunk] of hunks.entries()) {
+    const name = `hunk ${i + 1} (${hunk.header})`;
+    let oldBlock = hunk.lines.filter(l => l.op !== '+').map(l => l.text);
+    let newBlock = hunk.lines.filter(l => l.op !== '-').map(l => l.text);
+    // A zero-length old side means "insert after line oldStart"
+    const expected = (oldBlock.length === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta;
+
+    let base = expected;
+    let at = findBlock(lines, oldBlock, base);
+    let fuzz = 0;
+    while (at === -1 && fuzz < MAX_FUZZ) {
+      fuzz++;
+      // Ignore up to `fuzz` context lines at each end (never changed lines)
+      const lead = Math.min(fuzz, hunk.lines.findIndex(l => l.op !== ' '));
+      const trail = Math.min(fuzz, [...hunk.lines].reverse().findIndex(l => l.op !== ' '));
+      if (lead <= 0 && trail <= 0) break;
+      const trimmedOld = oldBlock.slice(lead, oldBlock.length - trail);
+      at = findBlock(lines, trimmedOld, expected + lead);
+      if (at !== -1) {
+        base = expected + lead;
+        oldBlock = trimmedOld;
+        newBlock = newBlock.slice(lead, newBlock.length - trail);
+      }
+    }
+    if (at === -1) {
+      const first = oldBlock.find(l => l.trim()) ?? oldBlock[0];
+      return { error: `${name} does not apply — its lines were not found near line ${expected + 1}${first !== undefined ? ` (first expected line: "${first.trim().slice(0, 100)}")` : ''}` };
+    }
+
+    const offset = at - base;
+    if (offset !== 0 || fuzz > 0) {
+      const how = [offset !== 0 ? `offset ${offset > 0 ? '+' : ''}${offset} line${Math.abs(offset) === 1 ? '' : 's'}` : '', fuzz > 0 ? `fuzz ${fuzz}` : ''].filter(Boolean).join(', ');
+      notes.push(`${name} applied at line ${at + 1} (${how})`);
+    }
+    lines.splice(at, oldBlock.length, ...newBlock);
+    delta += newBlock.length - oldBlock.length;
+
+    if (hunk.newNoEol) eol = false;
+    else if (hunk.oldNoEol) eol = true;
+  }
+
+  let result = lines.join('\n') + (eol && lines.length > 0 ? '\n' : '');
+  if (crlf) result = result.replace(/\n/g, '\r\n');
+  return { content: result, notes };
+}
+
+/**
+ * Content of a file the patch creates (its hunks applied to nothing)
+ */
+export function createdContent(hunks) {
+  return applyHunks('', hunks);
+}
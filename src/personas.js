@@ -0,0 +1,106 @@
+/**
+ * Vinsa CLI — Personas (system-prompt profiles)
+ *
+ * A persona is a Markdown file whose body is the system prompt and whose
+ * frontmatter holds its settings. Global ones live in ~/.vinsa/personas/,
+ * project ones in the nearest .vinsa/personas/ (same name → project wins).
+ * The file name (without .md) is the persona's name:
+ *
+ *   ~/.vinsa/personas/sre.md
+ *   ---
+ *   description: Terse on-call SRE
+ *   model: llama-3.3-70b-versatile   # preferred model while active
+ *   temperature: 0.2
+ *   tools: [run_shell_command, read_file, get_system_info, network_diagnostics]
+ *   planMode: false                  # plan-mode default while active
+ *   replace: false                   # true = replace Vinsa's built-in prompt instead of adding to it
+ *   ---
+ *   You are a senior SRE. Answer in as few words as possible...
+ *
+ * Every setting is optional.
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseFrontmatter } from './frontmatter.js';
+
+const NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Persona directories, lowest priority first: global, then the nearest project one
+ */
+function personaDirs() {
+  const dirs = [];
+  const home = process.env.HOME || process.env.USERPROFILE || '';
+  if (home) dirs.push(path.join(home, '.vinsa', 'personas'));
+
+  let dir = process.cwd();
+  const root = path.parse(dir).root;
+  while (dir && dir !== root) {
+    const candidate = path.join(dir, '.vinsa', 'personas');
+    if (fs.existsSync(candidate)) {
+      if (!dirs.includes(candidate)) dirs.push(candidate);
+      break;
+    }
+    dir = path.dirname(dir);
+  }
+  return dirs.filter(d => fs.existsSync(d));
+}
+
+/**
+ * Parse and check one persona file
+ */
+function readPersona(file) {
+  const name = path.basename(file, '.md');
+  const { data, body } = parseFrontmatter(fs.readFileSync(file, 'utf-8'));
+  const fail = (problem) => { throw new Error(`Persona "${name}" (${file}): ${problem}`); };
+
+  const prompt = body.trim();
+  if (!prompt) fail('the system prompt (the text after the frontmatter) is empty');
+  if (data.temperature != null && (typeof data.temperature !== 'number' || data.temperature < 0 || data.temperature > 2)) {
+    fail('temperature must be a number from 0 to 2');
+  }
+  if (data.tools != null && (!Array.isArray(data.tools) || data.tools.some(t => typeof t !== 'string'))) {
+    fail('tools must be a list of tool names');
+  }
+  if (data.model != null && typeof data.model !== 'string') fail('model must be a model key, e.g. llama-3.3-70b-versatile');
+  if (data.planMode != null && typeof data.planMode !== 'boolean') fail('planMode must be true or false');
+
+  return {
+    name,
+    description: typeof data.description === 'string' ? data.description : '',
+    prompt,
+    model: data.model || null,
+    temperature: data.temperature ?? null,
+    tools: data.tools || null,
+    planMode: data.planMode ?? null,
+    replace: data.replace === true,
+    source: file,
+  };
+}
+
+/**
+ * All personas: name → persona (project overrides global)
+ */
+export function loadPersonas() {
+  const personas = {};
+  for (const dir of personaDirs()) {
+    for (const entry of fs.readdirSync(dir).sort()) {
+      if (!entry.endsWith('.md') || !NAME_PATTERN.test(entry.slice(0, -3))) continue;
+      const persona = readPersona(path.join(dir, entry));
+      personas[persona.name] = persona;
+    }
+  }
+  return personas;
+}
+
+/**
+ * Look up one persona by name (throws with the list of known names)
+ */
+export function getPersona(name) {
+  const personas = loadPersonas();
+  if (!personas[name]) {
+    const names = Object.keys(personas);
+    throw new Error(`Unknown persona "${name}". ${names.length > 0 ? `Available: ${names.join(', ')}` : 'No personas found — add one to ~/.vinsa/personas/<name>.md'}`);
+  }
+  return personas[name];
+}
@@ -0,0 +1,158 @@
+/**
+ * Vinsa CLI — Multi-Agent Pipelines (/multi)
+ *
+ * A pipeline is three roles run in a loop:
+ *   planner → executor → reviewer → (executor → reviewer)* until the reviewer's
+ *   score clears `threshold` or `maxRounds` is reached.
+ *
+ * Teams can define their own in .vinsa/pipelines.json (nearest to the current
+ * directory wins; ~/.vinsa/pipelines.json is also read). Every field is optional
+ * and falls back to the default pipeline:
+ *   {
+ *     "security-audit": {
+ *       "description": "Audit code for vulnerabilities",
+ *       "threshold": 9,
+ *       "maxRounds": 4,
+ *       "roles": {
+ *         "planner":  { "name": "Threat Modeler", "system": "List the attack surfaces to check..." },
+ *         "executor": { "name": "Auditor", "tools": ["read_file", "search_files", "code_analysis"] },
+ *         "reviewer": { "name": "Security Lead", "system": "...", "model": "llama-3.3-70b-versatile" }
+ *       }
+ *     }
+ *   }
+ */
+import fs from 'fs';
+import path from 'path';
+
+export const ROLE_KEYS = ['planner', 'executor', 'reviewer'];
+
+export const DEFAULT_PIPELINE = {
+  name: 'default',
+  description: 'Planner → Executor → Reviewer, refined until the review passes',
+  threshold: 8,
+  maxRounds: 3,
+  roles: {
+    planner: {
+      name: 'Planner',
+      system: 'You are a task planner. Break down the following task into clear, numbered steps. Each step should be a single, concrete action. Output ONLY the numbered plan, nothing else.',
+    },
+    executor: {
+      name: 'Executor',
+      system: 'You are the executor. Carry out the plan step by step using your tools, then report the result of each step.',
+    },
+    reviewer: {
+      name: 'Reviewer',
+      system: 'You are a quality reviewer. Review the work done below: summarize what was accomplished, point out mistakes or gaps, and be concise and constructive.',
+    },
+  },
+};
+
+// Appended to every reviewer prompt so the score and issues can be parsed
+export const REVIEW_FORMAT = `
+
+End your review with exactly this format:
+SCORE: <1-10>
+ISSUES:
+- <a concrete problem the executor must fix>
+(or "ISSUES: none" if nothing needs fixing)`;
+
+/**
+ * Find pipeline files: ~/.vinsa/pipelines.json, then the nearest project .vinsa/pipelines.json
+ */
+function pipelineFiles() {
+  const files = [];
+  const home = process.env.HOME || process.env.USERPROFILE || '';
+  if (home) files.push(path.join(home, '.vinsa', 'pipelines.json'));
+
+  let dir = process.cwd();
+  const root = path.parse(dir).root;
+  while (dir && dir !== root) {
+    const candidate = path.join(dir, '.vinsa', 'pipelines.json');
+    if (fs.existsSync(candidate)) {
+      if (!files.includes(candidate)) files.push(candidate);
+      break;
+    }
+    dir = path.dirname(dir);
+  }
+  return files.filter(f => fs.existsSync(f));
+}
+
+/**
+ * Merge a pipeline definition over the default one
+ */
+function resolvePipeline(name, def, source) {
+  const roles = {};
+  for (const key of ROLE_KEYS) {
+    const role = def.roles?.[key] || {};
+    if (role.tools !== undefined && !Array.isArray(role.tools)) {
+      throw new Error(`Pipeline "${name}" (${source}): roles.${key}.tools must be an array of tool names`);
+    }
+    roles[key] = { ...DEFAULT_PIPELINE.roles[key], ...role };
+  }
+  return {
+    name,
+    description: def.description || '',
+    threshold: Number(def.threshold) || DEFAULT_PIPELINE.threshold,
+    maxRounds: Math.max(1, parseInt(def.maxRounds) || DEFAULT_PIPELINE.maxRounds),
+    roles,
+    source,
+  };
+}
+
+/**
+ * All available pipelines: name → resolved pipeline (project overrides global overrides default)
+ */
+export function loadPipelines() {
+  const pipelines = { default: { ...DEFAULT_PIPELINE, source: 'built-in' } };
+  for (const file of pipelineFiles()) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Cannot read ${file}: ${err.message}`);
+    }
+    for (const [name, def] of Object.entries(data || {})) {
+      if (def && typeof def === 'object') pipelines[name] = resolvePipeline(name, def, file);
+    }
+  }
+  return pipelines;
+}
+
+/**
+ * Look up one pipeline by name (throws with the list of known names)
+ */
+export function getPipeline(name = 'default') {
+  const pipelines = loadPipelines();
+  if (!pipelines[name]) {
+    throw new Error(`Unknown pipeline "${name}". Available: ${Object.keys(pipelines).join(', ')}`);
+  }
+  return pipelines[name];
+}
+
+/**
+ * Pull the score and issue list out of a review written in REVIEW_FORMAT
+ * (tolerates markdown bold, "8/10", and numbered issues).
+ * @returns {{ score: number|null, issues: string[] }}
+ */
+export function parseReview(text) {
+  const review = text || '';
+  const scoreMatch = review.match(/score\**\s*[:=]?\s*\**\s*(\d+(?:\.\d+)?)\s*(?:\/\s*10)?/i);
+  const score = scoreMatch ? Math.min(10, parseFloat(scoreMatch[1])) : null;
+
+  const issues = [];
+  const issuesAt = review.search(/issues\**\s*:/i);
+  if (issuesAt !== -1) {
+    const rest = review.slice(issuesAt).split('\n');
+    const inline = rest[0].replace(/^.*?issues\**\s*:\s*/i, '').trim();
+    if (inline && !/^none\.?$/i.test(inline)) issues.push(inline);
+    for (const line of rest.slice(1)) {
+      const item = line.match(/^\s*(?:[-*•]|\d+[.)])\s+(.*\S)/);
+      if (item) {
+        if (!/^none\.?$/i.test(item[1])) issues.push(item[1]);
+      } else if (line.trim() && issues.length > 0) {
+        break; // the list has ended
+      }
+    }
+  }
+  return { score, issues };
+}
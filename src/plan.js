@@ -0,0 +1,128 @@
+/**
+ * Vinsa CLI — Enforced Plan Mode
+ *
+ * With plan mode on (/plan), tools that can change the system are rejected
+ * until the model has proposed a structured plan and the user approved it:
+ *   investigate (read-only tools) → propose_plan → user approves in the REPL
+ *   → update_plan_step as each step starts / finishes
+ *
+ * Once approved, the plan is tracked step by step. Deviations are flagged, not
+ * blocked: changing things while no step is in progress, starting a step while
+ * an earlier one is still pending, or finishing with steps left undone.
+ * A finished plan closes the gate again, so the next task needs a new plan.
+ */
+
+export const PROPOSE_PLAN_TOOL = {
+  name: 'propose_plan',
+  description: 'PLAN MODE: submit your plan for the user to approve. Tools that change anything are blocked until a plan is approved. Investigate with read-only tools first, then propose concrete, ordered steps.',
+  parameters: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', description: 'One sentence: what the plan achieves' },
+      steps: { type: 'array', items: { type: 'string' }, description: 'Ordered steps, each a single concrete action' },
+    },
+    required: ['steps'],
+  },
+  // Waits for the user, so it never runs alongside other calls
+  readOnly: false,
+};
+
+export const UPDATE_PLAN_STEP_TOOL = {
+  name: 'update_plan_step',
+  description: 'PLAN MODE: report progress on the approved plan. Mark a step "in_progress" before working on it, then "done" (or "skipped", with a note saying why).',
+  parameters: {
+    type: 'object',
+    properties: {
+      step: { type: 'integer', description: 'Step number (1-based)' },
+      status: { type: 'string', enum: ['in_progress', 'done', 'skipped'], description: 'New status' },
+      note: { type: 'string', description: 'Optional note, e.g. why a step was skipped' },
+    },
+    required: ['step', 'status'],
+  },
+  readOnly: true,
+};
+
+export const PLAN_TOOL_NAMES = new Set([PROPOSE_PLAN_TOOL.name, UPDATE_PLAN_STEP_TOOL.name]);
+
+export const STATUS_ICONS = { pending: '○', in_progress: '◐', done: '●', skipped: '⊘' };
+
+/**
+ * Build an unapproved plan from propose_plan arguments
+ * @returns {{ plan: object } | { error: string }}
+ */
+export function createPlan(args) {
+  const steps = (Array.isArray(args?.steps) ? args.steps : [])
+    .map(s => String(s ?? '').trim())
+    .filter(Boolean);
+  if (steps.length === 0) return { error: 'propose_plan needs at least one step' };
+  return {
+    plan: {
+      summary: typeof args.summary === 'string' ? args.summary.trim() : '',
+      steps: steps.map(text => ({ text, status: 'pending', note: '' })),
+      approved: false,
+      deviations: [],
+    },
+  };
+}
+
+/**
+ * Apply an update_plan_step call to an approved plan.
+ * @returns {{ result: object, deviation: string|null }}
+ */
+export function updatePlanStep(plan, args) {
+  const index = parseInt(args?.step) - 1;
+  const step = plan.steps[index];
+  if (!step) {
+    return { result: { success: false, error: `No step ${args?.step} — the plan has ${plan.steps.length} steps` }, deviation: null };
+  }
+  if (!['in_progress', 'done', 'skipped'].includes(args.status)) {
+    return { result: { success: false, error: 'status must be "in_progress", "done" or "skipped"' }, deviation: null };
+  }
+
+  let deviation = null;
+  const earlier = plan.steps.slice(0, index).findIndex(s => s.status === 'pending' || s.status === 'in_progress');
+  if (earlier !== -1 && step.status === 'pending') {
+    deviation = `Step ${index + 1} started while step ${earlier + 1} is not finished`;
+  }
+  step.status = args.status;
+  if (args.note) step.note = String(args.note);
+
+  const remaining = plan.steps.filter(s => s.status === 'pending' || s.status === 'in_progress').length;
+  return {
+    result: { success: true, step: index + 1, status: step.status, remaining, ...(deviation ? { warning: deviation } : {}) },
+    deviation,
+  };
+}
+
+/**
+ * The step currently in progress (1-based number), or 0
+ */
+export function activeStep(plan) {
+  return plan.steps.findIndex(s => s.status === 'in_progress') + 1;
+}
+
+/**
+ * Whether every step is done or skipped
+ */
+export function isPlanFinished(plan) {
+  return plan.steps.every(s => s.status === 'done' || s.status === 'skipped');
+}
+
+/**
+ * Plain-text plan with status markers (for the system prompt and the REPL)
+ */
+export function formatPlan(plan) {
+  const lines = plan.steps.map((s, i) =>
+    `${STATUS_ICONS[s.status]} ${i + 1}. ${s.text}${s.note ? ` — ${s.note}` : ''}`);
+  return (plan.summary ? `${plan.summary}\n` : '') + lines.join('\n');
+}
+
+/**
+ * System prompt section for plan mode, reflecting where the plan stands
+ */
+export function planModePrompt(plan) {
+  const rules = '\n\n## PLAN MODE (ACTIVE)\nTools that change files or the system are BLOCKED until the user approves a plan.\n1. Investigate with read-only tools as needed.\n2. Call propose_plan with ordered, concrete steps and wait for the verdict.\n3. Once approved, follow the plan in order: call update_plan_step with "in_progress" before each step and "done" (or "skipped" with a note) after it. If you must depart from the plan, say so explicitly.';
+  if (!plan) return rules;
+  if (!plan.approved) return `${rules}\n\nYour proposed plan is waiting for approval (or was declined):\n${formatPlan(plan)}`;
+  return `${rules}\n\n## APPROVED PLAN (○ pending ◐ in progress ● done ⊘ skipped)\n${formatPlan(plan)}`;
+}
@@ -16,7 +16,8 @@
  *       },
  *       required: ['input'],
  *     },
- *     async execute(args) {
+ *     readOnly: true,   // optional — no side effects, may run in parallel
+ *     async execute(args, { signal }) {   // signal: aborted when the user cancels the turn
  *       return { success: true, result: `Processed: ${args.input}` };
  *     },
  *   };
@@ -77,6 +78,7 @@ export async function loadPlugins({ silent = false } = {}) {
         name: `plugin_${plugin.name}`,
         description: plugin.description || `Custom plugin: ${plugin.name}`,
         parameters: plugin.parameters || { type: 'object', properties: {}, required: [] },
+        readOnly: plugin.readOnly || false,
       };
 
       pluginTools.push(toolDef);
@@ -92,15 +94,15 @@ export async function loadPlugins({ silent = false } = {}) {
 }
 
 /**
- * Execute a plugin tool by name
+ * Execute a plugin tool by name. Plugins receive `{ signal }` as a second argument.
  */
-export async function executePlugin(toolName, args) {
+export async function executePlugin(toolName, args, { signal } = {}) {
   const handler = pluginHandlers[toolName];
   if (!handler) {
     return { success: false, error: `Plugin not found: ${toolName}` };
   }
   try {
-    return await handler(args);
+    return await handler(args, { signal });
   } catch (err) {
     return { success: false, error: `Plugin '${toolName}' failed: ${err.message}` };
   }
@@ -0,0 +1,924 @@
+/**
+ * Vinsa CLI — Command Policy (run_shell_command)
+ *
+ * Every shell command the model asks for is parsed first — pipes, && / || / ;,
+ * ( subshells ), { groups }, $(...) and `...`, <(...), `bash -c '...'`, eval,
+ * `find -exec`, and wrappers like sudo, env, nohup and xargs — then checked against rules
+ * from ~/.vinsa/policy.json and the nearest .vinsa/policy.json:
+ *
+ *   {
+ *     "defaultAction": "allow",                   // allow | ask | deny for commands no rule matches
+ *     "rules": [
+ *       { "action": "deny",  "command": "docker system prune*", "reason": "Shared Docker host" },
+ *       { "action": "ask",   "command": "git push*" },
+ *       { "action": "allow", "command": "npm test", "cwd": "~/work/app" },
+ *       { "action": "deny",  "cwd": "/srv/prod" },
+ *       { "action": "ask",   "command": "/^kubectl (apply|delete)\\b/" }
+ *     ],
+ *     "jail": { "allowEnv": ["AWS_REGION"] },     // or true
+ *     "disable": ["rm-outside-project"],          // built-in rules to switch off (global file only)
+ *     "defaults": false                           // switch off every built-in rule (global file only)
+ *   }
+ *
+ * `command` is a glob (* and ?) over each parsed command's words, or /a regex/;
+ * `cwd` is a directory the rule covers, with everything below it. Every
+ * command in a line is checked on its own and the strictest answer wins:
+ * deny > ask > allow, both across rules and across the commands of a line.
+ * The built-in rules (BUILT_IN_RULES) can only be switched off from the
+ * global file, so a cloned repository can't turn them off.
+ *
+ * The jail keeps commands inside the project root (git top level, else the
+ * directory holding .vinsa/, else cwd) — including every `cd` — and runs them
+ * with secret-looking variables (tokens, keys, passwords) removed from the
+ * environment. Nothing here runs a command — see runShellCommand in tools.js.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+const POLICY_FILE = 'policy.json';
+const ACTIONS = ['allow', 'ask', 'deny'];
+const SEVERITY = { allow: 0, ask: 1, deny: 2 };
+// `bash -c "eval \"$(...)\""` and friends nest; past this, the line is too tangled to judge
+const MAX_NESTING = 8;
+
+// Prefixes that run the command after them
+// (busybox/toybox run the applet named after them: `busybox rm -rf /` is rm)
+const WRAPPERS = new Set(['sudo', 'doas', 'env', 'nohup', 'time', 'nice', 'ionice', 'command', 'builtin', 'exec', 'stdbuf', 'timeout', 'xargs', 'watch', 'caffeinate', 'busybox', 'toybox']);
+// Wrapper options that take a value (sudo -u root, timeout -s KILL, xargs -I {}...)
+const WRAPPER_VALUE_OPTIONS = {
+  sudo: ['-u', '-g', '-C', '-h', '-p', '-r', '-t', '-U', '-D'],
+  doas: ['-u', '-C'],
+  env: ['-u', '-C', '-S'],
+  nice: ['-n'],
+  ionice: ['-c', '-n', '-p'],
+  stdbuf: ['-i', '-o', '-e'],
+  timeout: ['-s', '-k'],
+  xargs: ['-I', '-d', '-L', '-n', '-P', '-s', '-E', '-a'],
+  watch: ['-n'],
+};
+// Reserved words that come before a command, and ones that end a compound command
+const LEADING_KEYWORDS = new Set(['if', 'then', 'else', 'elif', 'while', 'until', 'do', '!']);
+const CLOSING_KEYWORDS = new Set(['fi', 'done', 'esac']);
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish']);
+const DOWNLOADERS = new Set(['curl', 'wget', 'fetch', 'aria2c', 'iwr', 'irm', 'invoke-webrequest', 'invoke-restmethod']);
+// Programs that run code handed to them on stdin
+const INTERPRETERS = new Set([...SHELLS, 'python', 'python2', 'python3', 'perl', 'ruby', 'node', 'php', 'iex', 'invoke-expression', 'powershell', 'pwsh', 'source', '.']);
+// Programs that don't read their program from stdin at all — the tail of `curl | iex`
+const ALWAYS_EXECUTE = new Set(['iex', 'invoke-expression']);
+const DISK_TOOLS = new Set(['mkfs', 'mke2fs', 'mkswap', 'mkntfs', 'newfs', 'fdisk', 'sfdisk', 'cfdisk', 'gdisk', 'sgdisk', 'parted', 'wipefs', 'diskpart', 'format', 'format-volume', 'clear-disk', 'initialize-disk']);
+const BLOCK_DEVICE = /^\/dev\/(sd[a-z]|hd[a-z]|vd[a-z]|xvd[a-z]|nvme\d|mmcblk\d|r?disk\d|md\d|dm-\d|loop\d|mapper\/)/;
+
+// Environment variables the jail removes, besides any name containing one of these words
+const SECRET_ENV = /(^|_)(API_?KEY|KEY|TOKEN|SECRET|PASSWORD|PASSWD|PASS|CREDENTIALS?|PRIVATE|AUTH|DSN)(_|$)/i;
+const SECRET_ENV_NAMES = new Set(['AWS_ACCESS_KEY_ID', 'DATABASE_URL', 'REDIS_URL', 'MONGODB_URI', 'SSH_AUTH_SOCK', 'GPG_AGENT_INFO', 'NETRC', 'PGPASSFILE']);
+
+// ─── Shell parsing ───
+
+/**
+ * Read up to the `)` matching an opening one just before `start`,
+ * skipping quoted text. Returns the index just past it.
+ */
+function skipBalanced(text, start) {
+  let depth = 1;
+  let i = start;
+  while (i < text.length) {
+    const c = text[i];
+    if (c === '\\') { i += 2; continue; }
+    if (c === "'") { const end = text.indexOf("'", i + 1); i = end === -1 ? text.length : end + 1; continue; }
+    if (c === '"') {
+      i++;
+      while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+      i++;
+      continue;
+    }
+    if (c === '(') depth++;
+    else if (c === ')' && --depth === 0) return i + 1;
+    i++;
+  }
+  return text.length;
+}
+
+/**
+ * Split a command line into words and operators. A word carries its text
+ * with quotes removed (variables other than $HOME left as written) and the
+ * source of every $(...), `...`, <(...) and >(...) inside it.
+ * @returns {Array<{ type: 'word', value, subs: string[], wholeSub } | { type: 'op'|'redir', value }>}
+ */
+function tokenize(text, home) {
+  const tokens = [];
+  const heredocs = [];
+  let i = 0;
+
+  const readSub = (open) => {
+    // open: characters before the body — "$(", "<(", ">(" or "`"
+    const from = i + open.length;
+    if (open === '`') {
+      let end = from;
+      while (end < text.length && text[end] !== '`') end += text[end] === '\\' ? 2 : 1;
+      i = end + 1;
+      return text.slice(from, end);
+    }
+    const end = skipBalanced(text, from);
+    i = end;
+    return text.slice(from, end - 1);
+  };
+
+  while (i < text.length) {
+    const c = text[i];
+    if (c === '\n') {
+      tokens.push({ type: 'op', value: ';' });
+      i++;
+      // Here-document bodies are data, not commands
+      for (const { delimiter, stripTabs } of heredocs.splice(0)) {
+        while (i < text.length) {
+          const lineEnd = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i);
+          const line = text.slice(i, lineEnd);
+          i = lineEnd + 1;
+          if ((stripTabs ? line.replace(/^\t+/, '') : line) === delimiter) break;
+        }
+      }
+      continue;
+    }
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+
+    const three = text.slice(i, i + 3);
+    const two = text.slice(i, i + 2);
+    if (two === '&&' || two === '||' || two === ';;' || two === '|&') { tokens.push({ type: 'op', value: two === ';;' ? ';' : two }); i += 2; continue; }
+    if (c === ';' || c === '|' || (c === '&' && text[i + 1] !== '>') || c === '(' || c === ')') { tokens.push({ type: 'op', value: c }); i++; continue; }
+
+    // Redirections: [n]> [n]>> &> >& < << <<< ...
+    const redir = text.slice(i).match(/^(\d*|&)(>>|>\||>&|<<<|<<-|<<|<&|<>|>|<)(?!\()/);
+    if (redir && (redir[1] === '' || /[<>]/.test(text[i + redir[1].length]))) {
+      const op = redir[0];
+      i += op.length;
+      tokens.push({ type: 'redir', value: op });
+      if (op.endsWith('<<') || op.endsWith('<<-')) {
+        while (/[ \t]/.test(text[i])) i++;
+        const match = text.slice(i).match(/^(['"]?)([^\s'";|&<>()]+)\1/);
+        if (match) {
+          heredocs.push({ delimiter: match[2], stripTabs: op.endsWith('-') });
+          tokens.push({ type: 'word', value: match[2], subs: [], wholeSub: false });
+          i += match[0].length;
+        }
+      }
+      continue;
+    }
+    if (three === '$((') {
+      // Arithmetic — nothing runs
+      i = skipBalanced(text, i + 3);
+      if (text[i] === ')') i++;
+      tokens.push({ type: 'word', value: '$((...))', subs: [], wholeSub: false });
+      continue;
+    }
+
+    // A word: runs of plain, quoted and substituted text
+    let value = '';
+    const subs = [];
+    const start = i;
+    // <( and >( inside a word are process substitutions, not redirections
+    while (i < text.length && (!/[\s;&|()<>]/.test(text[i]) || (/[<>]/.test(text[i]) && text[i + 1] === '('))) {
+      const ch = text[i];
+      if (ch === '\\') {
+        value += text[i + 1] === '\n' ? '' : (text[i + 1] ?? '');
+        i += 2;
+      } else if (ch === "'") {
+        const end = text.indexOf("'", i + 1);
+        value += text.slice(i + 1, end === -1 ? text.length : end);
+        i = end === -1 ? text.length : end + 1;
+      } else if (ch === '"') {
+        i++;
+        while (i < text.length && text[i] !== '"') {
+          if (text[i] === '\\' && /["\\$`\n]/.test(text[i + 1] || '')) {
+            value += text[i + 1] === '\n' ? '' : text[i + 1];
+            i += 2;
+          } else if (text.startsWith('$(', i) || text[i] === '`') {
+            const open = text[i] === '`' ? '`' : '$(';
+            const body = readSub(open);
+            subs.push(body);
+            value += open === '`' ? `\`${body}\`` : `$(${body})`;
+          } else if (/^\$(\{HOME\}|HOME\b)/.test(text.slice(i)) && home) {
+            value += home;
+            i += text[i + 1] === '{' ? 7 : 5;
+          } else {
+            value += text[i++];
+          }
+        }
+        i++;
+      } else if (text.startsWith('$(', i) || ch === '`' || ((ch === '<' || ch === '>') && text[i + 1] === '(')) {
+        const open = ch === '`' ? '`' : text.slice(i, i + 2);
+        const body = readSub(open);
+        subs.push(body);
+        value += open === '`' ? `\`${body}\`` : `${open}${body})`;
+      } else if (ch === '~' && i === start && (i + 1 >= text.length || /[\s/;&|)]/.test(text[i + 1])) && home) {
+        value += home;
+        i++;
+      } else if (ch === '$' && /^\$(\{HOME\}|HOME\b)/.test(text.slice(i)) && home) {
+        value += home;
+        i += text[i + 1] === '{' ? 7 : 5;
+      } else {
+        value += ch;
+        i++;
+      }
+    }
+    if (i === start) { i++; continue; }
+    const raw = text.slice(start, i);
+    const wholeSub = subs.length === 1 && /^"?(\$\(|`|<\(|>\()[\s\S]*(\)|`)"?$/.test(raw);
+    tokens.push({ type: 'word', value, subs, wholeSub });
+  }
+  return tokens;
+}
+
+/**
+ * Resolve a path argument the way the shell would from `cwd`.
+ * Returns null when it can't be known (unexpanded variables, unknown cwd).
+ */
+function resolveArg(value, cwd) {
+  if (/[$`]/.test(value)) return null;
+  if (path.isAbsolute(value)) return path.resolve(value);
+  if (!cwd) return null;
+  return path.resolve(cwd, value);
+}
+
+/**
+ * Drop wrappers (sudo, env, timeout 5, xargs -n1...) and variable assignments from the front
+ * @returns {{ rest, wrappers: string[] }} the command left, and the wrappers dropped
+ */
+function unwrap(words) {
+  let rest = words;
+  const wrappers = [];
+  for (;;) {
+    while (rest.length > 0 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(rest[0].value)) rest = rest.slice(1);
+    const name = rest[0] ? path.basename(rest[0].value) : '';
+    if (!WRAPPERS.has(name)) return { rest, wrappers };
+    wrappers.push(name);
+    rest = rest.slice(1);
+    while (rest.length > 0) {
+      const word = rest[0].value;
+      if (word === '--') { rest = rest.slice(1); break; }
+      if (WRAPPER_VALUE_OPTIONS[name]?.includes(word) && rest.length > 1) { rest = rest.slice(2); continue; }
+      if (word.startsWith('-') || /^[A-Za-z_][A-Za-z0-9_]*=/.test(word)) { rest = rest.slice(1); continue; }
+      // timeout 30 cmd / nice 10 cmd
+      if ((name === 'timeout' || name === 'nice') && /^\d+(\.\d+)?[smhd]?$/.test(word)) { rest = rest.slice(1); continue; }
+      break;
+    }
+  }
+}
+
+/**
+ * The script a shell or eval is handed as text (`bash -c '...'`, `eval ...`, `pwsh -Command ...`)
+ */
+function inlineScript(name, args) {
+  if (name === 'eval') return args.map(w => w.value).join(' ');
+  if (SHELLS.has(name)) {
+    const at = args.findIndex(w => /^-[a-z]*c[a-z]*$/.test(w.value));
+    return at !== -1 && args[at + 1] ? args[at + 1].value : null;
+  }
+  if (name === 'powershell' || name === 'pwsh' || name === 'cmd') {
+    const at = args.findIndex(w => /^([-/](c|command)|\/k)$/i.test(w.value));
+    return at !== -1 ? args.slice(at + 1).map(w => w.value).join(' ') : null;
+  }
+  return null;
+}
+
+/**
+ * The commands a `find` runs (-exec, -execdir, -ok, -okdir ... ; or +), each with
+ * find's start paths — the files it hands over as {} are somewhere below them
+ * @returns {Array<{ words, findPaths: string[] }>}
+ */
+function findExecs(words) {
+  const args = words.slice(1);
+  let at = 0;
+  while (at < args.length && /^-([HLP]|O\d|D)$/.test(args[at].value)) at += args[at].value === '-D' ? 2 : 1;
+  const findPaths = [];
+  while (at < args.length && !/^[-(!]/.test(args[at].value)) findPaths.push(args[at++].value);
+  if (findPaths.length === 0) findPaths.push('.');
+
+  const execs = [];
+  for (; at < args.length; at++) {
+    if (!/^-(exec|execdir|ok|okdir)$/.test(args[at].value)) continue;
+    let end = at + 1;
+    while (end < args.length && args[end].value !== ';' && !(args[end].value === '+' && args[end - 1].value === '{}')) end++;
+    if (end > at + 1) execs.push({ words: args.slice(at + 1, end), findPaths });
+    at = end;
+  }
+  return execs;
+}
+
+/**
+ * Parse a command line into the simple commands it runs.
+ * A command run by `find -exec` carries find's start paths (`findPaths`); one run
+ * by xargs is marked `fromInput` — it gets more arguments than the line shows.
+ * @returns {{
+ *   commands: Array<{ name, argv: string[], words, text, raw, redirects: Array<{ op, target }>, cwd: string|null, findPaths?, fromInput? }>,
+ *   pipelines: Array<Array<command[]>>,   the commands in each stage of every pipeline
+ *   functions: Array<{ name, calls }>,   shell functions defined, with how often their body calls them
+ *   tooDeep: boolean,
+ * }}
+ */
+export function parseCommand(text, { cwd = process.cwd(), home = process.env.HOME || process.env.USERPROFILE || '' } = {}, depth = 0) {
+  const out = { commands: [], pipelines: [], functions: [], tooDeep: false };
+  if (depth > MAX_NESTING) {
+    out.tooDeep = true;
+    return out;
+  }
+  const tokens = tokenize(String(text || ''), home);
+  let i = 0;
+
+  const merge = (inner) => {
+    out.commands.push(...inner.commands);
+    out.pipelines.push(...inner.pipelines);
+    out.functions.push(...inner.functions);
+    if (inner.tooDeep) out.tooDeep = true;
+  };
+  const isOp = (t, ...values) => t && t.type === 'op' && values.includes(t.value);
+  const isWord = (t, value) => t && t.type === 'word' && t.value === value;
+
+  // list := pipeline ((; & && || newline) pipeline)* — until `closer` (a ")" op or "}" word)
+  function list(state, closer) {
+    while (i < tokens.length) {
+      const t = tokens[i];
+      if (isOp(t, ';', '&', '&&', '||')) { i++; continue; }
+      if (closer === ')' && isOp(t, ')')) { i++; return; }
+      if (closer === '}' && isWord(t, '}')) { i++; return; }
+      if (isOp(t, ')', '|', '|&') || (t.type === 'word' && (CLOSING_KEYWORDS.has(t.value) || t.value === '}'))) { i++; continue; }
+      const at = i;
+      pipeline(state);
+      if (i === at) i++; // stray token — never loop on it
+    }
+  }
+
+  function pipeline(state) {
+    const stages = [];
+    for (;;) {
+      const before = out.commands.length;
+      element(state);
+      stages.push(out.commands.slice(before));
+      if (isOp(tokens[i], '|', '|&')) { i++; continue; }
+      break;
+    }
+    if (stages.length > 1) out.pipelines.push(stages);
+  }
+
+  function element(state) {
+    const t = tokens[i];
+    if (!t) return;
+    if (isOp(t, '(')) {
+      i++;
+      list({ cwd: state.cwd }, ')'); // a subshell's cd doesn't leak out
+      return;
+    }
+    if (isWord(t, '{')) {
+      i++;
+      list(state, '}');
+      return;
+    }
+    if (t.type === 'word' && LEADING_KEYWORDS.has(t.value)) {
+      i++;
+      element(state);
+      return;
+    }
+    if (t.type === 'word' && (t.value === 'for' || t.value === 'select')) {
+      // for x in a b c; do — only the loop header, which runs nothing (its $(...) aside)
+      while (i < tokens.length && !isOp(tokens[i], ';') && !isWord(tokens[i], 'do')) {
+        for (const sub of tokens[i].subs || []) merge(parseCommand(sub, { cwd: state.cwd, home }, depth + 1));
+        i++;
+      }
+      return;
+    }
+    if (t.type === 'word' && t.value === 'case') {
+      while (i < tokens.length && !isWord(tokens[i], 'in')) i++;
+      i++;
+      // Patterns end in ")"; each branch is a list ending in ;;
+      while (i < tokens.length && !isWord(tokens[i], 'esac')) {
+        while (i < tokens.length && !isOp(tokens[i], ')') && !isWord(tokens[i], 'esac')) i++;
+        if (isOp(tokens[i], ')')) i++;
+        while (i < tokens.length && !isOp(tokens[i], ';') && !isWord(tokens[i], 'esac')) {
+          const at = i;
+          pipeline(state);
+          if (i === at) i++;
+        }
+        if (isOp(tokens[i], ';')) i++;
+      }
+      i++;
+      return;
+    }
+    // function name() { ... } / function name { ... }
+    const named = isWord(t, 'function') && tokens[i + 1]?.type === 'word' ? 1 : 0;
+    if (tokens[i + named]?.type === 'word' && (named || (isOp(tokens[i + 1], '(') && isOp(tokens[i + 2], ')')))) {
+      const name = tokens[i + named].value;
+      i += named + 1;
+      if (isOp(tokens[i], '(') && isOp(tokens[i + 1], ')')) i += 2;
+      const before = out.commands.length;
+      element(state);
+      const calls = out.commands.slice(before).filter(c => c.name === name).length;
+      out.functions.push({ name, calls });
+      return;
+    }
+    simpleCommand(state);
+  }
+
+  function simpleCommand(state) {
+    const words = [];
+    const redirects = [];
+    while (i < tokens.length && tokens[i].type !== 'op') {
+      const t = tokens[i];
+      if (t.type === 'redir') {
+        const target = tokens[i + 1]?.type === 'word' ? tokens[i + 1] : null;
+        redirects.push({ op: t.value, target: target ? target.value : '' });
+        if (target) for (const sub of target.subs) merge(parseCommand(sub, { cwd: state.cwd, home }, depth + 1));
+        i += target ? 2 : 1;
+        continue;
+      }
+      words.push(t);
+      i++;
+    }
+    for (const word of words) {
+      for (const sub of word.subs) merge(parseCommand(sub, { cwd: state.cwd, home }, depth + 1));
+    }
+
+    if (words.length === 0 && redirects.length === 0) return;
+    addCommand(words, redirects, state);
+  }
+
+  // A simple command, then whatever it runs in turn (bash -c, eval, find -exec)
+  function addCommand(words, redirects, state, extra = {}) {
+    const { rest: effective, wrappers } = unwrap(words);
+    const argv = effective.map(w => w.value);
+    const name = argv.length > 0 ? path.basename(argv[0]).toLowerCase().replace(/\.exe$/, '') : '';
+    const command = {
+      name,
+      argv,
+      words: effective,
+      text: argv.join(' '),
+      raw: words.map(w => w.value).join(' '),
+      redirects,
+      cwd: state.cwd,
+      ...extra,
+    };
+    if (wrappers.includes('xargs')) command.fromInput = true;
+    out.commands.push(command);
+
+    if (name === 'cd' || name === 'pushd') {
+      const target = argv.slice(1).find(a => !a.startsWith('-') || a === '-');
+      if (target === '-') state.cwd = null;
+      else state.cwd = target === undefined ? home : resolveArg(target, state.cwd);
+    } else if (name === 'popd') {
+      state.cwd = null;
+    }
+
+    const script = inlineScript(name, effective.slice(1));
+    if (script !== null) merge(parseCommand(script, { cwd: state.cwd, home }, depth + 1));
+    if (name === 'find') {
+      for (const exec of findExecs(effective)) addCommand(exec.words, [], { cwd: state.cwd }, { findPaths: exec.findPaths });
+    }
+  }
+
+  list({ cwd: cwd ? path.resolve(cwd) : null }, null);
+  return out;
+}
+
+// ─── Built-in rules ───
+
+/**
+ * Whether `child` is `parent` or inside it
+ */
+function isWithin(child, parent) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Whether an interpreter in a pipeline runs what comes in on stdin
+ * (`sh`, `bash -s -- x`, `python3 -`) rather than a script or -c/-e/-m code
+ */
+function readsProgramFromStdin(command) {
+  if (ALWAYS_EXECUTE.has(command.name)) return true;
+  // Shells take their script with -c (-e is errexit); the others with -c, -e, -E, -m, -p or -r
+  const inline = SHELLS.has(command.name) ? /^-[a-z]*c[a-z]*$/ : /^-[a-zA-Z]*[ceEmpr]$/;
+  for (const arg of command.argv.slice(1)) {
+    if (arg === '-' || arg === '--') return true;
+    if (inline.test(arg) || /^-(command|file|encodedcommand)$/i.test(arg)) return false;
+    if (!arg.startsWith('-')) return false;
+  }
+  return true;
+}
+
+/**
+ * Findings from the built-in rules. Each rule looks at the whole parsed line.
+ * @returns {Array<{ action, reason }>}
+ */
+export const BUILT_IN_RULES = [
+  {
+    id: 'rm-outside-project',
+    description: 'Recursive deletes (rm -r, Remove-Item -Recurse, also under find -exec and xargs) outside the project root and the temp directory, of the root itself, or of home or a system directory',
+    check(parsed, { root, home }) {
+      const findings = [];
+      const tmp = path.resolve(os.tmpdir());
+      for (const cmd of parsed.commands) {
+        const args = cmd.argv.slice(1);
+        const recursive = (cmd.name === 'rm' && args.some(a => a === '--recursive' || /^-[a-zA-Z]*[rR]/.test(a)))
+          || (['remove-item', 'ri', 'del', 'rd', 'rmdir', 'erase'].includes(cmd.name) && args.some(a => /^[-/](recurse|s)$/i.test(a)));
+        if (!recursive) continue;
+        if (args.includes('--no-preserve-root')) {
+          findings.push({ action: 'deny', reason: `\`${cmd.text}\` uses --no-preserve-root` });
+          continue;
+        }
+        // rd /s, del /s — Windows switches; rm's arguments are all paths
+        const isOption = (a) => a.startsWith('-') || (cmd.name !== 'rm' && /^\/[a-z]+$/i.test(a));
+        // A finding for deleting `arg`, or null when that's fine
+        const judge = (arg) => {
+          // For a glob, judge the directory it matches in
+          const literal = arg.split(/[*?[]/)[0];
+          const target = resolveArg(literal === '' ? '.' : literal, cmd.cwd);
+          if (target === null) {
+            return { action: 'ask', reason: `\`${cmd.text}\` deletes "${arg}" recursively, and where that is can't be known before it runs` };
+          }
+          const isGlob = literal !== arg;
+          const dir = isGlob && literal !== '' && !/[\\/]$/.test(literal) ? path.dirname(target) : target;
+          const deny = (what) => ({ action: 'deny', reason: `\`${cmd.text}\` would delete ${what}` });
+          if (dir === path.parse(dir).root) return deny('the whole filesystem');
+          if (dir === home) return deny('your home directory');
+          if (dir === root && !isGlob) return deny('the whole project');
+          if (isWithin(home, dir) || (isWithin(root, dir) && !isGlob) || dir.split(path.sep).filter(Boolean).length <= 1) {
+            return deny(`${dir}, a directory that holds ${isWithin(root, dir) ? 'the project' : isWithin(home, dir) ? 'your home directory' : 'system files'}`);
+          }
+          if (!isWithin(dir, root) && !(isWithin(dir, tmp) && dir !== tmp)) return deny(`${dir}, outside the project (${root})`);
+          return null;
+        };
+        let options = true;
+        for (const arg of args) {
+          if (options && arg === '--') { options = false; continue; }
+          if (options && isOption(arg)) continue;
+          if (arg === '{}' && cmd.findPaths) {
+            // find hands over anything below its start paths, and the start path itself unless filtered out
+            for (const start of cmd.findPaths) {
+              const finding = judge(path.join(start, '*'));
+              if (finding) findings.push(finding);
+              else if (judge(start)) findings.push({ action: 'ask', reason: `\`${cmd.text}\` deletes whatever find matches in ${resolveArg(start, cmd.cwd)}, which can be that directory itself` });
+            }
+            continue;
+          }
+          const finding = judge(arg);
+          if (finding) findings.push(finding);
+        }
+        if (cmd.fromInput) {
+          findings.push({ action: 'ask', reason: `\`${cmd.raw}\` deletes the paths it reads from its input recursively, and which ones can't be known before it runs` });
+        }
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'disk-format',
+    description: 'Formatting, partitioning or overwriting disks (mkfs, fdisk, parted, wipefs, dd of=/dev/sdX, > /dev/sdX, format)',
+    check(parsed) {
+      const findings = [];
+      for (const cmd of parsed.commands) {
+        const base = cmd.name.split('.')[0];
+        if (DISK_TOOLS.has(cmd.name) || DISK_TOOLS.has(base)) {
+          findings.push({ action: 'deny', reason: `\`${cmd.text}\` formats or partitions a disk` });
+          continue;
+        }
+        const device = [
+          ...(cmd.name === 'dd' ? cmd.argv.filter(a => a.startsWith('of=')).map(a => a.slice(3)) : []),
+          ...(['shred', 'blkdiscard'].includes(cmd.name) ? cmd.argv.slice(1) : []),
+          ...cmd.redirects.filter(r => r.op.includes('>')).map(r => r.target),
+        ].find(target => BLOCK_DEVICE.test(target));
+        if (device) findings.push({ action: 'deny', reason: `${cmd.text ? `\`${cmd.text}\`` : 'a redirection'} writes straight to the disk device ${device}` });
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'fork-bomb',
+    description: 'Fork bombs — functions that pipe or background calls to themselves (:(){ :|:& };:), fork-while-fork',
+    check(parsed, { text }) {
+      const findings = [];
+      for (const fn of parsed.functions) {
+        if (fn.calls >= 2) findings.push({ action: 'deny', reason: `function ${fn.name} calls itself ${fn.calls} times per call — a fork bomb` });
+      }
+      if (/\bfork\b[\s;()]*while\s+fork\b/.test(text) || /%0\s*\|\s*%0/.test(text)) {
+        findings.push({ action: 'deny', reason: 'the command is a fork bomb' });
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'pipe-to-shell',
+    description: 'Running downloaded code directly (curl ... | sh, wget -O- | bash, bash <(curl ...), iwr ... | iex)',
+    check(parsed, { text }) {
+      const findings = [];
+      for (const stages of parsed.pipelines) {
+        const from = stages.findIndex(stage => stage.some(c => DOWNLOADERS.has(c.name)));
+        if (from === -1) continue;
+        const runner = stages.slice(from + 1).flat().find(c => INTERPRETERS.has(c.name) && readsProgramFromStdin(c));
+        if (runner) findings.push({ action: 'deny', reason: `downloaded content is piped straight into ${runner.name}` });
+      }
+      for (const cmd of parsed.commands) {
+        if (!INTERPRETERS.has(cmd.name)) continue;
+        const args = cmd.words.slice(1);
+        const script = args.findIndex(w => /^-[a-z]*c[a-z]*$/.test(w.value));
+        const program = script !== -1 ? args[script + 1] : args.find(w => !w.value.startsWith('-') || w.wholeSub);
+        if (program?.wholeSub && program.subs.some(sub => parseCommand(sub, { cwd: cmd.cwd }).commands.some(c => DOWNLOADERS.has(c.name)))) {
+          findings.push({ action: 'deny', reason: `${cmd.name} runs a script fetched from the network` });
+        }
+      }
+      if (/\b(iex|invoke-expression)\b[\s\S]*\b(iwr|irm|invoke-webrequest|invoke-restmethod|downloadstring)\b/i.test(text)) {
+        findings.push({ action: 'deny', reason: 'Invoke-Expression runs a script fetched from the network' });
+      }
+      return findings;
+    },
+  },
+];
+
+// ─── Policy files ───
+
+// path → { mtimeMs, size, data, error }
+const fileCache = new Map();
+// cwd → project root
+const rootCache = new Map();
+
+/**
+ * ~/.vinsa/policy.json and the nearest .vinsa/policy.json above cwd, global first
+ */
+export function policyFiles() {
+  const files = [];
+  const home = process.env.HOME || process.env.USERPROFILE || '';
+  const globalPath = home ? path.join(home, '.vinsa', POLICY_FILE) : null;
+  if (globalPath && fs.existsSync(globalPath)) files.push({ file: globalPath, scope: 'global', base: home });
+
+  let dir = process.cwd();
+  const root = path.parse(dir).root;
+  while (dir && dir !== root) {
+    const candidate = path.join(dir, '.vinsa', POLICY_FILE);
+    if (candidate !== globalPath && fs.existsSync(candidate)) {
+      files.push({ file: candidate, scope: 'project', base: dir });
+      break;
+    }
+    dir = path.dirname(dir);
+  }
+  return files;
+}
+
+/**
+ * Read and parse a policy file, reusing the cached copy while its mtime and size are unchanged
+ */
+function readPolicyFile(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    fileCache.delete(file);
+    return { data: null, error: null };
+  }
+  const cached = fileCache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached;
+
+  let entry;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected a JSON object');
+    entry = { mtimeMs: stat.mtimeMs, size: stat.size, data, error: null };
+  } catch (err) {
+    entry = { mtimeMs: stat.mtimeMs, size: stat.size, data: null, error: err.message };
+  }
+  fileCache.set(file, entry);
+  return entry;
+}
+
+/**
+ * A rule's `command` pattern as a RegExp: /regex/ as written, otherwise a glob
+ */
+function commandMatcher(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]);
+  const source = pattern.trim().split(/\s+/).join(' ')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expand ~ and resolve a rule's `cwd` against the directory its file belongs to
+ */
+function ruleDirectory(value, base) {
+  const home = process.env.HOME || process.env.USERPROFILE || '';
+  if (value === '~' || value.startsWith('~/')) return path.join(home, value.slice(1));
+  return path.resolve(base, value);
+}
+
+/**
+ * The project root: git top level of cwd, else the nearest directory with .vinsa/, else cwd
+ */
+export function projectRoot(cwd = process.cwd()) {
+  if (rootCache.has(cwd)) return rootCache.get(cwd);
+  let root = null;
+  try {
+    root = execFileSync('git', ['rev-parse', '--show-toplevel'], { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }).trim() || null;
+  } catch { /* not a git repository */ }
+  if (!root) {
+    const home = process.env.HOME || process.env.USERPROFILE || '';
+    let dir = cwd;
+    const top = path.parse(dir).root;
+    while (dir && dir !== top) {
+      if (fs.existsSync(path.join(dir, '.vinsa')) && dir !== home) { root = dir; break; }
+      dir = path.dirname(dir);
+    }
+  }
+  root = path.resolve(root || cwd);
+  rootCache.set(cwd, root);
+  return root;
+}
+
+/**
+ * Merge every policy file into one policy. A file that can't be read or has
+ * an invalid rule makes `error` non-null — commands are then refused until
+ * it's fixed, rather than run with a policy other than the one written.
+ * @returns {{ rules, defaultAction, builtIns: Array<{ id, description, enabled }>, jail: { enabled, allowEnv }, files, warnings, error }}
+ */
+export function loadPolicy() {
+  const policy = {
+    rules: [],
+    defaultAction: 'allow',
+    builtIns: BUILT_IN_RULES.map(r => ({ id: r.id, description: r.description, enabled: true })),
+    jail: { enabled: false, allowEnv: [] },
+    files: [],
+    warnings: [],
+    error: null,
+  };
+  const problems = [];
+
+  for (const { file, scope, base } of policyFiles()) {
+    const { data, error } = readPolicyFile(file);
+    if (error) {
+      problems.push(`${file}: ${error}`);
+      continue;
+    }
+    if (!data) continue;
+    policy.files.push({ path: file, scope });
+    const problem = (text) => problems.push(`${file}: ${text}`);
+
+    if (data.defaultAction !== undefined) {
+      if (!ACTIONS.includes(data.defaultAction)) problem(`defaultAction must be one of ${ACTIONS.join(', ')}`);
+      else if (SEVERITY[data.defaultAction] > SEVERITY[policy.defaultAction]) policy.defaultAction = data.defaultAction;
+    }
+    if (data.rules !== undefined && !Array.isArray(data.rules)) problem('rules must be a list');
+    for (const [index, rule] of (Array.isArray(data.rules) ? data.rules : []).entries()) {
+      const where = `rule ${index + 1}`;
+      if (!rule || typeof rule !== 'object') { problem(`${where} must be an object`); continue; }
+      if (!ACTIONS.includes(rule.action)) { problem(`${where}: action must be one of ${ACTIONS.join(', ')}`); continue; }
+      if (typeof rule.command !== 'string' && typeof rule.cwd !== 'string') { problem(`${where}: needs a "command" pattern, a "cwd" directory, or both`); continue; }
+      let matcher = null;
+      if (typeof rule.command === 'string') {
+        try {
+          matcher = commandMatcher(rule.command);
+        } catch (err) {
+          problem(`${where}: invalid pattern ${rule.command} — ${err.message}`);
+          continue;
+        }
+      }
+      policy.rules.push({
+        action: rule.action,
+        command: rule.command ?? null,
+        cwd: typeof rule.cwd === 'string' ? ruleDirectory(rule.cwd, base) : null,
+        reason: typeof rule.reason === 'string' ? rule.reason : '',
+        matcher,
+        source: `${file} ${where}`,
+      });
+    }
+
+    const disable = data.defaults === false ? BUILT_IN_RULES.map(r => r.id) : (Array.isArray(data.disable) ? data.disable : []);
+    if (disable.length > 0 && scope !== 'global') {
+      policy.warnings.push(`${file}: built-in rules can only be switched off in ~/.vinsa/${POLICY_FILE} — "defaults"/"disable" ignored`);
+    } else {
+      for (const id of disable) {
+        const builtIn = policy.builtIns.find(b => b.id === id);
+        if (builtIn) builtIn.enabled = false;
+        else policy.warnings.push(`${file}: no built-in rule "${id}" (there are: ${BUILT_IN_RULES.map(r => r.id).join(', ')})`);
+      }
+    }
+
+    if (data.jail !== undefined && data.jail !== false) {
+      if (data.jail !== true && (typeof data.jail !== 'object' || Array.isArray(data.jail))) {
+        problem('jail must be true, false, or { "allowEnv": [...] }');
+      } else {
+        policy.jail.enabled = true;
+        const allowEnv = data.jail === true ? [] : data.jail.allowEnv || [];
+        if (!Array.isArray(allowEnv) || !allowEnv.every(v => typeof v === 'string')) problem('jail.allowEnv must be a list of variable names');
+        else policy.jail.allowEnv.push(...allowEnv.filter(v => !policy.jail.allowEnv.includes(v)));
+      }
+    }
+  }
+
+  if (problems.length > 0) policy.error = problems.join('\n');
+  return policy;
+}
+
+/**
+ * The environment with secret-looking variables removed (names in `allowEnv` are kept)
+ * @returns {{ env: object, removed: string[] }}
+ */
+export function jailEnv(env = process.env, allowEnv = []) {
+  const kept = {};
+  const removed = [];
+  for (const [name, value] of Object.entries(env)) {
+    if (!allowEnv.includes(name) && (SECRET_ENV.test(name) || SECRET_ENV_NAMES.has(name.toUpperCase()))) removed.push(name);
+    else kept[name] = value;
+  }
+  return { env: kept, removed };
+}
+
+// ─── Checking a command ───
+
+/**
+ * Decide whether a command may run.
+ * @param {string} command  the command line, as the model wrote it
+ * @param {object} opts  cwd: where it runs (default process.cwd())
+ * @returns {{
+ *   action: 'allow'|'ask'|'deny',
+ *   reason: string,              why (the deciding finding; '' when nothing matched)
+ *   findings: Array<{ action, reason, source }>,
+ *   commands: Array<{ text, cwd }>,
+ *   root: string,
+ *   env?: object,                the environment to run with, when the jail is on
+ *   removedEnv?: string[],
+ * }}
+ */
+export function checkCommand(command, { cwd } = {}) {
+  const policy = loadPolicy();
+  const base = path.resolve(cwd || process.cwd());
+  const root = projectRoot(process.cwd());
+  const home = process.env.HOME || process.env.USERPROFILE || '';
+  const parsed = parseCommand(command, { cwd: base, home });
+  const findings = [];
+
+  if (policy.error) {
+    findings.push({ action: 'deny', reason: `the command policy can't be read — fix or remove it:\n${policy.error}`, source: 'policy' });
+  }
+  if (parsed.tooDeep) {
+    findings.push({ action: 'ask', reason: `the command nests shells more than ${MAX_NESTING} deep, too deep to check`, source: 'policy' });
+  }
+
+  const context = { root, home, text: String(command || '') };
+  for (const rule of BUILT_IN_RULES) {
+    if (!policy.builtIns.find(b => b.id === rule.id).enabled) continue;
+    for (const finding of rule.check(parsed, context)) findings.push({ ...finding, source: `built-in ${rule.id}` });
+  }
+
+  // Each command: its strictest matching rule, or the default action
+  for (const cmd of parsed.commands) {
+    if (!cmd.name) continue;
+    const matches = policy.rules.filter((rule) => {
+      if (rule.matcher && !rule.matcher.test(cmd.text) && !rule.matcher.test(cmd.raw)) return false;
+      // A command whose directory can't be known counts as inside every deny/ask directory
+      if (rule.cwd) return cmd.cwd ? isWithin(cmd.cwd, rule.cwd) : rule.action !== 'allow';
+      return true;
+    });
+    if (matches.length === 0) {
+      if (policy.defaultAction !== 'allow') findings.push({ action: policy.defaultAction, reason: `no rule allows \`${cmd.text}\``, source: 'defaultAction' });
+      continue;
+    }
+    const rule = matches.reduce((a, b) => (SEVERITY[b.action] > SEVERITY[a.action] ? b : a));
+    findings.push({
+      action: rule.action,
+      reason: rule.reason || `\`${cmd.text}\` matches ${rule.command ? `"${rule.command}"` : ''}${rule.command && rule.cwd ? ' in ' : ''}${rule.cwd ? rule.cwd : ''}`,
+      source: rule.source,
+    });
+  }
+
+  const result = {
+    action: 'allow',
+    reason: '',
+    findings,
+    commands: parsed.commands.filter(c => c.name).map(c => ({ text: c.text, cwd: c.cwd })),
+    root,
+  };
+
+  if (policy.jail.enabled) {
+    if (!isWithin(base, root)) {
+      findings.push({ action: 'deny', reason: `the jail keeps commands inside ${root}, and this one would run in ${base}`, source: 'jail' });
+    }
+    for (const cmd of parsed.commands) {
+      if (cmd.cwd === null) findings.push({ action: 'deny', reason: `the jail can't tell where \`${cmd.text}\` runs (cd to a variable or popd)`, source: 'jail' });
+      else if (!isWithin(cmd.cwd, root)) findings.push({ action: 'deny', reason: `the jail keeps commands inside ${root}, and \`${cmd.text}\` runs in ${cmd.cwd}`, source: 'jail' });
+    }
+    const { env, removed } = jailEnv(process.env, policy.jail.allowEnv);
+    result.env = env;
+    result.removedEnv = removed;
+  }
+
+  for (const finding of findings) {
+    if (SEVERITY[finding.action] > SEVERITY[result.action]) {
+      result.action = finding.action;
+      result.reason = finding.reason;
+    }
+  }
+  return result;
+}
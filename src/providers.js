@@ -0,0 +1,232 @@
+/**
+ * Vinsa CLI — LLM Provider Layer
+ *
+ * Every provider exposes the same tiny surface the agent needs:
+ *   client.chat.completions.create(params, { signal }) → completion | async stream
+ *   ...create(...).withResponse()                      → { data, response } (for headers)
+ *
+ * Provider types:
+ *   groq    — Groq cloud via groq-sdk (the built-in default)
+ *   openai  — any OpenAI-compatible /chat/completions endpoint
+ *             (llama.cpp server, Ollama, LM Studio, vLLM, OpenRouter, ...)
+ *   stub    — offline scripted replies, for demos and testing without a network
+ *
+ * Providers are configured with `vinsa config provider add`:
+ *   vinsa config provider add ollama --type openai --base-url http://localhost:11434/v1 --models llama3.1,qwen2.5
+ */
+import fs from 'fs';
+import path from 'path';
+import Groq from 'groq-sdk';
+import { messageText } from './images.js';
+
+export const PROVIDER_TYPES = ['groq', 'openai', 'stub'];
+
+// ════════════════════════════════════════════════════════════
+// ERRORS — shaped like groq-sdk's APIError so the agent treats them alike
+// ════════════════════════════════════════════════════════════
+export class ProviderError extends Error {
+  constructor(status, body, message, headers = {}) {
+    super(`${status ?? ''} ${message}`.trim());
+    this.name = 'ProviderError';
+    this.status = status;
+    this.error = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Mirror groq-sdk's APIPromise: awaitable for the data, `.withResponse()` for headers.
+ * @param {Promise<{data, response}>} pending
+ */
+function apiPromise(pending) {
+  const promise = pending.then(r => r.data);
+  promise.catch(() => {}); // callers may only await withResponse(); don't flag this copy as unhandled
+  promise.withResponse = () => pending;
+  return promise;
+}
+
+// ════════════════════════════════════════════════════════════
+// OPENAI-COMPATIBLE CLIENT — plain fetch + SSE parsing
+// ════════════════════════════════════════════════════════════
+class OpenAICompatibleClient {
+  constructor({ name, baseUrl, apiKey }) {
+    if (!baseUrl) throw new Error(`Provider "${name}" needs a base URL (--base-url)`);
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey || '';
+    this.chat = { completions: { create: (params, options) => apiPromise(this._create(params, options)) } };
+  }
+
+  async _create(params, { signal } = {}) {
+    // Own controller so an idle stream can be aborted from outside
+    const controller = new AbortController();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      else signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    // OpenAI-style servers leave usage out of streams unless asked for it (on a final, choice-less chunk)
+    const payload = params.stream ? { ...params, stream_options: { include_usage: true, ...params.stream_options } } : params;
+
+    let res;
+    try {
+      res = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      const cause = err.cause?.code || err.cause?.message || err.message;
+      throw new ProviderError(null, null, `Provider "${this.name}" unreachable at ${this.baseUrl} (${cause})`);
+    }
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      let body = null;
+      try { body = JSON.parse(text); } catch { /* not JSON */ }
+      const message = body?.error?.message || body?.message || text || res.statusText;
+      throw new ProviderError(res.status, body, message, Object.fromEntries(res.headers));
+    }
+
+    if (!params.stream) return { data: await res.json(), response: res };
+
+    const stream = parseSSE(res.body);
+    stream.controller = controller;
+    return { data: stream, response: res };
+  }
+}
+
+/**
+ * Turn a Server-Sent Events body into an async iterator of parsed JSON chunks.
+ */
+async function* parseSSE(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      let chunk;
+      try { chunk = JSON.parse(data); } catch { continue; }
+      if (chunk.error) {
+        throw new ProviderError(chunk.error.status_code || null, chunk.error, chunk.error.message || 'Stream error');
+      }
+      yield chunk;
+    }
+  }
+}
+
+// ════════════════════════════════════════════════════════════
+// STUB CLIENT — offline scripted replies
+// ════════════════════════════════════════════════════════════
+/**
+ * Script file format (JSON array, consumed in order, then falls back to echo):
+ *   [
+ *     "Plain text reply",
+ *     { "content": "Let me look.", "tool_calls": [{ "name": "list_directory", "arguments": { "path": "." } }] },
+ *     "Done — here is what I found."
+ *   ]
+ * A turn may also carry `usage` ({ prompt_tokens, completion_tokens, total_tokens }),
+ * or be an error the provider "returns" instead of a reply:
+ *     { "error": { "status": 429, "message": "Rate limit reached...", "body": {...}, "headers": {...} } }
+ */
+class StubClient {
+  constructor({ name, script }) {
+    this.name = name;
+    this.turns = [];
+    this.cursor = 0;
+    if (script) {
+      const scriptPath = path.resolve(script);
+      try {
+        const parsed = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'));
+        this.turns = Array.isArray(parsed) ? parsed : [];
+      } catch (err) {
+        throw new Error(`Stub provider "${name}": cannot read script ${scriptPath} (${err.message})`);
+      }
+    }
+    this.chat = {
+      completions: {
+        create: (params) => apiPromise(this._create(params).then(data => ({ data, response: { headers: new Headers() } }))),
+      },
+    };
+  }
+
+  _nextMessage(messages, turn) {
+    if (turn !== undefined) {
+      if (typeof turn === 'string') return { role: 'assistant', content: turn };
+      const message = { role: 'assistant', content: turn.content || '' };
+      if (Array.isArray(turn.tool_calls) && turn.tool_calls.length > 0) {
+        message.content = turn.content || null;
+        message.tool_calls = turn.tool_calls.map((tc, i) => ({
+          id: `stub_${this.cursor}_${i}`,
+          type: 'function',
+          function: {
+            name: tc.name,
+            arguments: typeof tc.arguments === 'string' ? tc.arguments : JSON.stringify(tc.arguments || {}),
+          },
+        }));
+      }
+      return message;
+    }
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const text = messageText(lastUser?.content);
+    return { role: 'assistant', content: `[stub] ${text}` };
+  }
+
+  async _create(params) {
+    const turn = this.turns[this.cursor];
+    if (turn !== undefined) this.cursor++;
+    if (turn?.error) {
+      const { status = 500, message = 'Scripted error', body = null, headers = {} } = turn.error;
+      throw new ProviderError(status, body, message, headers);
+    }
+    const message = this._nextMessage(params.messages || [], turn);
+    const usage = turn?.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    const finishReason = message.tool_calls ? 'tool_calls' : 'stop';
+    if (!params.stream) {
+      return { choices: [{ index: 0, message, finish_reason: finishReason }], usage };
+    }
+    return (async function* () {
+      const words = (message.content || '').split(/(?<=\s)/);
+      for (const word of words) {
+        if (word) yield { choices: [{ index: 0, delta: { content: word } }] };
+      }
+      if (message.tool_calls) {
+        const deltas = message.tool_calls.map((tc, index) => ({ index, ...tc }));
+        yield { choices: [{ index: 0, delta: { tool_calls: deltas } }] };
+      }
+      yield { choices: [{ index: 0, delta: {}, finish_reason: finishReason }], usage };
+    })();
+  }
+}
+
+// ════════════════════════════════════════════════════════════
+// FACTORY
+// ════════════════════════════════════════════════════════════
+/**
+ * Create a chat client for a provider config
+ * @param {object} provider - { name, type, apiKey?, baseUrl?, script? }
+ */
+export function createProviderClient(provider) {
+  switch (provider.type) {
+    case 'groq':
+      // No SDK-level retries: the agent's rotator handles 429s by switching models
+      return new Groq({ apiKey: provider.apiKey, maxRetries: 0, ...(provider.baseUrl ? { baseURL: provider.baseUrl } : {}) });
+    case 'openai':
+      return new OpenAICompatibleClient(provider);
+    case 'stub':
+      return new StubClient(provider);
+    default:
+      throw new Error(`Unknown provider type "${provider.type}" (expected: ${PROVIDER_TYPES.join(', ')})`);
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Vinsa CLI — Rate-Limit Tracking
+ *
+ * Reads provider rate-limit signals (retry-after / x-ratelimit-* headers and
+ * 429 error bodies) and keeps a per-model picture of availability:
+ *   - exact cooldowns instead of a fixed 30-60s guess
+ *   - requests in the last minute and tokens used today
+ *   - limits learned from 429 bodies (RPM / RPD / TPM / TPD)
+ *
+ * State persists to ~/.vinsa/model-state.json so every `vinsa` process —
+ * chat, one-shot `ask` loops, `vinsa serve` — shares one view.
+ */
+import fs from 'fs';
+import path from 'path';
+
+const STATE_FILE = path.join(
+  process.env.HOME || process.env.USERPROFILE || '.',
+  '.vinsa',
+  'model-state.json'
+);
+
+// ════════════════════════════════════════════════════════════
+// PARSING
+// ════════════════════════════════════════════════════════════
+
+/**
+ * Parse a Groq/OpenAI style duration ("2m59.56s", "7.66s", "1h2m", "450ms", "30") into ms.
+ * Returns null if it can't be parsed.
+ */
+export function parseDuration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) return Math.round(parseFloat(str) * 1000);
+  const re = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  let total = 0;
+  let matched = false;
+  let m;
+  while ((m = re.exec(str)) !== null) {
+    matched = true;
+    const n = parseFloat(m[1]);
+    total += m[2] === 'h' ? n * 3600000 : m[2] === 'm' ? n * 60000 : m[2] === 's' ? n * 1000 : n;
+  }
+  return matched ? Math.round(total) : null;
+}
+
+// Works with fetch Headers, groq-sdk's plain header objects, or nothing
+function headerReader(headers) {
+  if (!headers) return () => undefined;
+  if (typeof headers.get === 'function') return (name) => headers.get(name) ?? undefined;
+  return (name) => headers[name] ?? headers[name.toLowerCase()];
+}
+
+const toInt = (v) => (v === undefined || v === null || v === '' ? null : parseInt(v, 10));
+
+/**
+ * Extract rate-limit info from response headers.
+ * @returns {{ retryAfterMs: number|null, requests: object|null, tokens: object|null }}
+ */
+export function parseRateLimitHeaders(headers) {
+  const get = headerReader(headers);
+  const now = Date.now();
+
+  let retryAfterMs = null;
+  const retryAfter = get('retry-after');
+  if (retryAfter) {
+    retryAfterMs = parseDuration(retryAfter);
+    if (retryAfterMs === null) {
+      const date = Date.parse(retryAfter);
+      if (!Number.isNaN(date)) retryAfterMs = Math.max(0, date - now);
+    }
+  }
+
+  const bucket = (kind) => {
+    const limit = toInt(get(`x-ratelimit-limit-${kind}`));
+    const remaining = toInt(get(`x-ratelimit-remaining-${kind}`));
+    const resetMs = parseDuration(get(`x-ratelimit-reset-${kind}`));
+    if (limit === null && remaining === null) return null;
+    return { limit, remaining, resetAt: resetMs !== null ? now + resetMs : null };
+  };
+
+  return { retryAfterMs, requests: bucket('requests'), tokens: bucket('tokens') };
+}
+
+/**
+ * Extract rate-limit info from a 429 error (headers and/or message body).
+ * Groq bodies look like: "... on tokens per day (TPD): Limit 100000, Used 99912, Requested 1230.
+ * Please try again in 12m3.5s."
+ * @returns {{ retryAfterMs: number|null, limitType: string|null, limit: number|null }}
+ */
+export function parseRateLimitError(err) {
+  const fromHeaders = parseRateLimitHeaders(err?.headers);
+  const body = err?.error?.error?.message || err?.error?.message || err?.message || '';
+
+  let retryAfterMs = fromHeaders.retryAfterMs;
+  const tryAgain = body.match(/try again in ([\d.hms]+)/i);
+  if (tryAgain) retryAfterMs = parseDuration(tryAgain[1]) ?? retryAfterMs;
+
+  const limitMatch = body.match(/\((RPM|RPD|TPM|TPD)\):\s*Limit (\d+)/i);
+  return {
+    retryAfterMs,
+    limitType: limitMatch ? limitMatch[1].toLowerCase() : null,
+    limit: limitMatch ? parseInt(limitMatch[2], 10) : null,
+  };
+}
+
+// ════════════════════════════════════════════════════════════
+// PERSISTED STATE — model key → { cooldownUntil, reason, requests, tokens, minute, day, limits }
+// ════════════════════════════════════════════════════════════
+
+export function getModelStatePath() {
+  return STATE_FILE;
+}
+
+/**
+ * Read the shared model state (empty object if missing or unreadable)
+ */
+export function loadModelState() {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8')) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Read-modify-write one model's entry. Re-reads the file first so updates
+ * from other processes are merged, then writes atomically via rename.
+ */
+export function updateModelState(key, mutate) {
+  const state = loadModelState();
+  const entry = state[key] || {};
+  state[key] = mutate(entry) || entry;
+  try {
+    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+    const tmp = `${STATE_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf-8');
+    fs.renameSync(tmp, STATE_FILE);
+  } catch { /* persistence is best-effort */ }
+  return state[key];
+}
+
+/**
+ * Count one request (and its tokens) against a model's minute/day windows
+ */
+export function recordUsageWindow(entry, tokens = 0) {
+  const now = Date.now();
+  const today = new Date().toISOString().slice(0, 10);
+  if (!entry.minute || now - entry.minute.start >= 60000) entry.minute = { start: now, requests: 0 };
+  if (!entry.day || entry.day.date !== today) entry.day = { date: today, requests: 0, tokens: 0 };
+  entry.minute.requests++;
+  entry.day.requests++;
+  entry.day.tokens += tokens;
+  return entry;
+}
+
+/**
+ * If a model has exhausted a learned limit in the current window, return
+ * the time (ms epoch) it frees up — otherwise null.
+ */
+export function budgetExhaustedUntil(entry) {
+  if (!entry) return null;
+  const now = Date.now();
+  const limits = entry.limits || {};
+  const minuteActive = entry.minute && now - entry.minute.start < 60000;
+  const today = new Date().toISOString().slice(0, 10);
+  const dayActive = entry.day && entry.day.date === today;
+
+  if (limits.rpm && minuteActive && entry.minute.requests >= limits.rpm) {
+    return entry.minute.start + 60000;
+  }
+  if (dayActive && ((limits.tpd && entry.day.tokens >= limits.tpd) || (limits.rpd && entry.day.requests >= limits.rpd))) {
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+  return null;
+}
@@ -0,0 +1,399 @@
+/**
+ * Vinsa CLI — @-references
+ *
+ * Pulls files and git state into a message when the user mentions them:
+ *   @src/index.js             a file
+ *   @src/index.js:120-180     lines 120–180 (@src/index.js:120 for one line)
+ *   @src/*.js                 every file matching a glob — *, ?, ** (any depth), {a,b}
+ *   @src/                     a directory: its tree plus key files (README, package.json, index.*)
+ *   @git:diff  @git:staged    the unstaged / staged diff
+ *   @screenshot.png           an image, sent as an image part (see images.js)
+ *
+ * Everything injected shares one token budget. When it doesn't fit, small
+ * pieces go in whole and large ones are cut down to their head and tail,
+ * and the report says what was cut.
+ */
+import fs from 'fs';
+import path from 'path';
+import { estimateTokens } from './context.js';
+import { gitDiff } from './git.js';
+import { isImagePath, loadImage } from './images.js';
+
+export const REFERENCE_BUDGET_TOKENS = 12000;
+
+const MAX_FILE_BYTES = 1024 * 1024;  // bigger files are never read whole
+const MAX_GLOB_FILES = 50;
+const MAX_TREE_ENTRIES = 200;
+const TREE_DEPTH = 3;
+const MIN_SHARE_TOKENS = 40;         // below this a piece is left out instead of cut to a stub
+const SKIP_DIRS = new Set(['node_modules', '.git', '__pycache__', 'dist', 'build', 'coverage']);
+const KEY_FILE_PATTERN = /^(readme(\.\w+)?|package\.json|pyproject\.toml|cargo\.toml|go\.mod|index\.\w+|main\.\w+)$/i;
+const MAX_KEY_FILES = 5;
+const GIT_REFS = { 'git:diff': false, 'git:staged': true };
+
+// ─── Parsing ───
+
+/**
+ * Find @-references in a message (at the start or after whitespace, so e-mail addresses are ignored)
+ */
+function findReferences(message) {
+  const refs = [];
+  const pattern = /(^|[\s(])@([^\s]+)/g;
+  let match;
+  while ((match = pattern.exec(message)) !== null) {
+    const raw = match[2].replace(/[.,;:!?)\]'"`]+$/, '');
+    if (raw && !refs.includes(raw)) refs.push(raw);
+  }
+  return refs;
+}
+
+// Paths offered by tab completion: a missing one was meant as a file, whatever its shape
+const completedPaths = new Set();
+
+/**
+ * Whether an unmatched reference looked like a file (and so deserves a "not found").
+ * Prose mentions stay silent: "@alice.smith", "@types/node" (a scoped package), "@v2.1".
+ */
+function looksLikePath(raw) {
+  const ref = raw.replace(/:\d+(?:-\d+)?$/, '');
+  if (completedPaths.has(ref)) return true;
+  if (/^(\.{0,2}\/|~\/|[a-zA-Z]:[\\/])/.test(ref)) return true; // ./x, ../x, /x, ~/x, C:\x
+  if (!/[/\\]/.test(ref)) return false;
+  const last = ref.split(/[/\\]/).pop();
+  return /[*?{]/.test(ref) || /\.[A-Za-z0-9]{1,8}$/.test(last);
+}
+
+/**
+ * Convert a glob to a RegExp over forward-slash relative paths
+ */
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more directories; a trailing "**" matches anything
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '{') {
+      const close = glob.indexOf('}', i);
+      if (close === -1) {
+        re += '\\{';
+      } else {
+        re += `(?:${glob.slice(i + 1, close).split(',').map(s => s.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+        i = close;
+      }
+    } else {
+      re += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// ─── Reading ───
+
+/**
+ * Read a text file, or explain why not
+ * @returns {{ content: string } | { error: string }}
+ */
+function readText(file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return { error: 'not found' };
+  }
+  if (stat.size > MAX_FILE_BYTES) return { error: `too large (${(stat.size / 1024 / 1024).toFixed(1)} MB)` };
+  try {
+    const buffer = fs.readFileSync(file);
+    if (buffer.subarray(0, 8000).includes(0)) return { error: 'binary file' };
+    return { content: buffer.toString('utf-8') };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/**
+ * Walk a directory depth-first, skipping hidden entries and build/dependency folders
+ */
+function walk(dir, { maxDepth = Infinity, onEntry }, depth = 0) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  entries.sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || (entry.isDirectory() && SKIP_DIRS.has(entry.name))) continue;
+    const full = path.join(dir, entry.name);
+    if (onEntry(full, entry, depth) === false) return false;
+    if (entry.isDirectory() && depth + 1 < maxDepth) {
+      if (walk(full, { maxDepth, onEntry }, depth + 1) === false) return false;
+    }
+  }
+}
+
+const display = (file) => path.relative(process.cwd(), file).split(path.sep).join('/') || '.';
+
+/**
+ * Resolve one reference into pieces of content
+ * @returns {{ pieces: Array<{ label, content, lang? }>, images?: object[], notes: string[], error?: string } | null}
+ *          null when the reference isn't a path at all (e.g. "@alice")
+ */
+function resolveReference(raw) {
+  // @git:diff / @git:staged
+  if (raw in GIT_REFS) {
+    const staged = GIT_REFS[raw];
+    const result = gitDiff({ staged });
+    if (!result.success) return { pieces: [], notes: [], error: result.error };
+    if (!result.diff) return { pieces: [], notes: [], error: staged ? 'nothing staged' : 'no unstaged changes' };
+    return { pieces: [{ label: staged ? 'staged diff' : 'git diff', content: result.diff, lang: 'diff' }], notes: [] };
+  }
+
+  // @file:120-180
+  const range = raw.match(/^(.+?):(\d+)(?:-(\d+))?$/);
+  if (range && fs.existsSync(path.resolve(range[1]))) {
+    const read = readText(path.resolve(range[1]));
+    if (read.error) return { pieces: [], notes: [], error: read.error };
+    const lines = read.content.split('\n');
+    const start = Math.max(1, parseInt(range[2]));
+    const end = Math.min(lines.length, range[3] ? parseInt(range[3]) : start);
+    if (start > lines.length || end < start) {
+      return { pieces: [], notes: [], error: `lines ${start}-${range[3] || start} are outside the file (${lines.length} lines)` };
+    }
+    return { pieces: [{ label: `${range[1]} (lines ${start}-${end})`, content: lines.slice(start - 1, end).join('\n') }], notes: [] };
+  }
+
+  // @src/**/*.js
+  if (/[*?{]/.test(raw)) {
+    const normalized = raw.split(path.sep).join('/');
+    const firstWild = normalized.search(/[*?{]/);
+    const baseDir = normalized.slice(0, normalized.lastIndexOf('/', firstWild) + 1) || './';
+    const matcher = globToRegExp(normalized.replace(/^\.\//, ''));
+    const relative = (full) => (path.isAbsolute(raw) ? full.split(path.sep).join('/') : display(full));
+    const matches = [];
+    let total = 0;
+    walk(path.resolve(baseDir), {
+      onEntry: (full, entry) => {
+        if (!entry.isFile() || !matcher.test(relative(full))) return;
+        total++;
+        if (matches.length < MAX_GLOB_FILES) matches.push(full);
+      },
+    });
+    if (matches.length === 0) return looksLikePath(raw) ? { pieces: [], notes: [], error: 'no files match' } : null;
+
+    const pieces = [];
+    const notes = [];
+    for (const file of matches) {
+      const read = readText(file);
+      if (read.error) notes.push(`${display(file)} skipped: ${read.error}`);
+      else pieces.push({ label: display(file), content: read.content });
+    }
+    if (total > matches.length) notes.push(`${total - matches.length} more matching files left out (max ${MAX_GLOB_FILES})`);
+    return { pieces, notes };
+  }
+
+  const resolved = path.resolve(raw);
+  let stat;
+  try {
+    stat = fs.statSync(resolved);
+  } catch {
+    return looksLikePath(raw) ? { pieces: [], notes: [], error: 'not found' } : null;
+  }
+
+  // @src/ — tree plus key files
+  if (stat.isDirectory()) {
+    const tree = [];
+    let more = 0;
+    const keyFiles = [];
+    walk(resolved, {
+      maxDepth: TREE_DEPTH,
+      onEntry: (full, entry, depth) => {
+        if (depth === 0 && entry.isFile() && KEY_FILE_PATTERN.test(entry.name) && keyFiles.length < MAX_KEY_FILES) keyFiles.push(full);
+        if (tree.length >= MAX_TREE_ENTRIES) {
+          more++;
+          return;
+        }
+        tree.push(`${'  '.repeat(depth)}${entry.name}${entry.isDirectory() ? '/' : ''}`);
+      },
+    });
+    if (more > 0) tree.push(`... ${more} more entries`);
+    const pieces = [{ label: `${display(resolved)}/ (tree)`, content: tree.join('\n') || '(empty directory)', isTree: true }];
+    for (const file of keyFiles) {
+      const read = readText(file);
+      if (!read.error) pieces.push({ label: display(file), content: read.content });
+    }
+    return { pieces, notes: [] };
+  }
+
+  // @screenshot.png
+  if (isImagePath(resolved)) {
+    try {
+      return { pieces: [], images: [loadImage(resolved)], notes: [] };
+    } catch (err) {
+      return { pieces: [], notes: [], error: err.message };
+    }
+  }
+
+  // @file
+  const read = readText(resolved);
+  if (read.error) return { pieces: [], notes: [], error: read.error };
+  return { pieces: [{ label: raw, content: read.content }], notes: [] };
+}
+
+// ─── Budget ───
+
+/**
+ * Cut text to about `tokens`, keeping its head and tail
+ */
+function cutToTokens(text, tokens) {
+  const lines = text.split('\n');
+  const headChars = Math.floor(tokens * 4 * 2 / 3); // ~4 characters per token, as estimateTokens assumes
+  const tailChars = Math.floor(tokens * 4 / 3);
+  const head = [];
+  let used = 0;
+  for (const line of lines) {
+    if (used + line.length + 1 > headChars) break;
+    head.push(line);
+    used += line.length + 1;
+  }
+  const tail = [];
+  used = 0;
+  for (let i = lines.length - 1; i >= head.length; i--) {
+    if (used + lines[i].length + 1 > tailChars) break;
+    tail.unshift(lines[i]);
+    used += lines[i].length + 1;
+  }
+  // A single huge line (minified code): fall back to characters
+  if (head.length === 0 && tail.length === 0) {
+    return { text: `${text.slice(0, headChars)}\n... [cut to fit the @-reference budget] ...`, keptLines: 0, totalLines: lines.length };
+  }
+  const cut = lines.length - head.length - tail.length;
+  return {
+    text: [...head, `... [${cut} line${cut === 1 ? '' : 's'} cut to fit the @-reference budget] ...`, ...tail].join('\n'),
+    keptLines: head.length + tail.length,
+    totalLines: lines.length,
+  };
+}
+
+/**
+ * Share the budget out: the smallest pieces first, each taking at most an
+ * equal share of what's left, so one huge file can't crowd out the rest
+ */
+function fitPieces(pieces, budget) {
+  let remaining = budget;
+  const order = pieces.map((_, i) => i).sort((a, b) => pieces[a].tokens - pieces[b].tokens);
+  order.forEach((index, n) => {
+    const piece = pieces[index];
+    const share = Math.floor(remaining / (order.length - n));
+    if (piece.tokens > share) {
+      if (share < MIN_SHARE_TOKENS) {
+        piece.dropped = true;
+        piece.tokens = 0;
+      } else {
+        const cut = cutToTokens(piece.content, share);
+        piece.content = cut.text;
+        piece.cut = `kept ${cut.keptLines} of ${cut.totalLines} lines`;
+        piece.tokens = estimateTokens(cut.text);
+      }
+    }
+    remaining -= piece.tokens;
+  });
+}
+
+// ─── Public API ───
+
+/**
+ * Expand the @-references in a message.
+ * @param {string} message
+ * @param {{ budget?: number }} [options] - token budget shared by everything injected
+ * @returns {{
+ *   text: string,       the message with the referenced content appended
+ *   images: object[],   referenced images (images.js attachments), outside the token budget
+ *   report: Array<{ ref, tokens, files, tree, image?, cut: Array<{ label, detail }>, notes: string[], error? }>,
+ * }}
+ */
+export function expandReferences(message, { budget = REFERENCE_BUDGET_TOKENS } = {}) {
+  const report = [];
+  const pieces = [];
+  const images = [];
+  for (const raw of findReferences(message)) {
+    const resolved = resolveReference(raw);
+    if (!resolved) continue;
+    const entry = { ref: `@${raw}`, tokens: 0, files: 0, tree: false, cut: [], notes: resolved.notes, ...(resolved.error ? { error: resolved.error } : {}) };
+    report.push(entry);
+    for (const piece of resolved.pieces) pieces.push({ ...piece, entry, tokens: estimateTokens(piece.content) });
+    for (const image of resolved.images || []) {
+      images.push(image);
+      entry.image = image;
+    }
+  }
+  if (pieces.length === 0) return { text: message, images, report };
+
+  fitPieces(pieces, budget);
+  const blocks = [];
+  for (const piece of pieces) {
+    const { entry } = piece;
+    if (piece.dropped) {
+      entry.cut.push({ label: piece.label, detail: 'left out' });
+      continue;
+    }
+    if (piece.cut) entry.cut.push({ label: piece.label, detail: piece.cut });
+    entry.tokens += piece.tokens;
+    if (piece.isTree) entry.tree = true;
+    else entry.files++;
+    blocks.push(`\n\n[Auto-injected content of ${piece.label}]\n\`\`\`${piece.lang || ''}\n${piece.content}\n\`\`\``);
+  }
+  return { text: message + blocks.join(''), images, report };
+}
+
+/**
+ * Tab-completion candidates for a partial reference (the text after "@")
+ */
+export function completeReference(partial) {
+  const gitHits = Object.keys(GIT_REFS).filter(r => r.startsWith(partial));
+  const slash = partial.lastIndexOf('/');
+  const dirPart = slash === -1 ? '' : partial.slice(0, slash + 1);
+  const prefix = partial.slice(slash + 1);
+  let entries = [];
+  try {
+    entries = fs.readdirSync(path.resolve(dirPart || '.'), { withFileTypes: true });
+  } catch { /* no such directory */ }
+  const pathHits = entries
+    .filter(e => e.name.startsWith(prefix) && (prefix.startsWith('.') || !e.name.startsWith('.')))
+    .filter(e => !(e.isDirectory() && SKIP_DIRS.has(e.name)) || prefix)
+    .map(e => `${dirPart}${e.name}${e.isDirectory() ? '/' : ''}`)
+    .sort();
+  for (const hit of pathHits) completedPaths.add(hit);
+  return [...gitHits, ...pathHits];
+}
+
+/**
+ * One-line summary of a report entry plus anything the user should know was cut or missing
+ * @returns {{ summary: string, problems: string[] }}
+ */
+export function describeReference(entry) {
+  if (entry.error) return { summary: '', problems: [`${entry.ref}: ${entry.error}`] };
+  if (entry.image) return { summary: `🖼  ${entry.ref} · image · ${Math.ceil(entry.image.bytes / 1024).toLocaleString()} KB`, problems: [] };
+  const parts = [
+    entry.tree && 'tree',
+    (entry.files > 1 || entry.tree) && `${entry.files} file${entry.files === 1 ? '' : 's'}`,
+  ].filter(Boolean).join(' + ');
+  // Many cut pieces (a broad glob) get one line instead of one each
+  const cuts = entry.cut.length > 3
+    ? [`${entry.cut.length} pieces cut to fit the @-reference budget (${entry.cut.slice(0, 3).map(c => c.label).join(', ')}, ...)`]
+    : entry.cut.map(c => `${c.label} ${c.detail === 'left out' ? 'left out' : `cut to fit the @-reference budget (${c.detail})`}`);
+  return {
+    summary: `📎 ${entry.ref}${parts ? ` · ${parts}` : ''} · ${entry.tokens.toLocaleString()} tokens`,
+    problems: [...cuts, ...entry.notes].map(note => `${entry.ref}: ${note}`),
+  };
+}
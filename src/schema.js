@@ -0,0 +1,211 @@
+/**
+ * Vinsa CLI — Structured Output & Tool Arguments (JSON Schema)
+ *
+ * A small, dependency-free JSON Schema validator covering what structured
+ * answers and tool parameters actually use:
+ *   type (incl. ["string", "null"]), enum, const, properties, required,
+ *   additionalProperties, items, min/max (Length, Items, imum), pattern,
+ *   anyOf / oneOf / allOf
+ *
+ * Unknown keywords are ignored rather than rejected, so richer schemas
+ * (MCP servers send all sorts) still work — they are just checked less strictly.
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * JSON type name of a value ("integer" counts as "number" too)
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * @returns {string[]} human-readable errors like "$.items[2].id: expected integer, got string" (empty = valid)
+ */
+export function validateSchema(value, schema, at = '$') {
+  if (schema === false) return [`${at}: no value is allowed here`];
+  if (!schema || typeof schema !== 'object') return [];
+
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value))) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${at}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at}: does not match pattern ${schema.pattern}`);
+      } catch { /* invalid pattern in the schema — skip the check */ }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: less than minimum ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: greater than maximum ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: must be greater than ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${at}: must be less than ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = /^[A-Za-z_$][\w$]*$/.test(key) ? `${at}.${key}` : `${at}[${JSON.stringify(key)}]`;
+      if (key in properties) {
+        errors.push(...validateSchema(child, properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(child, schema.additionalProperties, childPath));
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    for (const sub of schema.allOf) errors.push(...validateSchema(value, sub, at));
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(sub => validateSchema(value, sub, at).length === 0)) {
+    errors.push(`${at}: does not match any of the allowed shapes (anyOf)`);
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(sub => validateSchema(value, sub, at).length === 0).length;
+    if (matches !== 1) errors.push(`${at}: must match exactly one shape (oneOf), matched ${matches}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Types a schema accepts ([] when it doesn't say)
+ */
+function schemaTypes(schema) {
+  if (!schema || typeof schema !== 'object' || schema.type === undefined) return [];
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Fix the usual model slips in tool arguments, but only where the schema asks
+ * for the other type: "42" → 42 for a number, "true" → true for a boolean,
+ * '["a"]' → ["a"] for an array, 42 → "42" for a string. Nulls for properties
+ * that don't allow null are dropped (models send them for optional parameters).
+ * Everything else is left alone for validateSchema to judge.
+ */
+export function coerceToSchema(value, schema) {
+  const types = schemaTypes(schema);
+  const allows = (t) => types.includes(t) || (t === 'number' && types.includes('integer'));
+
+  if (types.length > 0 && !types.some(t => matchesType(value, t))) {
+    if (typeof value === 'string') {
+      const text = value.trim();
+      if (allows('boolean') && (text === 'true' || text === 'false')) return text === 'true';
+      if (allows('number') && /^-?\d+(\.\d+)?$/.test(text) && text.length < 16) {
+        const number = Number(text);
+        if (types.includes('number') || Number.isInteger(number)) return number;
+      }
+      if ((allows('object') || allows('array')) && /^[[{]/.test(text)) {
+        try {
+          const parsed = JSON.parse(text);
+          if (types.some(t => matchesType(parsed, t))) return coerceToSchema(parsed, schema);
+        } catch { /* not JSON — leave it for validation */ }
+      }
+    } else if ((typeof value === 'number' || typeof value === 'boolean') && allows('string')) {
+      return String(value);
+    }
+    return value;
+  }
+
+  if (Array.isArray(value) && schema.items && typeof schema.items === 'object') {
+    return value.map(item => coerceToSchema(item, schema.items));
+  }
+  if (typeOf(value) === 'object' && (schema.properties || typeof schema.additionalProperties === 'object')) {
+    const properties = schema.properties || {};
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = properties[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (child === null && !schemaTypes(childSchema).includes('null')) continue;
+      result[key] = childSchema ? coerceToSchema(child, childSchema) : child;
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Pull a JSON value out of a model reply — bare JSON, a ```json fence,
+ * or the outermost {...} / [...] in surrounding prose.
+ * @returns {{ value: any } | { error: string }}
+ */
+export function extractJson(text) {
+  const raw = (text || '').trim();
+  if (!raw) return { error: 'The reply was empty — expected a JSON value.' };
+
+  const candidates = [raw];
+  const fence = raw.match(/```(?:json)?\s*\n([\s\S]*?)```/i);
+  if (fence) candidates.push(fence[1].trim());
+  for (const [open, close] of [['{', '}'], ['[', ']']]) {
+    const start = raw.indexOf(open);
+    const end = raw.lastIndexOf(close);
+    if (start !== -1 && end > start) candidates.push(raw.slice(start, end + 1));
+  }
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (err) {
+      lastError = err.message;
+    }
+  }
+  return { error: `The reply is not valid JSON (${lastError}).` };
+}
+
+/**
+ * Read and parse a schema file
+ */
+export function loadSchema(filePath) {
+  const resolved = path.resolve(filePath);
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read schema ${resolved}: ${err.message}`);
+  }
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`Not a JSON Schema object: ${resolved}`);
+  }
+  return schema;
+}
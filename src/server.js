@@ -14,8 +14,12 @@
  * Usage: vinsa serve --port 3141
  */
 import http from 'http';
-import { getAgent } from './agent.js';
+import { getAgent, parseMaxSteps } from './agent.js';
+import { getPersona } from './personas.js';
+import { decodeImage, MAX_IMAGES_PER_MESSAGE } from './images.js';
 import { toolDefinitions, executeTool } from './tools.js';
+import { setJobsKeepAlive } from './jobs.js';
+import { validateSchema, coerceToSchema } from './schema.js';
 import { getModel } from './config.js';
 import { printSuccess, printInfo, printError, colors } from './ui.js';
 
@@ -56,6 +60,7 @@ function sendJson(res, status, data) {
 export function startServer({ port = 3141 } = {}) {
   const agent = getAgent();
   agent.initialize();
+  setJobsKeepAlive(true);
 
   const server = http.createServer(async (req, res) => {
     // CORS preflight
@@ -107,13 +112,42 @@ export function startServer({ port = 3141 } = {}) {
           return sendJson(res, 400, { error: 'Missing "prompt" field' });
         }
 
-        const response = await agent.ask(body.prompt, { silent: true });
+        // Optional JSON Schema: the response becomes a validated object
+        if (body.schema !== undefined && (!body.schema || typeof body.schema !== 'object' || Array.isArray(body.schema))) {
+          return sendJson(res, 400, { error: '"schema" must be a JSON Schema object' });
+        }
+        let maxSteps;
+        let persona = null;
+        try {
+          if (body.maxSteps !== undefined) maxSteps = parseMaxSteps(body.maxSteps);
+          if (body.persona) persona = getPersona(body.persona);
+        } catch (err) {
+          return sendJson(res, 400, { error: err.message });
+        }
+        // Each request names its persona; without one it's plain Vinsa
+        if (persona?.name !== agent.persona?.name) agent.setPersona(persona);
+
+        let response;
+        let attempts;
+        if (body.schema) {
+          try {
+            ({ data: response, attempts } = await agent.askStructured(body.prompt, body.schema, { silent: true, maxSteps }));
+          } catch (err) {
+            if (!err.validationErrors) throw err;
+            return sendJson(res, 422, { success: false, error: err.message, validationErrors: err.validationErrors, raw: err.raw });
+          }
+        } else {
+          response = await agent.ask(body.prompt, { silent: true, maxSteps });
+        }
         const stats = agent.getStats();
 
         return sendJson(res, 200, {
           success: true,
           prompt: body.prompt,
           response,
+          ...(attempts ? { attempts } : {}),
+          ...(agent.lastStop ? { stopped: agent.lastStop } : {}),
+          ...(agent.persona ? { persona: agent.persona.name } : {}),
           model: getModel(),
           stats: {
             promptTokens: stats.promptTokens,
@@ -126,25 +160,54 @@ export function startServer({ port = 3141 } = {}) {
       // ─── Multi-turn Chat ───
       if (pathname === '/api/chat' && req.method === 'POST') {
         const body = await parseBody(req);
-        if (!body.message) {
+        if (!body.message && !body.continue) {
           return sendJson(res, 400, { error: 'Missing "message" field' });
         }
-
-        // Optionally restore history
-        if (body.history && Array.isArray(body.history)) {
-          agent.setConversationHistory(body.history);
+        let maxSteps;
+        let persona = null;
+        let images = [];
+        try {
+          if (body.maxSteps !== undefined) maxSteps = parseMaxSteps(body.maxSteps);
+          if (body.persona) persona = getPersona(body.persona);
+          if (body.images !== undefined) {
+            // Base64 images (data URLs, bare base64, or { data, name?, mimeType? }) for vision models
+            if (!Array.isArray(body.images)) throw new Error('"images" must be an array of base64 images');
+            if (body.images.length > MAX_IMAGES_PER_MESSAGE) throw new Error(`At most ${MAX_IMAGES_PER_MESSAGE} images per message`);
+            images = body.images.map((image, i) => decodeImage(image, i));
+          }
+        } catch (err) {
+          return sendJson(res, 400, { error: err.message });
         }
+        // A continued turn keeps its persona unless the request names another
+        if ((!body.continue || body.persona !== undefined) && persona?.name !== agent.persona?.name) agent.setPersona(persona);
 
-        const response = await agent.run(body.message, {
+        const callbacks = {
           onToolCall: () => {},
           onToolResult: () => {},
           onRetry: () => {},
           onModelSwitch: () => {},
-        });
+          maxSteps,
+        };
+        let response;
+        if (body.continue) {
+          // Resume the previous turn after it ran out of tool calls
+          if (!agent.pausedTurn) {
+            return sendJson(res, 409, { error: 'Nothing to continue: the last request was not stopped by its tool-call budget' });
+          }
+          response = await agent.continueTurn(callbacks);
+        } else {
+          // Optionally restore history
+          if (body.history && Array.isArray(body.history)) {
+            agent.setConversationHistory(body.history);
+          }
+          response = await agent.run(body.message, { ...callbacks, images });
+        }
 
         return sendJson(res, 200, {
           success: true,
           response,
+          ...(agent.lastStop ? { stopped: agent.lastStop } : {}),
+          ...(agent.persona ? { persona: agent.persona.name } : {}),
           history: agent.getConversationHistory(),
           model: getModel(),
         });
@@ -157,7 +220,17 @@ export function startServer({ port = 3141 } = {}) {
           return sendJson(res, 400, { error: 'Missing "name" field' });
         }
 
-        const result = await executeTool(body.name, body.args || {});
+        // Same argument checks the agent applies to model tool calls
+        let args = body.args || {};
+        const tool = toolDefinitions.find(t => t.name === body.name);
+        if (tool) {
+          args = coerceToSchema(args, tool.parameters);
+          const validationErrors = validateSchema(args, tool.parameters, 'args');
+          if (validationErrors.length > 0) {
+            return sendJson(res, 400, { success: false, error: `Invalid arguments for ${body.name}`, validationErrors });
+          }
+        }
+        const result = await executeTool(body.name, args);
         return sendJson(res, 200, result);
       }
 
@@ -178,8 +251,8 @@ export function startServer({ port = 3141 } = {}) {
     console.log('');
     printSuccess(`Vinsa API server running on http://localhost:${port}`);
     printInfo('Endpoints:');
-    console.log(colors.accent('  POST /api/ask    ') + colors.dim('— One-shot question (body: { prompt })'));
-    console.log(colors.accent('  POST /api/chat   ') + colors.dim('— Multi-turn chat (body: { message, history? })'));
+    console.log(colors.accent('  POST /api/ask    ') + colors.dim('— One-shot question (body: { prompt, schema?, maxSteps?, persona? })'));
+    console.log(colors.accent('  POST /api/chat   ') + colors.dim('— Multi-turn chat (body: { message, images?, history?, maxSteps?, continue?, persona? })'));
     console.log(colors.accent('  POST /api/tool   ') + colors.dim('— Execute tool (body: { name, args })'));
     console.log(colors.accent('  GET  /api/tools  ') + colors.dim('— List available tools'));
     console.log(colors.accent('  GET  /api/models ') + colors.dim('— Model pool status'));
@@ -0,0 +1,167 @@
+/**
+ * Vinsa CLI — Tool Router
+ *
+ * Sending every tool schema on every request costs thousands of prompt tokens
+ * once MCP servers and plugins are loaded, and small models pick worse from a
+ * long list. So each turn gets a subset:
+ *   core tools (always)  +  tools used in the last few turns
+ *   +  tools whose category or name/description matches the user's message
+ *   +  list_more_tools, which the model calls to add anything that was left out
+ *
+ * With ROUTING_MIN_TOOLS or fewer tools, or routing switched off
+ * (/tools all), every tool is sent as before.
+ */
+
+export const LIST_MORE_TOOLS_TOOL = {
+  name: 'list_more_tools',
+  description: 'Only the tools that look relevant to this request are offered to you. If you need a capability you don\'t see (memory, MCP servers, plugins, git, network, processes...), call this with keywords or exact tool names: matching tools are added for the rest of this task. Call it with no arguments to list every tool not offered yet.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Keywords for the capability you need, e.g. "remember facts" or "http request"' },
+      tools: { type: 'array', items: { type: 'string' }, description: 'Exact names of tools to add' },
+    },
+  },
+  readOnly: true,
+};
+
+// Always offered (when the persona/VINSA.md scope allows them)
+export const CORE_TOOLS = ['run_shell_command', 'read_file', 'write_file', 'edit_file', 'list_directory', 'search_files'];
+
+// Below this many tools, routing would save little — send them all
+export const ROUTING_MIN_TOOLS = 16;
+
+// Most tools a turn starts with (core + recent + matched); list_more_tools adds beyond this
+const MAX_ROUTED_TOOLS = 14;
+// Most tools one list_more_tools call adds
+const MAX_ADDED_TOOLS = 8;
+// A name hit, or three description hits — fewer picks up tools that share a stray word
+const MIN_MATCH_SCORE = 3;
+// A tool used this many turns ago or fewer is still "recent"
+export const RECENT_TURNS = 3;
+
+// Built-in tool categories, matched against the user's message
+const CATEGORIES = [
+  { name: 'git', pattern: /\b(git|commits?|branch(es)?|merge|rebase|diff|stash|push|pull|blame|tag|remote)\b/i, tools: ['git_operations'] },
+  { name: 'system', pattern: /\b(cpu|memory|ram|disk|storage|os|system|uptime|hardware|specs?|load)\b/i, tools: ['get_system_info'] },
+  { name: 'processes', pattern: /\b(process(es)?|pid|kill|running|services?|daemon|hogging)\b/i, tools: ['process_manager', 'get_system_info'] },
+  { name: 'network', pattern: /\b(network|ping|dns|ip|ports?|latency|connectivity|traceroute|internet|wifi|host)\b/i, tools: ['network_diagnostics'] },
+  { name: 'web', pattern: /\b(https?:\/\/|url|website|web ?page|download|fetch|api|endpoint|docs?)\b/i, tools: ['web_fetch'] },
+  { name: 'jobs', pattern: /\b(background|jobs?|dev ?server|watch(er)?|long[- ]running|logs?|tail)\b/i, tools: ['job_output', 'job_status', 'job_kill'] },
+  { name: 'patch', pattern: /\b(patch(es)?|diffs?|refactor|renames?|several files|multiple files|across files)\b/i, tools: ['apply_patch'] },
+  { name: 'code', pattern: /\b(code|codebase|functions?|class(es)?|refactor|lint|complexity|analy[sz]e|bugs?|review|todo)\b/i, tools: ['code_analysis'] },
+];
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'what', 'which', 'when', 'where', 'how', 'why',
+  'can', 'could', 'would', 'should', 'please', 'you', 'your', 'are', 'was', 'were', 'have', 'has', 'not',
+  'all', 'any', 'some', 'get', 'use', 'using', 'tool', 'tools', 'mcp', 'file', 'files', 'me', 'my', 'out', 'about',
+]);
+
+/**
+ * Lowercase words worth matching on (3+ letters, no stopwords)
+ */
+function keywords(text) {
+  return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length >= 3 && !STOPWORDS.has(w)));
+}
+
+/**
+ * How well a tool matches a set of keywords: name parts count triple, description words once
+ * (loose prefix match, so "entities" finds "entity" and "searching" finds "search")
+ */
+function matchScore(tool, words) {
+  if (words.size === 0) return 0;
+  const nameWords = keywords(tool.name.replace(/_/g, ' '));
+  const descWords = keywords(tool.description);
+  const hit = (set, w) => set.has(w) || [...set].some(t => t.length >= 4 && (w.startsWith(t) || t.startsWith(w)));
+  let score = 0;
+  for (const w of words) {
+    if (hit(nameWords, w)) score += 3;
+    else if (hit(descWords, w)) score += 1;
+  }
+  return score;
+}
+
+/**
+ * Pick the tools to send this turn.
+ * @param {Array} defs      every tool this agent may use (after persona/VINSA.md scoping)
+ * @param {object} opts
+ *   message  — the user's message for this turn
+ *   recent   — names of tools used in the last RECENT_TURNS turns
+ *   pinned   — names that must be sent regardless (plan tools, delegate_task)
+ * @returns {{ routed: boolean, names: Set<string>, reasons: Map<string, string> }}
+ */
+export function selectTools(defs, { message = '', recent = [], pinned = [] } = {}) {
+  const reasons = new Map();
+  const available = new Set(defs.map(t => t.name));
+  if (defs.length <= ROUTING_MIN_TOOLS) {
+    for (const t of defs) reasons.set(t.name, 'all');
+    return { routed: false, names: available, reasons };
+  }
+
+  const add = (name, reason) => {
+    if (available.has(name) && !reasons.has(name)) reasons.set(name, reason);
+  };
+  for (const name of pinned) add(name, 'always');
+  for (const name of CORE_TOOLS) add(name, 'core');
+  for (const name of recent) add(name, 'recent');
+  for (const category of CATEGORIES) {
+    if (category.pattern.test(message)) for (const name of category.tools) add(name, category.name);
+  }
+
+  const words = keywords(message);
+  const matches = defs
+    .filter(t => !reasons.has(t.name))
+    .map(t => ({ name: t.name, score: matchScore(t, words) }))
+    .filter(m => m.score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score);
+  for (const m of matches) {
+    if (reasons.size >= MAX_ROUTED_TOOLS) break;
+    add(m.name, 'matched');
+  }
+
+  if (reasons.size < defs.length) reasons.set(LIST_MORE_TOOLS_TOOL.name, 'always');
+  return { routed: true, names: new Set(reasons.keys()), reasons };
+}
+
+/**
+ * list_more_tools: add tools named in `args.tools` or matching `args.query`.
+ * With neither, list everything not sent yet.
+ * @returns {{ added: string[], result: object }}
+ */
+export function findMoreTools(defs, sent, args = {}) {
+  const hidden = defs.filter(t => !sent.has(t.name));
+  const brief = (t) => ({ name: t.name, description: (t.description || '').slice(0, 120) });
+  const requested = Array.isArray(args.tools) ? args.tools.map(String) : [];
+  const query = typeof args.query === 'string' ? args.query.trim() : '';
+
+  if (requested.length === 0 && !query) {
+    return {
+      added: [],
+      result: {
+        success: true,
+        message: hidden.length > 0
+          ? 'These tools are available but not offered yet. Call list_more_tools again with the "tools" you need.'
+          : 'Every available tool is already offered to you.',
+        available: hidden.map(brief),
+      },
+    };
+  }
+
+  const unknown = requested.filter(name => !defs.some(t => t.name === name));
+  const picked = hidden.filter(t => requested.includes(t.name));
+  const words = keywords(query);
+  const matches = hidden
+    .filter(t => !picked.includes(t))
+    .map(t => ({ tool: t, score: matchScore(t, words) }))
+    .filter(m => m.score >= 1)
+    .sort((a, b) => b.score - a.score)
+    .map(m => m.tool);
+  const added = [...picked, ...matches].slice(0, MAX_ADDED_TOOLS);
+
+  const result = { success: true, added: added.map(brief) };
+  if (added.length > 0) result.message = `Added ${added.length} tool${added.length === 1 ? '' : 's'} — call them directly from now on.`;
+  else result.message = `No other tool matches${query ? ` "${query}"` : ''}. Call list_more_tools with no arguments to see everything available.`;
+  if (unknown.length > 0) result.unknown = unknown;
+  return { added: added.map(t => t.name), result };
+}
@@ -3,15 +3,21 @@
  * These are the "hands" of the agent. Each tool is a function the AI can call.
  * Tools cover: shell, filesystem, network, system info, web fetch, code analysis.
  */
-import { execSync, exec } from 'child_process';
+import { spawn } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import dns from 'dns';
 import { promisify } from 'util';
 import si from 'systeminformation';
-import { getHooks, getConfirmWrites } from './config.js';
+import { getHooks, getConfirmWrites, getDiffContext } from './config.js';
 import { gitOperations } from './git.js';
+import { parsePatch, applyHunks, createdContent } from './patch.js';
+import { diffLines, diffStats, splitLines } from './diff.js';
+import { formatDiff } from './ui.js';
+import { rememberFile, watchFile } from './checkpoints.js';
+import { checkCommand } from './policy.js';
+import { startJob, getJob, listJobs, describeJob, readJobOutput, jobTail, killJob, KILL_GRACE_MS } from './jobs.js';
 
 const dnsResolve = promisify(dns.resolve);
 const dnsReverse = promisify(dns.reverse);
@@ -25,12 +31,31 @@ export function setInteractiveConfirm(fn) {
   interactiveConfirmFn = fn;
 }
 
+let commandApprovalFn = null; // Set by chat.js — asks about commands the policy marks "ask"
+
+export function setCommandApproval(fn) {
+  commandApprovalFn = fn;
+}
+
+let shellOutputFn = null; // Set by chat.js — shows foreground command output as it arrives
+
+export function setShellOutputListener(fn) {
+  shellOutputFn = fn;
+}
+
+// Hooks from VINSA.md frontmatter (see contextfiles.js), run after the configured ones
+let contextHooks = { preToolUse: [], postToolUse: [] };
+
+export function setContextHooks(hooks) {
+  contextHooks = hooks || { preToolUse: [], postToolUse: [] };
+}
+
 /**
  * Run pre-tool-use hooks. Returns { allow: true/false, reason? }
  */
 function runPreHooks(toolName, args) {
   const hooks = getHooks();
-  for (const hook of (hooks.preToolUse || [])) {
+  for (const hook of [...(hooks.preToolUse || []), ...contextHooks.preToolUse]) {
     // Hook format: { pattern: "regex", action: "block"|"warn"|"log", message: "..." }
     try {
       if (hook.pattern && new RegExp(hook.pattern, 'i').test(toolName)) {
@@ -54,7 +79,7 @@ function runPreHooks(toolName, args) {
  */
 function runPostHooks(toolName, args, result) {
   const hooks = getHooks();
-  for (const hook of (hooks.postToolUse || [])) {
+  for (const hook of [...(hooks.postToolUse || []), ...contextHooks.postToolUse]) {
     try {
       if (hook.pattern && new RegExp(hook.pattern, 'i').test(toolName)) {
         if (hook.action === 'log') {
@@ -76,9 +101,24 @@ export function getFileChangeStack() {
   return fileChangeStack;
 }
 
+/**
+ * Remember a file's content before a change so /undo can put it back
+ * (the turn's checkpoint keeps its own byte-exact copy, for /rewind).
+ * An array of { filePath, previousContent } (apply_patch) makes one entry that /undo reverts as a whole.
+ */
+function trackFileChange(filePath, previousContent, action) {
+  const entry = Array.isArray(filePath)
+    ? { files: filePath, timestamp: Date.now(), action }
+    : { filePath, previousContent, timestamp: Date.now(), action };
+  for (const file of entry.files || [entry]) rememberFile(file.filePath);
+  fileChangeStack.push(entry);
+  if (fileChangeStack.length > MAX_UNDO_HISTORY) fileChangeStack.shift();
+}
+
 export function undoLastChange() {
   if (fileChangeStack.length === 0) return { success: false, error: 'No changes to undo.' };
   const last = fileChangeStack.pop();
+  if (last.files) return undoGroupedChange(last);
   try {
     if (last.previousContent === null) {
       // File didn't exist before — delete it
@@ -97,26 +137,95 @@ export function undoLastChange() {
   }
 }
 
+/**
+ * Undo an apply_patch: put every file it touched back as it was
+ */
+function undoGroupedChange(entry) {
+  const failed = [];
+  for (const { filePath, previousContent } of entry.files) {
+    try {
+      if (previousContent === null) fs.rmSync(filePath, { force: true });
+      else fs.writeFileSync(filePath, previousContent, 'utf-8');
+    } catch (err) {
+      failed.push(`${filePath}: ${err.message}`);
+    }
+  }
+  if (failed.length > 0) return { success: false, error: `Undo failed for ${failed.length} of ${entry.files.length} files: ${failed.join('; ')}` };
+  const names = entry.files.map(f => path.relative(process.cwd(), f.filePath) || f.filePath).join(', ');
+  return {
+    success: true,
+    action: 'reverted',
+    files: entry.files.map(f => f.filePath),
+    message: `Reverted patch — ${entry.files.length} file${entry.files.length === 1 ? '' : 's'} restored (${names})`,
+  };
+}
+
 // ════════════════════════════════════════════════════════════
 // TOOL DEFINITIONS (OpenAI-compatible Function Calling Schema — used by Groq)
+// `readOnly` marks side-effect-free tools (true, or a per-call predicate on args);
+// the agent runs read-only calls from one turn in parallel.
 // ════════════════════════════════════════════════════════════
 
+// Actions that only inspect state — safe to run concurrently
+const GIT_READ_ONLY_ACTIONS = ['status', 'log', 'diff', 'show', 'blame', 'repoInfo'];
+const PROCESS_READ_ONLY_ACTIONS = ['list', 'find', 'top'];
+
 export const toolDefinitions = [
   {
     name: 'run_shell_command',
-    description: 'Execute any shell command anywhere on the user\'s computer and return the output. Use for running scripts, installing packages, checking system status, git commands, docker commands, navigating any directory, etc. Has full access to the entire system. On Windows uses PowerShell, on Linux/macOS uses bash.',
+    description: 'Execute any shell command anywhere on the user\'s computer and return the output. Use for running scripts, installing packages, checking system status, git commands, docker commands, navigating any directory, etc. Has full access to the entire system, within the user\'s command policy — a command the policy blocks comes back as an error. On Windows uses PowerShell, on Linux/macOS uses bash.',
     parameters: {
       type: 'object',
       properties: {
         command: { type: 'string', description: 'The shell command to execute' },
         cwd: { type: 'string', description: 'Working directory — use absolute path to run commands anywhere on the computer (optional, defaults to current directory)' },
-        timeout: { type: 'number', description: 'Timeout in milliseconds (default: 120000)' },
+        timeout: { type: 'number', description: 'Timeout in milliseconds (default: 120000; ignored with background)' },
+        background: { type: 'boolean', description: 'Start the command in the background and return a jobId at once — for dev servers, watchers, installs and long test runs. Read its output with job_output, check it with job_status, stop it with job_kill.' },
       },
       required: ['command'],
     },
   },
+  {
+    name: 'job_output',
+    readOnly: true,
+    description: 'Read a background job\'s output (stdout and stderr interleaved) from an offset. Pass the nextOffset of the previous call to get only what is new. Can wait for new output or for the job to finish.',
+    parameters: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id returned by run_shell_command with background: true' },
+        offset: { type: 'number', description: 'Character offset to read from (default 0 — the start; use the last nextOffset for new output only)' },
+        waitMs: { type: 'number', description: 'Wait up to this long (max 30000) for output past the offset or for the job to end (default 0)' },
+        maxChars: { type: 'number', description: 'Most characters to return (default 20000)' },
+      },
+      required: ['jobId'],
+    },
+  },
+  {
+    name: 'job_status',
+    readOnly: true,
+    description: 'Status of a background job (running, exited, killed, failed; exit code; runtime; last lines of output), or of every job when no jobId is given.',
+    parameters: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id (omit to list all jobs)' },
+      },
+    },
+  },
+  {
+    name: 'job_kill',
+    description: 'Stop a background job and everything it started (SIGTERM, then SIGKILL after 3 seconds).',
+    parameters: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job id to stop' },
+        signal: { type: 'string', enum: ['SIGTERM', 'SIGINT', 'SIGKILL', 'SIGHUP'], description: 'Signal to send first (default SIGTERM)' },
+      },
+      required: ['jobId'],
+    },
+  },
   {
     name: 'read_file',
+    readOnly: true,
     description: 'Read the contents of any file anywhere on the computer. Supports text files of any kind (code, config, logs, markdown, etc). Use absolute paths to access any location.',
     parameters: {
       type: 'object',
@@ -140,8 +249,48 @@ export const toolDefinitions = [
       required: ['filePath', 'content'],
     },
   },
+  {
+    name: 'edit_file',
+    description: 'Change part of an existing file by replacing exact text — prefer this over write_file for edits, since only the changed parts are sent. Each oldText must match exactly one place in the file (copy it from read_file and include a line or two of context to make it unique); differences in indentation and spacing are tolerated. Edits apply in order, all or nothing.',
+    parameters: {
+      type: 'object',
+      properties: {
+        filePath: { type: 'string', description: 'Absolute or relative path to the file to edit' },
+        edits: {
+          type: 'array',
+          minItems: 1,
+          description: 'Replacements, applied in order (later ones see the result of earlier ones)',
+          items: {
+            type: 'object',
+            properties: {
+              oldText: { type: 'string', description: 'Text to replace — must occur exactly once' },
+              newText: { type: 'string', description: 'Replacement text (empty string to delete)' },
+            },
+            required: ['oldText', 'newText'],
+          },
+        },
+      },
+      required: ['filePath', 'edits'],
+    },
+  },
+  {
+    name: 'apply_patch',
+    // Only a dry run leaves the files alone
+    readOnly: (args) => args.dryRun === true,
+    description: 'Apply a unified diff (git diff format) that can change several files at once: modify, create (--- /dev/null), delete (+++ /dev/null) and rename (rename from / rename to). Every hunk is checked before anything is written — if one does not apply, nothing changes. All files are written together and a single /undo reverts the whole patch. Prefer this for multi-file refactors.',
+    parameters: {
+      type: 'object',
+      properties: {
+        patch: { type: 'string', description: 'The unified diff, with --- / +++ file headers and @@ hunks' },
+        cwd: { type: 'string', description: 'Directory the paths in the patch are relative to (default: current directory)' },
+        dryRun: { type: 'boolean', description: 'Only check that the patch applies and report what it would change (default: false)' },
+      },
+      required: ['patch'],
+    },
+  },
   {
     name: 'list_directory',
+    readOnly: true,
     description: 'List files and folders in any directory on the computer with details (size, type, modified date). Use absolute paths to browse anywhere (e.g., C:\\, /home, /etc). Results capped at 500 items by default — use a specific subdirectory for large directories.',
     parameters: {
       type: 'object',
@@ -155,6 +304,7 @@ export const toolDefinitions = [
   },
   {
     name: 'search_files',
+    readOnly: true,
     description: 'Search for files by name pattern or search inside files for text. To find files by topic (e.g. "find my resume"), use pattern like "*resume*" or "*resume*.pdf" to match the word in filenames. Use absolute paths to search any directory.',
     parameters: {
       type: 'object',
@@ -169,6 +319,7 @@ export const toolDefinitions = [
   },
   {
     name: 'get_system_info',
+    readOnly: true,
     description: 'Get detailed system information: OS, CPU, RAM, disk, network interfaces, processes, battery, etc.',
     parameters: {
       type: 'object',
@@ -183,6 +334,7 @@ export const toolDefinitions = [
   },
   {
     name: 'network_diagnostics',
+    readOnly: true,
     description: 'Run network diagnostics: ping a host, DNS lookup, check ports, trace route, get public IP, scan WiFi networks, view active connections.',
     parameters: {
       type: 'object',
@@ -199,6 +351,7 @@ export const toolDefinitions = [
   },
   {
     name: 'web_fetch',
+    readOnly: (args) => ['GET', 'HEAD'].includes((args.method || 'GET').toUpperCase()),
     description: 'Fetch content from a URL. Returns the raw text/HTML content. Useful for checking APIs, downloading data, or reading web pages.',
     parameters: {
       type: 'object',
@@ -213,6 +366,7 @@ export const toolDefinitions = [
   },
   {
     name: 'process_manager',
+    readOnly: (args) => PROCESS_READ_ONLY_ACTIONS.includes(args.action),
     description: 'Manage any system process: list all running processes, find by name, kill any process by PID, show top CPU/memory consumers.',
     parameters: {
       type: 'object',
@@ -227,6 +381,7 @@ export const toolDefinitions = [
   },
   {
     name: 'code_analysis',
+    readOnly: true,
     description: 'Analyze any project/codebase anywhere on the computer: detect language, count lines, list dependencies, find TODOs, check structure. Use absolute paths.',
     parameters: {
       type: 'object',
@@ -239,6 +394,7 @@ export const toolDefinitions = [
   },
   {
     name: 'git_operations',
+    readOnly: (args) => GIT_READ_ONLY_ACTIONS.includes(args.action),
     description: 'Full Git source control — manage repositories like a complete Git client. Supports: status, log, branch, diff, add, commit, push, pull, merge, stash, clone, init, remote, tag, blame, cherry-pick, rebase, reset, checkout, show, fetch, conflicts, repoInfo. Use this instead of shell commands for Git operations.',
     parameters: {
       type: 'object',
@@ -321,32 +477,188 @@ export const toolDefinitions = [
 // TOOL IMPLEMENTATIONS
 // ════════════════════════════════════════════════════════════
 
+/**
+ * Run a shell command without blocking the event loop.
+ * Passing `signal` makes it killable — aborting kills the command and anything it started.
+ */
 function safeExec(command, options = {}) {
-  try {
-    const result = execSync(command, {
-      encoding: 'utf-8',
-      timeout: options.timeout || 30000,
+  const { signal } = options;
+  if (signal?.aborted) return Promise.reject(new Error('Command cancelled'));
+  const isWindows = process.platform === 'win32';
+  const timeoutMs = options.timeout || 30000;
+  const maxBuffer = 1024 * 1024 * 50; // 50MB
+
+  return new Promise((resolve, reject) => {
+    let cancelled = false;
+    let timedOut = false;
+    let overflowed = false;
+    let stdout = '';
+    let stderr = '';
+    // spawn, not exec: exec drops `detached`, and without a process group of its own
+    // a cancel or timeout would only reach the shell, leaving its children running
+    const child = spawn(isWindows ? 'powershell.exe' : '/bin/bash', isWindows ? ['-NoProfile', '-Command', command] : ['-c', command], {
       cwd: options.cwd || process.cwd(),
-      shell: process.platform === 'win32' ? 'powershell.exe' : '/bin/bash',
-      maxBuffer: 1024 * 1024 * 50, // 50MB
-      stdio: ['pipe', 'pipe', 'pipe'],
+      env: options.env, // undefined → inherit
+      detached: !isWindows,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
     });
-    return result.trim();
-  } catch (err) {
-    if (err.stdout) return `Command completed with warnings:\n${err.stdout.trim()}`;
-    throw new Error(`Command failed: ${err.message}`);
-  }
+    child.stdout.setEncoding('utf-8');
+    child.stderr.setEncoding('utf-8');
+    child.stdout.on('data', (text) => { stdout += text; checkBuffer(); });
+    child.stderr.on('data', (text) => { stderr += text; checkBuffer(); });
+    if (options.onOutput) {
+      child.stdout.on('data', options.onOutput);
+      child.stderr.on('data', options.onOutput);
+    }
+
+    // SIGTERM the group, then SIGKILL whatever ignored it — as killJob does
+    let killTimer = null;
+    function killGroup() {
+      try {
+        if (isWindows) child.kill();
+        else process.kill(-child.pid, 'SIGTERM');
+      } catch { /* already exited */ }
+      if (isWindows || killTimer) return;
+      killTimer = setTimeout(() => {
+        try { process.kill(-child.pid, 'SIGKILL'); } catch { /* exited */ }
+      }, KILL_GRACE_MS);
+      killTimer.unref();
+    }
+    function checkBuffer() {
+      if (!overflowed && stdout.length + stderr.length > maxBuffer) {
+        overflowed = true;
+        killGroup();
+      }
+    }
+    function onAbort() {
+      cancelled = true;
+      killGroup();
+    }
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killGroup();
+    }, timeoutMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    function finish(err) {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (cancelled) return reject(new Error('Command cancelled'));
+      if (timedOut) return reject(new Error(`Command timed out after ${Math.round(timeoutMs / 1000)}s${stdout.trim() ? `. Output so far:\n${stdout.trim()}` : ''}`));
+      if (overflowed) return reject(new Error('Command failed: output exceeded 50MB'));
+      if (!err) return resolve(stdout.trim());
+      if (stdout) return resolve(`Command completed with warnings:\n${stdout.trim()}`);
+      reject(new Error(`Command failed: ${err.message}`));
+    }
+    child.on('error', (err) => finish(err));
+    child.on('close', (code, sig) => {
+      if (code === 0) return finish(null);
+      finish(new Error(`${command}${sig ? ` (${sig})` : ''}\n${stderr}`));
+    });
+  });
 }
 
-async function runShellCommand({ command, cwd, timeout }) {
+async function runShellCommand({ command, cwd, timeout, background = false }, { signal } = {}) {
+  // Command policy (policy.js): denials go back to the model as the tool's error
+  const decision = checkCommand(command, { cwd });
+  if (decision.action === 'deny') {
+    return { success: false, error: `Blocked by command policy: ${decision.reason}. Don't try to run it another way — tell the user what you wanted to do and why.` };
+  }
+  if (decision.action === 'ask') {
+    if (!commandApprovalFn) {
+      return { success: false, error: `Blocked by command policy: ${decision.reason} — this command needs the user's approval, and nobody can approve it in this session.` };
+    }
+    if (!await commandApprovalFn(command, decision)) {
+      return { success: false, error: `The user declined to run this command (${decision.reason}).` };
+    }
+  }
+
+  if (background) return startBackgroundJob(command, { cwd, env: decision.env });
+
   try {
-    const result = safeExec(command, { cwd, timeout: timeout || 120000 });
+    const result = await safeExec(command, { cwd, timeout: timeout || 120000, signal, env: decision.env, onOutput: shellOutputFn || undefined });
     return { success: true, output: result || '(no output)' };
   } catch (err) {
     return { success: false, error: err.message };
   }
 }
 
+// How long a new background job is watched before returning, to catch commands that fail at once
+const JOB_STARTUP_WAIT_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * No job with this id — say which ones exist
+ */
+function unknownJob(jobId) {
+  const ids = listJobs().map(j => j.id);
+  return { success: false, error: `No job ${jobId}${ids.length > 0 ? ` — jobs: ${ids.join(', ')}` : ' — no background jobs have been started'}` };
+}
+
+async function startBackgroundJob(command, { cwd, env }) {
+  const { job, error } = startJob(command, { cwd: cwd ? path.resolve(cwd) : undefined, env });
+  if (error) return { success: false, error };
+
+  const deadline = Date.now() + JOB_STARTUP_WAIT_MS;
+  while (job.status === 'running' && Date.now() < deadline) await sleep(100);
+  const { output, nextOffset } = readJobOutput(job, 0);
+  const failed = job.status === 'failed' || (job.status === 'exited' && job.exitCode !== 0);
+  const result = { success: !failed, ...describeJob(job), output: output || '(no output yet)', nextOffset };
+  if (job.status === 'running') {
+    result.message = `Running in the background as job ${job.id}. Read new output with job_output (offset ${nextOffset}), check it with job_status, stop it with job_kill.`;
+  } else if (failed) {
+    result.error = job.error || `Job ${job.id} ended at once with exit code ${job.exitCode}`;
+  } else {
+    result.message = `Job ${job.id} already finished.`;
+  }
+  return result;
+}
+
+async function jobOutput({ jobId, offset = 0, waitMs = 0, maxChars = 20000 }, { signal } = {}) {
+  const job = getJob(jobId);
+  if (!job) return unknownJob(jobId);
+
+  // Wait for something past the offset, the end of the job, or a cancel
+  const deadline = Date.now() + Math.min(Math.max(waitMs, 0), 30000);
+  while (job.total <= offset && job.status === 'running' && Date.now() < deadline && !signal?.aborted) await sleep(200);
+
+  const read = readJobOutput(job, Math.max(0, offset), Math.min(Math.max(maxChars, 1), 100000));
+  const result = {
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    output: read.output || '(no new output)',
+    offset: read.offset,
+    nextOffset: read.nextOffset,
+  };
+  if (job.exitCode !== null) result.exitCode = job.exitCode;
+  if (read.missed > 0) result.note = `${read.missed} characters before offset ${read.offset} were dropped — only the last 1 MB of output is kept`;
+  if (read.nextOffset < job.total) result.more = `${job.total - read.nextOffset} more characters — call again with offset ${read.nextOffset}`;
+  return result;
+}
+
+async function jobStatus({ jobId } = {}) {
+  if (jobId === undefined || jobId === null || jobId === '') {
+    const jobs = listJobs();
+    const result = { success: true, jobs: jobs.map(j => ({ ...describeJob(j), tail: jobTail(j, 3) })) };
+    if (jobs.length === 0) result.message = 'No background jobs.';
+    return result;
+  }
+  const job = getJob(jobId);
+  if (!job) return unknownJob(jobId);
+  return { success: true, ...describeJob(job), tail: jobTail(job, 10) };
+}
+
+async function jobKill({ jobId, signal = 'SIGTERM' }) {
+  const job = getJob(jobId);
+  if (!job) return unknownJob(jobId);
+  const result = killJob(job, signal);
+  if (!result.success) return result;
+  return { success: true, jobId: job.id, message: `Sent ${signal} to job ${job.id} (pid ${job.pid}) — ${job.command}` };
+}
+
 async function readFile({ filePath, encoding = 'utf-8' }) {
   try {
     const resolved = path.resolve(filePath);
@@ -355,6 +667,8 @@ async function readFile({ filePath, encoding = 'utf-8' }) {
       return { success: false, error: `File too large (${(stat.size / 1024 / 1024).toFixed(1)}MB). Use shell command to read parts.` };
     }
     const content = fs.readFileSync(resolved, encoding);
+    // Shell commands that later change this file are caught for /rewind
+    watchFile(resolved);
     return { success: true, content, size: stat.size, path: resolved };
   } catch (err) {
     return { success: false, error: err.message };
@@ -384,13 +698,7 @@ async function writeFile({ filePath, content, append = false }) {
       }
     }
 
-    fileChangeStack.push({
-      filePath: resolved,
-      previousContent,
-      timestamp: Date.now(),
-      action: append ? 'append' : (previousContent === null ? 'create' : 'overwrite'),
-    });
-    if (fileChangeStack.length > MAX_UNDO_HISTORY) fileChangeStack.shift();
+    trackFileChange(resolved, previousContent, append ? 'append' : (previousContent === null ? 'create' : 'overwrite'));
 
     if (append) {
       fs.appendFileSync(resolved, content, 'utf-8');
@@ -403,46 +711,315 @@ async function writeFile({ filePath, content, append = false }) {
   }
 }
 
+// ─── edit_file: search/replace with unique-match enforcement ───
+
 /**
- * Generate a colored diff preview string for interactive confirmation
+ * Collapse runs of whitespace so indentation and spacing differences don't matter
  */
-function generateDiffPreview(oldContent, newContent, filePath) {
-  const fileName = path.basename(filePath);
-  const lines = [];
-  lines.push(`\n  📄 File: ${filePath}`);
+function normalizeLine(line) {
+  return line.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * 1-based line number of a character offset
+ */
+function lineAt(content, offset) {
+  return content.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Find where `oldText` occurs in `content`: exactly first, then line by line
+ * ignoring whitespace differences.
+ * @returns {{ start, end, fuzzy, indent? } | { error }}
+ */
+function locateEdit(content, oldText) {
+  const exact = [];
+  for (let i = content.indexOf(oldText); i !== -1 && exact.length < 10; i = content.indexOf(oldText, i + 1)) exact.push(i);
+  if (exact.length === 1) return { start: exact[0], end: exact[0] + oldText.length, fuzzy: false };
+  if (exact.length > 1) {
+    return { error: `oldText matches ${exact.length === 10 ? '10+' : exact.length} places (lines ${exact.map(i => lineAt(content, i)).join(', ')}) — include more surrounding lines so it matches exactly one` };
+  }
+
+  // Whitespace-tolerant: compare trimmed, space-collapsed lines
+  const wanted = oldText.split('\n').map(normalizeLine);
+  while (wanted.length > 0 && wanted[0] === '') wanted.shift();
+  while (wanted.length > 0 && wanted[wanted.length - 1] === '') wanted.pop();
+  if (wanted.length === 0) return { error: 'oldText is only whitespace' };
+
+  const lines = content.split('\n');
+  const normalized = lines.map(normalizeLine);
+  const hits = [];
+  for (let i = 0; i + wanted.length <= lines.length && hits.length < 10; i++) {
+    if (wanted.every((w, j) => normalized[i + j] === w)) hits.push(i);
+  }
+  if (hits.length > 1) {
+    return { error: `oldText matches ${hits.length === 10 ? '10+' : hits.length} places when whitespace is ignored (lines ${hits.map(i => i + 1).join(', ')}) — include more surrounding lines so it matches exactly one` };
+  }
+  if (hits.length === 1) {
+    const first = hits[0];
+    const start = lines.slice(0, first).reduce((n, l) => n + l.length + 1, 0);
+    const matched = lines.slice(first, first + wanted.length);
+    return {
+      start,
+      end: start + matched.join('\n').length,
+      fuzzy: true,
+      indent: indentMapper(oldText.split('\n').filter(l => l.trim()), matched.filter(l => l.trim())),
+    };
+  }
+
+  // Not found: point at the line that looks most like the first line of oldText
+  const firstWanted = wanted[0];
+  const words = new Set(firstWanted.split(/\W+/).filter(Boolean));
+  let best = -1;
+  let bestScore = 0;
+  normalized.forEach((line, i) => {
+    const lineWords = line.split(/\W+/).filter(Boolean);
+    if (words.size === 0 || lineWords.length === 0) return;
+    const shared = lineWords.filter(w => words.has(w)).length;
+    const score = shared / Math.max(words.size, lineWords.length);
+    if (score > bestScore) { bestScore = score; best = i; }
+  });
+  const hint = best !== -1 && bestScore >= 0.5 ? ` Closest line is ${best + 1}: "${lines[best].trim().slice(0, 120)}".` : '';
+  return { error: `oldText was not found in the file (even ignoring whitespace).${hint} Re-read the file and copy the text exactly` };
+}
 
-  if (oldContent === null) {
-    // New file
-    lines.push('  Action: CREATE new file');
-    const newLines = newContent.split('\n').slice(0, 20);
-    for (const line of newLines) {
-      lines.push(`  + ${line}`);
+/**
+ * How to carry oldText's indentation over to the file's, from the matched line pairs:
+ * the whole block shifted (same prefix added or removed on every line), spaces scaled
+ * (2-space text against a 4-space file) or both. Failing those, newText is rebased onto
+ * the first matched line, keeping its own relative indentation; a line that has no safe
+ * place then (indented less than oldText's first line, or mixing tabs and spaces where the
+ * file doesn't) maps to null.
+ * Returns null when the indentation already agrees.
+ */
+function indentMapper(oldLines, fileLines) {
+  const pairs = oldLines.map((line, i) => [line.match(/^\s*/)[0], fileLines[i].match(/^\s*/)[0]]);
+  if (pairs.every(([from, to]) => from === to)) return null;
+
+  const [from0, to0] = pairs[0];
+  if (to0.endsWith(from0)) {
+    const prefix = to0.slice(0, to0.length - from0.length);
+    if (pairs.every(([from, to]) => to === prefix + from)) return (line) => (line.trim() ? prefix + line : line);
+  }
+  if (from0.endsWith(to0)) {
+    const prefix = from0.slice(0, from0.length - to0.length);
+    if (pairs.every(([from, to]) => from === prefix + to)) return (line) => (line.startsWith(prefix) ? line.slice(prefix.length) : line);
+  }
+  const spacesOnly = pairs.every(([from, to]) => /^ *$/.test(from) && /^ *$/.test(to));
+  const base = pairs.find(([from]) => from.length > 0);
+  if (spacesOnly && base) {
+    const factor = base[1].length / base[0].length;
+    if (pairs.every(([from, to]) => to.length === from.length * factor)) {
+      return (line) => line.replace(/^ */, (lead) => ' '.repeat(Math.round(lead.length * factor)));
     }
-    if (newContent.split('\n').length > 20) {
-      lines.push(`  ... (${newContent.split('\n').length - 20} more lines)`);
+  }
+  const nested = pairs.find(([from]) => from.length !== from0.length);
+  if (spacesOnly && nested) {
+    const factor = (nested[1].length - to0.length) / (nested[0].length - from0.length);
+    const width = (n) => Math.max(0, Math.round(to0.length + (n - from0.length) * factor));
+    if (factor > 0 && pairs.every(([from, to]) => to.length === width(from.length))) {
+      return (line) => (line.trim() ? line.replace(/^ */, (lead) => ' '.repeat(width(lead.length))) : line);
     }
-  } else {
-    // Modified file — show simple line diff
-    lines.push('  Action: MODIFY existing file');
-    const oldLines = oldContent.split('\n');
-    const newLines = newContent.split('\n');
-    let changes = 0;
-    const maxShow = 30;
-
-    for (let i = 0; i < Math.max(oldLines.length, newLines.length) && changes < maxShow; i++) {
-      if (oldLines[i] !== newLines[i]) {
-        if (oldLines[i] !== undefined) lines.push(`  - [L${i + 1}] ${oldLines[i]}`);
-        if (newLines[i] !== undefined) lines.push(`  + [L${i + 1}] ${newLines[i]}`);
-        changes++;
+  }
+  // Tabs and spaces mixed on one line where the file doesn't do that would break Python/YAML
+  const mixed = (indent) => indent.includes(' ') && indent.includes('\t');
+  const fileMixes = pairs.some(([, to]) => mixed(to));
+  return (line) => {
+    if (!line.trim()) return line;
+    if (!line.startsWith(from0)) return null;
+    const rebased = to0 + line.slice(from0.length);
+    return !fileMixes && mixed(rebased.match(/^\s*/)[0]) ? null : rebased;
+  };
+}
+
+async function editFile({ filePath, edits = [] }) {
+  try {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+      return { success: false, error: `File not found: ${resolved} — use write_file to create a new file.` };
+    }
+    if (!Array.isArray(edits) || edits.length === 0) {
+      return { success: false, error: 'edit_file needs at least one { oldText, newText } edit' };
+    }
+    const previousContent = fs.readFileSync(resolved, 'utf-8');
+    // Match on \n line endings; CRLF files get theirs back on write
+    const crlf = previousContent.includes('\r\n');
+    let content = crlf ? previousContent.replace(/\r\n/g, '\n') : previousContent;
+
+    const applied = [];
+    for (const [i, edit] of edits.entries()) {
+      const where = edits.length > 1 ? `Edit ${i + 1} of ${edits.length}: ` : '';
+      const oldText = String(edit.oldText ?? '').replace(/\r\n/g, '\n');
+      let newText = String(edit.newText ?? '').replace(/\r\n/g, '\n');
+      if (!oldText) return { success: false, error: `${where}oldText is empty. No edits were applied.` };
+      if (oldText === newText) return { success: false, error: `${where}oldText and newText are identical. No edits were applied.` };
+
+      const match = locateEdit(content, oldText);
+      if (match.error) return { success: false, error: `${where}${match.error}. No edits were applied.` };
+      if (match.indent) {
+        const mapped = newText.split('\n').map(match.indent);
+        if (mapped.includes(null)) {
+          return { success: false, error: `${where}oldText was not found exactly, and newText's indentation can't be fitted to the file's. Re-read the file and copy the text exactly. No edits were applied.` };
+        }
+        newText = mapped.join('\n');
+      }
+      applied.push({ line: lineAt(content, match.start), fuzzy: match.fuzzy });
+      content = content.slice(0, match.start) + newText + content.slice(match.end);
+    }
+    if (crlf) content = content.replace(/\n/g, '\r\n');
+
+    // ─── Interactive Diff Preview ───
+    if (getConfirmWrites() && interactiveConfirmFn) {
+      const diffPreview = generateDiffPreview(previousContent, content, resolved);
+      const confirmed = await interactiveConfirmFn(diffPreview);
+      if (!confirmed) {
+        return { success: false, error: 'Edit cancelled by user (diff preview rejected).' };
+      }
+    }
+
+    trackFileChange(resolved, previousContent, 'edit');
+    fs.writeFileSync(resolved, content, 'utf-8');
+
+    const result = { success: true, path: resolved, edits: applied.length, lines: applied.map(a => a.line) };
+    const fuzzy = applied.map((a, i) => (a.fuzzy ? i + 1 : null)).filter(Boolean);
+    if (fuzzy.length > 0) result.note = `Edit${fuzzy.length > 1 ? 's' : ''} ${fuzzy.join(', ')} matched only when ignoring whitespace — check the indentation of the result.`;
+    return result;
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// ─── apply_patch: multi-file unified diff, all or nothing ───
+
+async function applyPatch({ patch, cwd, dryRun = false }) {
+  try {
+    const parsed = parsePatch(patch);
+    if (parsed.error) return { success: false, error: `Invalid patch: ${parsed.error}` };
+    const base = path.resolve(cwd || '.');
+    const readDisk = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null);
+    const modeOnDisk = (file) => { try { return fs.statSync(file).mode & 0o7777; } catch { return null; } };
+
+    // Work out every file's new content in memory first
+    const writes = new Map();    // path → new content (null = delete)
+    const previous = new Map();  // path → content before the patch (null = didn't exist)
+    const modes = new Map();     // path → permissions a renamed file carries over from its source
+    const current = (file) => (writes.has(file) ? writes.get(file) : readDisk(file));
+    const touch = (file, content) => {
+      if (!previous.has(file)) previous.set(file, readDisk(file));
+      writes.set(file, content);
+    };
+    const problems = [];
+    const notes = [];
+    const files = [];
+
+    for (const change of parsed.files) {
+      const label = change.newPath || change.oldPath;
+      const from = change.oldPath && path.resolve(base, change.oldPath);
+      const to = change.newPath && path.resolve(base, change.newPath);
+      const added = change.hunks.reduce((n, h) => n + h.lines.filter(l => l.op === '+').length, 0);
+      const removed = change.hunks.reduce((n, h) => n + h.lines.filter(l => l.op === '-').length, 0);
+
+      let result;
+      if (change.type === 'create') {
+        if (current(to) !== null) { problems.push(`${label}: already exists — the patch creates it`); continue; }
+        result = createdContent(change.hunks);
+      } else {
+        const before = current(from);
+        if (before === null) { problems.push(`${change.oldPath}: not found`); continue; }
+        if (change.type === 'rename' && current(to) !== null) { problems.push(`${change.newPath}: already exists — the patch renames ${change.oldPath} to it`); continue; }
+        result = change.hunks.length > 0 ? applyHunks(before, change.hunks) : { content: before, notes: [] };
+        if (!result.error && change.type === 'delete' && result.content.trim() !== '') {
+          result = { error: 'the file has lines the patch does not remove, so it differs from what the patch expects' };
+        }
+      }
+      if (result.error) { problems.push(`${label}: ${result.error}`); continue; }
+      notes.push(...result.notes.map(n => `${label}: ${n}`));
+
+      if (change.type === 'create') touch(to, result.content);
+      else if (change.type === 'delete') touch(from, null);
+      else if (change.type === 'rename') {
+        modes.set(to, modes.get(from) ?? modeOnDisk(from));
+        touch(from, null);
+        touch(to, result.content);
+      }
+      else touch(from, result.content);
+
+      const action = { create: 'created', delete: 'deleted', rename: 'renamed', modify: 'modified' }[change.type];
+      files.push({ path: label, action, ...(change.type === 'rename' ? { from: change.oldPath } : {}), hunks: change.hunks.length, added, removed });
+    }
+
+    if (problems.length > 0) {
+      return { success: false, error: `Patch does not apply — nothing was changed:\n  - ${problems.join('\n  - ')}` };
+    }
+    const report = { files, ...(notes.length > 0 ? { notes } : {}) };
+    if (dryRun) return { success: true, dryRun: true, message: 'The patch applies cleanly. Nothing was changed.', ...report };
+
+    // ─── Interactive Diff Preview (one confirmation for the whole patch) ───
+    if (getConfirmWrites() && interactiveConfirmFn) {
+      const previews = [...writes].map(([file, content]) => (content === null
+        ? `\n  📄 File: ${file}\n  Action: DELETE file`
+        : generateDiffPreview(previous.get(file), content, file)));
+      const confirmed = await interactiveConfirmFn(previews.join('\n'));
+      if (!confirmed) {
+        return { success: false, error: 'Patch cancelled by user (diff preview rejected).' };
       }
     }
-    const totalChanges = oldLines.reduce((c, line, i) => c + (line !== newLines[i] ? 1 : 0), 0);
-    if (totalChanges > maxShow) {
-      lines.push(`  ... (${totalChanges - maxShow} more changes)`);
+
+    // Write every file; if one fails, put back the ones already written
+    for (const file of writes.keys()) rememberFile(file);
+    const done = [];
+    let temp = null;
+    try {
+      for (const [file, content] of writes) {
+        if (content === null) {
+          fs.rmSync(file, { force: true });
+        } else {
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          // The temp file replaces the original, so give it the original's mode (an executable stays executable)
+          const mode = modes.get(file) ?? modeOnDisk(file);
+          temp = `${file}.vinsa-patch-${process.pid}`;
+          fs.writeFileSync(temp, content, 'utf-8');
+          if (mode !== null) fs.chmodSync(temp, mode);
+          fs.renameSync(temp, file);
+          temp = null;
+        }
+        done.push(file);
+      }
+    } catch (err) {
+      if (temp) fs.rmSync(temp, { force: true });
+      for (const file of done) {
+        const before = previous.get(file);
+        try {
+          if (before === null) fs.rmSync(file, { force: true });
+          else fs.writeFileSync(file, before, 'utf-8');
+        } catch { /* best effort — report the original error */ }
+      }
+      return { success: false, error: `Patch failed while writing (${err.message}); the ${done.length} file(s) already written were restored.` };
     }
-    lines.push(`  Summary: ${oldLines.length} → ${newLines.length} lines`);
+
+    trackFileChange([...previous].map(([filePath, previousContent]) => ({ filePath, previousContent })), null, 'patch');
+    return { success: true, ...report };
+  } catch (err) {
+    return { success: false, error: err.message };
   }
+}
 
+/**
+ * Generate a colored diff preview string for interactive confirmation
+ */
+function generateDiffPreview(oldContent, newContent, filePath) {
+  const lines = [];
+  lines.push(`\n  📄 File: ${filePath}`);
+  lines.push(oldContent === null ? '  Action: CREATE new file' : '  Action: MODIFY existing file');
+
+  const hunks = diffLines(oldContent, newContent, { context: getDiffContext() });
+  if (hunks.length === 0) {
+    lines.push(oldContent === newContent ? '  (no changes)' : '  (only line endings or the final newline change)');
+  } else {
+    lines.push(...formatDiff(hunks));
+  }
+  const { added, removed } = diffStats(hunks);
+  lines.push(`  Summary: +${added} -${removed} · ${splitLines(oldContent).length} → ${splitLines(newContent).length} lines`);
   return lines.join('\n');
 }
 
@@ -658,13 +1235,13 @@ async function getSystemInfo({ category = 'overview' }) {
   }
 }
 
-async function networkDiagnostics({ action, target, port }) {
+async function networkDiagnostics({ action, target, port }, { signal } = {}) {
   try {
     switch (action) {
       case 'ping': {
         if (!target) return { success: false, error: 'Target hostname/IP required' };
         const cmd = process.platform === 'win32' ? `ping -n 4 ${target}` : `ping -c 4 ${target}`;
-        const output = safeExec(cmd, { timeout: 15000 });
+        const output = await safeExec(cmd, { timeout: 15000, signal });
         return { success: true, output };
       }
       case 'dns_lookup': {
@@ -696,9 +1273,9 @@ async function networkDiagnostics({ action, target, port }) {
         });
       }
       case 'public_ip': {
-        const output = safeExec(process.platform === 'win32'
+        const output = await safeExec(process.platform === 'win32'
           ? 'Invoke-RestMethod -Uri "https://api.ipify.org?format=json"'
-          : 'curl -s https://api.ipify.org?format=json', { timeout: 10000 });
+          : 'curl -s https://api.ipify.org?format=json', { timeout: 10000, signal });
         return { success: true, output };
       }
       case 'interfaces': {
@@ -722,7 +1299,7 @@ async function networkDiagnostics({ action, target, port }) {
       case 'traceroute': {
         if (!target) return { success: false, error: 'Target hostname/IP required' };
         const cmd = process.platform === 'win32' ? `tracert -d -h 15 ${target}` : `traceroute -n -m 15 ${target}`;
-        const output = safeExec(cmd, { timeout: 60000 });
+        const output = await safeExec(cmd, { timeout: 60000, signal });
         return { success: true, output };
       }
       case 'wifi': {
@@ -737,9 +1314,9 @@ async function networkDiagnostics({ action, target, port }) {
   }
 }
 
-async function webFetch({ url, method = 'GET', headers = {}, body }) {
+async function webFetch({ url, method = 'GET', headers = {}, body }, { signal } = {}) {
   try {
-    const options = { method, headers: { 'User-Agent': 'Vinsa-CLI/1.0', ...headers } };
+    const options = { method, headers: { 'User-Agent': 'Vinsa-CLI/1.0', ...headers }, signal };
     if (body) options.body = body;
     const response = await fetch(url, options);
     const contentType = response.headers.get('content-type') || '';
@@ -939,8 +1516,13 @@ async function gitOps(args) {
 // ═══ Tool Executor (Maps name → function) ═══
 const toolHandlers = {
   run_shell_command: runShellCommand,
+  job_output: jobOutput,
+  job_status: jobStatus,
+  job_kill: jobKill,
   read_file: readFile,
   write_file: writeFile,
+  edit_file: editFile,
+  apply_patch: applyPatch,
   list_directory: listDirectory,
   search_files: searchFiles,
   get_system_info: getSystemInfo,
@@ -951,7 +1533,22 @@ const toolHandlers = {
   git_operations: gitOps,
 };
 
-export async function executeTool(name, args) {
+/**
+ * Whether a call to this tool (with these args) is free of side effects.
+ * Works for built-in, MCP and plugin definitions alike.
+ */
+export function isReadOnlyCall(toolDef, args = {}) {
+  if (!toolDef) return false;
+  if (typeof toolDef.readOnly === 'function') {
+    try { return toolDef.readOnly(args) === true; } catch { return false; }
+  }
+  return toolDef.readOnly === true;
+}
+
+/**
+ * Run a built-in tool. `signal` (optional) lets long-running tools be cancelled.
+ */
+export async function executeTool(name, args, { signal } = {}) {
   args = args || {};
   // Run pre-hooks
   const preResult = runPreHooks(name, args);
@@ -962,7 +1559,7 @@ export async function executeTool(name, args) {
   const handler = toolHandlers[name];
   if (!handler) return { success: false, error: `Unknown tool: ${name}` };
   try {
-    const result = await handler(args);
+    const result = await handler(args, { signal });
     // Run post-hooks
     runPostHooks(name, args, result);
     return result;
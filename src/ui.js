@@ -6,6 +6,8 @@ import chalk from 'chalk';
 import ora from 'ora';
 import { marked } from 'marked';
 import { markedTerminal } from 'marked-terminal';
+import { highlightHunk } from './diff.js';
+import { toolDefinitions } from './tools.js';
 
 // Configure marked for terminal rendering
 marked.use(markedTerminal({
@@ -80,20 +82,127 @@ export function printResponse(text) {
   console.log(renderMarkdown(text));
 }
 
-export function printToolCall(toolName, args) {
+/**
+ * Progressive markdown renderer for streamed replies.
+ * Tokens are buffered and each finished block (paragraph, list, fenced code)
+ * is rendered as soon as a blank line or closing fence ends it.
+ * Call flush() before printing anything else, and once the stream is done.
+ */
+export function createMarkdownStream() {
+  let buffer = '';
+  let text = '';
+  let headerShown = false;
+
+  const emit = (block) => {
+    if (!block.trim()) return;
+    if (!headerShown) {
+      console.log('');
+      console.log(colors.brand.bold('  Vinsa ›'));
+      headerShown = true;
+    }
+    process.stdout.write(renderMarkdown(block));
+  };
+
+  // Index just past the last block boundary that sits outside a code fence
+  const findBoundary = () => {
+    let inFence = false;
+    let boundary = 0;
+    let pos = 0;
+    const lines = buffer.split('\n');
+    for (let i = 0; i < lines.length - 1; i++) {
+      const line = lines[i];
+      pos += line.length + 1;
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        if (!inFence) boundary = pos;
+      } else if (!inFence && line.trim() === '') {
+        boundary = pos;
+      }
+    }
+    return boundary;
+  };
+
+  return {
+    write(token) {
+      buffer += token;
+      text += token;
+      const boundary = findBoundary();
+      if (boundary > 0) {
+        emit(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary);
+      }
+    },
+    flush() {
+      emit(buffer);
+      buffer = '';
+    },
+    /** Forget what was streamed so far (e.g. the model moved on to tool calls). */
+    reset() {
+      this.flush();
+      text = '';
+      headerShown = false;
+    },
+    /** Everything written since the last reset. */
+    get text() {
+      return text;
+    },
+  };
+}
+
+/**
+ * Live output of a running shell command, printed as it arrives under a dim
+ * gutter. end() finishes a partial last line before anything else prints.
+ */
+export function createLiveOutput() {
+  let atLineStart = true;
+  const gutter = colors.dim('  │ ');
+  return {
+    write(chunk) {
+      const text = String(chunk).replace(/\r\n/g, '\n');
+      for (const [i, piece] of text.split('\n').entries()) {
+        if (i > 0) {
+          process.stdout.write('\n');
+          atLineStart = true;
+        }
+        if (!piece) continue;
+        if (atLineStart) process.stdout.write(gutter);
+        process.stdout.write(colors.dim(piece));
+        atLineStart = false;
+      }
+    },
+    end() {
+      if (!atLineStart) process.stdout.write('\n');
+      atLineStart = true;
+    },
+  };
+}
+
+// Sub-agent tool calls (meta.depth > 0) are indented under the delegate_task call
+function toolIndent(meta) {
+  return '  ' + '    '.repeat(meta?.depth || 0);
+}
+
+export function printToolCall(toolName, args, meta) {
   const argsStr = typeof args === 'string' ? args : JSON.stringify(args, null, 0);
   const truncated = argsStr.length > 120 ? argsStr.slice(0, 120) + '...' : argsStr;
-  console.log(colors.tool(`  🔧 Using tool: ${toolName}`) + colors.dim(` (${truncated})`));
+  const marker = meta?.depth ? '↳ 🔧' : '🔧 Using tool:';
+  console.log(colors.tool(`${toolIndent(meta)}${marker} ${toolName}`) + colors.dim(` (${truncated})`));
 }
 
-export function printToolResult(result) {
+export function printToolResult(result, meta) {
+  const pad = toolIndent(meta);
   const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
   const lines = text.split('\n');
-  const preview = lines.slice(0, 8).join('\n');
+  // Nested output keeps its indent on every line so it stays under the parent call
+  const preview = lines.slice(0, 8).join(meta?.depth ? `\n${pad}┃ ` : '\n');
   if (lines.length > 8) {
-    console.log(colors.dim(`  ┃ ${preview}\n  ┃ ... (${lines.length - 8} more lines)`));
+    console.log(colors.dim(`${pad}┃ ${preview}\n${pad}┃ ... (${lines.length - 8} more lines)`));
   } else {
-    console.log(colors.dim(`  ┃ ${preview}`));
+    console.log(colors.dim(`${pad}┃ ${preview}`));
+  }
+  if (meta?.durationMs !== undefined) {
+    const took = meta.durationMs < 1000 ? `${meta.durationMs}ms` : `${(meta.durationMs / 1000).toFixed(1)}s`;
+    console.log(colors.dim(`${pad}┃ ⏱ ${meta.name} · ${took}${meta.parallel ? ' · parallel' : ''}`));
   }
 }
 
@@ -190,7 +299,7 @@ export function printTimeline(events) {
     const icons = {
       'query': '💬', 'tool': '🔧', 'response': '🤖', 'command': '⚡',
       'error': '❌', 'quickfix': '🩹', 'teach': '📚', 'snapshot': '📸',
-      'autopilot': '🚀', 'explain': '🔍',
+      'autopilot': '🚀', 'explain': '🔍', 'multi': '🧩', 'plan': '🗺️', 'persona': '🎭', 'rewind': '⏪', 'policy': '🛡️', 'jobs': '⚙️',
     };
     const icon = icons[e.type] || '●';
 
@@ -203,6 +312,39 @@ export function printTimeline(events) {
   console.log(colors.dim(`  ${events.length} events recorded`));
 }
 
+// ─── Diff Display (hunks from diff.js or patch.js) ───
+const diffStyles = {
+  ' ': { sign: ' ', line: colors.dim, changed: colors.dim },
+  '-': { sign: '-', line: colors.error, changed: chalk.bgHex('#7F1D1D').hex('#FECACA') },
+  '+': { sign: '+', line: colors.success, changed: chalk.bgHex('#064E3B').hex('#A7F3D0') },
+};
+
+/**
+ * Render hunks as colored lines with old/new line numbers, highlighting the
+ * words that changed within a line. Returns the lines, for paging.
+ */
+export function formatDiff(hunks) {
+  // Wide enough for the largest line number shown
+  const width = String(Math.max(1, ...hunks.map(h => Math.max(h.oldStart, h.newStart) + h.lines.length))).length;
+  const out = [];
+  for (const hunk of hunks) {
+    out.push(colors.accent(`  ${hunk.header}`));
+    let oldNo = hunk.oldStart;
+    let newNo = hunk.newStart;
+    for (const line of highlightHunk(hunk)) {
+      const style = diffStyles[line.op];
+      const gutter = colors.dim(`${line.op === '+' ? ''.padStart(width) : String(oldNo).padStart(width)} ${line.op === '-' ? ''.padStart(width) : String(newNo).padStart(width)} │`);
+      const text = line.segments
+        ? line.segments.map(seg => (seg.changed ? style.changed(seg.text) : style.line(seg.text))).join('')
+        : style.line(line.text);
+      out.push(`${gutter} ${style.line(style.sign)} ${text}`);
+      if (line.op !== '+') oldNo++;
+      if (line.op !== '-') newNo++;
+    }
+  }
+  return out;
+}
+
 // ─── Snapshot Display ───
 export function printSnapshotDiff(before, after) {
   console.log('');
@@ -298,7 +440,7 @@ export function printAbout() {
   console.log(purple('  ╠═══════════════════════════════════════════════════════╣'));
   console.log(bar);
   console.log(bar + green('  ⚡ Vinsa CLI v3.0.0') + dim(' — Free & Open Source'));
-  console.log(bar + dim('  11 tools · 24 MCP tools · 49 commands · 9 models'));
+  console.log(bar + dim(`  ${toolDefinitions.length} tools · 24 MCP tools · 49 commands · 9 models`));
   console.log(bar);
   console.log(purple('  ╚═══════════════════════════════════════════════════════╝'));
   console.log('');
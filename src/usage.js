@@ -0,0 +1,127 @@
+/**
+ * Vinsa CLI — Usage Ledger
+ *
+ * Every chat completion is appended to ~/.vinsa/usage.jsonl, one JSON line each:
+ *   { "ts": "2025-01-01T12:00:00.000Z", "command": "review", "phase": "compact",
+ *     "provider": "groq", "model": "llama-3.3-70b-versatile",
+ *     "promptTokens": 1200, "completionTokens": 300, "totalTokens": 1500 }
+ *
+ * `command` is what spent the tokens (chat, ask, review, watch, serve, /commit, ...);
+ * `phase` marks internal work inside it (history compaction, multi-agent phases).
+ * Shared by every `vinsa` process, so a team on one key sees where the budget goes.
+ */
+import fs from 'fs';
+import path from 'path';
+
+const LEDGER_FILE = path.join(
+  process.env.HOME || process.env.USERPROFILE || '.',
+  '.vinsa',
+  'usage.jsonl'
+);
+
+// Warn once usage crosses this share of a daily soft limit
+const LIMIT_WARN_RATIO = 0.8;
+
+export function getUsageLedgerPath() {
+  return LEDGER_FILE;
+}
+
+/**
+ * Append one completion to the ledger (best-effort — never breaks a request)
+ */
+export function recordUsage({ command, phase, provider, model, usage }) {
+  const entry = {
+    ts: new Date().toISOString(),
+    command: command || 'unknown',
+    ...(phase ? { phase } : {}),
+    provider,
+    model,
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0,
+  };
+  try {
+    fs.mkdirSync(path.dirname(LEDGER_FILE), { recursive: true });
+    fs.appendFileSync(LEDGER_FILE, JSON.stringify(entry) + '\n', 'utf-8');
+  } catch { /* a failed write shouldn't break the session */ }
+  return entry;
+}
+
+/**
+ * Read ledger entries, optionally only those on or after `since` (YYYY-MM-DD, UTC)
+ */
+export function readUsage({ since } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(LEDGER_FILE, 'utf-8');
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (since && entry.ts.slice(0, 10) < since) continue;
+      entries.push(entry);
+    } catch { /* skip a torn line */ }
+  }
+  return entries;
+}
+
+/**
+ * Group entries by day, model and command.
+ * @returns {{ total, byDay: object[], byModel: object[], byCommand: object[] }}
+ *   each row: { key, requests, promptTokens, completionTokens, totalTokens }
+ */
+export function summarizeUsage(entries) {
+  const group = (keyOf) => {
+    const rows = new Map();
+    for (const e of entries) {
+      const key = keyOf(e);
+      const row = rows.get(key) || { key, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+      row.requests++;
+      row.promptTokens += e.promptTokens || 0;
+      row.completionTokens += e.completionTokens || 0;
+      row.totalTokens += e.totalTokens || 0;
+      rows.set(key, row);
+    }
+    return [...rows.values()];
+  };
+  const byTokens = (a, b) => b.totalTokens - a.totalTokens || b.requests - a.requests;
+
+  return {
+    total: group(() => 'total')[0] || { key: 'total', requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+    byDay: group(e => e.ts.slice(0, 10)).sort((a, b) => b.key.localeCompare(a.key)),
+    byModel: group(e => (e.provider && e.provider !== 'groq' ? `${e.provider}:${e.model}` : e.model)).sort(byTokens),
+    byCommand: group(e => (e.phase ? `${e.command} › ${e.phase}` : e.command)).sort(byTokens),
+  };
+}
+
+/**
+ * Today's (UTC) totals across all processes
+ */
+export function getTodayUsage() {
+  const today = new Date().toISOString().slice(0, 10);
+  return summarizeUsage(readUsage({ since: today })).total;
+}
+
+/**
+ * Compare today's usage with the daily soft limits.
+ * @param {{ dailyTokens?: number, dailyRequests?: number }} limits
+ * @returns {{ kind: string, used: number, limit: number, exceeded: boolean }[]} limits at or past the warning line
+ */
+export function checkDailyLimits(limits) {
+  if (!limits?.dailyTokens && !limits?.dailyRequests) return [];
+  const today = getTodayUsage();
+  const warnings = [];
+  for (const [kind, used, limit] of [
+    ['tokens', today.totalTokens, limits.dailyTokens],
+    ['requests', today.requests, limits.dailyRequests],
+  ]) {
+    if (limit && used >= limit * LIMIT_WARN_RATIO) {
+      warnings.push({ kind, used, limit, exceeded: used >= limit });
+    }
+  }
+  return warnings;
+}
@@ -0,0 +1,171 @@
+/**
+ * Agent loop tests — driven by recorded cassettes (test/cassettes), so they run
+ * offline and deterministically. Each cassette's requests must match what the
+ * agent sends; any difference shows up as a replay divergence.
+ *
+ * The cassettes were recorded against a stub provider ("st", models s1 and s2)
+ * playing the scripts in test/cassettes/scripts, with the test system prompt.
+ * To re-record one, from a directory holding the demo package.json:
+ *   vinsa config provider add st --type stub --models s1,s2 --script test/cassettes/scripts/tool-loop.json
+ *   vinsa config set-model st:s1
+ *   vinsa --system-prompt "You are Vinsa." --record tool-loop.json ask "What version is in package.json?"
+ * (multi-agent.json: `/multi --pipeline test ...` in chat, with the pipeline below in .vinsa/pipelines.json)
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CASSETTES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cassettes');
+// Recorded with --system-prompt, so edits to the built-in prompt don't break the cassettes
+const SYSTEM_PROMPT = 'You are Vinsa.';
+
+let home;
+let VinsaAgent;
+let openCassette;
+
+before(async () => {
+  // Keep config, model state and checkpoints out of the real home directory
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'vinsa-test-'));
+  process.env.HOME = home;
+  process.env.USERPROFILE = home;
+  process.env.XDG_CONFIG_HOME = path.join(home, '.config');
+  process.env.GROQ_API_KEY = 'test-key';
+  ({ VinsaAgent } = await import('../src/agent.js'));
+  ({ openCassette } = await import('../src/cassette.js'));
+  // The provider the cassettes were recorded against — replay needs its models in the pool
+  const { addProvider } = await import('../src/config.js');
+  addProvider('st', { type: 'stub', models: ['s1', 's2'] });
+});
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+/**
+ * Replay `prompt` against a cassette; returns the reply plus what the callbacks saw
+ */
+async function replay(name, prompt) {
+  const agent = new VinsaAgent({ systemPrompt: SYSTEM_PROMPT });
+  const cassette = openCassette(path.join(CASSETTES, name), 'replay');
+  agent.setCassette(cassette);
+
+  const toolCalls = [];
+  const switches = [];
+  const reply = await agent.run(prompt, {
+    onToolCall: (toolName, args) => toolCalls.push({ name: toolName, args }),
+    onToolResult: () => {},
+    onModelSwitch: (from, to) => switches.push({ from, to }),
+    onRetry: () => {},
+  });
+  return { agent, cassette, reply, toolCalls, switches };
+}
+
+test('agent loop runs the recorded tool call and answers from its result', async () => {
+  const { agent, cassette, reply, toolCalls } = await replay('tool-loop.json', 'What version is in package.json?');
+
+  assert.equal(reply, 'demo is at version 1.2.3.');
+  assert.deepEqual(toolCalls, [{ name: 'read_file', args: { filePath: 'package.json' } }]);
+  assert.deepEqual(cassette.divergences, []);
+  assert.equal(cassette.unusedInteractions(), 0);
+  assert.equal(agent.tokenUsage.requests, 2);
+  assert.equal(agent.tokenUsage.totalTokens, 132 + 169);
+  assert.deepEqual(agent.conversationHistory.at(-1), { role: 'assistant', content: 'demo is at version 1.2.3.' });
+});
+
+test('replay flags a request that differs from the recording', async () => {
+  const { cassette } = await replay('tool-loop.json', 'Which version is in package.json?');
+
+  assert.ok(cassette.divergences.length > 0);
+  assert.match(cassette.divergences[0].detail, /request #1 differs at messages\[1\]\.content/);
+});
+
+test('tool_use_failed: tool calls are recovered from failed_generation and run', async () => {
+  const { cassette, reply, toolCalls } = await replay('tool-recovery.json', 'What version is in package.json?');
+
+  assert.equal(reply, 'demo is at version 1.2.3.');
+  // The null startLine the model sent is dropped, not passed on
+  assert.deepEqual(toolCalls, [{ name: 'read_file', args: { filePath: 'package.json' } }]);
+  assert.deepEqual(cassette.divergences, []);
+  assert.equal(cassette.unusedInteractions(), 0);
+});
+
+test('a 429 switches to the next model and puts the limited one on cooldown', async () => {
+  const { agent, cassette, reply, switches } = await replay('rate-limit.json', 'Say hello');
+
+  assert.equal(reply, 'Hello!');
+  assert.deepEqual(switches, [{ from: 's1', to: 's2' }]);
+  assert.deepEqual(cassette.divergences, []);
+
+  const status = agent.getModelStatus();
+  const limited = status.find(m => m.id === 's1');
+  assert.equal(limited.status, 'cooldown');
+  assert.match(limited.reason, /TPM/);
+  // The next request starts on the model that's still available
+  assert.equal(agent.rotator.getAvailableModel().key, 'st:s2');
+});
+
+test('multi-agent planner and reviewer rotate past a rate-limited model', async () => {
+  const agent = new VinsaAgent({ systemPrompt: SYSTEM_PROMPT });
+  const cassette = openCassette(path.join(CASSETTES, 'multi-agent.json'), 'replay');
+  agent.setCassette(cassette);
+  const pipeline = {
+    name: 'test',
+    threshold: 7,
+    maxRounds: 1,
+    roles: {
+      planner: { name: 'Planner', system: 'Break the task into steps.' },
+      executor: { name: 'Executor', system: 'Carry out the plan.', tools: ['read_file'] },
+      reviewer: { name: 'Reviewer', system: 'Review the result.' },
+    },
+  };
+
+  const switches = [];
+  const result = await agent.runMultiAgent('What version is in package.json?', {
+    pipeline,
+    onModelSwitch: (from, to) => switches.push({ from, to }),
+  });
+
+  assert.equal(result.plan, '1. Read package.json\n2. Report the version');
+  assert.equal(result.score, 9);
+  assert.equal(result.passed, true);
+  assert.deepEqual(switches, [{ from: 's1', to: 's2' }]);
+  // The executor and reviewer go to s2 too: the 429'd model is still cooling down
+  assert.deepEqual(cassette.divergences, []);
+  assert.equal(cassette.unusedInteractions(), 0);
+});
+
+test('plan mode blocks a sub-agent\'s changes until the parent has an approved plan', async () => {
+  const agent = new VinsaAgent({ systemPrompt: SYSTEM_PROMPT });
+  agent.initialize();
+  agent.planMode = true; // session override — nothing persisted
+  const executor = agent._spawnSubAgent({ tools: ['read_file', 'write_file'] });
+  const target = path.join(home, 'notes.txt');
+  const quiet = { onToolCall: () => {}, onToolResult: () => {} };
+
+  const write = await executor._executeToolCall({ id: 'call_1', name: 'write_file', args: { filePath: target, content: 'x' } }, quiet);
+  assert.equal(write.success, false);
+  assert.match(write.error, /^PLAN MODE: write_file can change the system/);
+  assert.equal(fs.existsSync(target), false);
+
+  const read = await executor._executeToolCall({ id: 'call_2', name: 'read_file', args: { filePath: 'package.json' } }, quiet);
+  assert.equal(read.success, true);
+});
+
+test('_extractToolCalls reads every failed_generation shape', () => {
+  assert.deepEqual(
+    VinsaAgent._extractToolCalls('[{"name":"read_file","parameters":{"filePath":"a.js","startLine":null}}]'),
+    [{ name: 'read_file', parameters: { filePath: 'a.js' } }],
+  );
+  assert.deepEqual(
+    VinsaAgent._extractToolCalls('I will list it: [{"name":"list_directory","parameters":{"dirPath":"."}}] now'),
+    [{ name: 'list_directory', parameters: { dirPath: '.' } }],
+  );
+  assert.deepEqual(
+    VinsaAgent._extractToolCalls('<function=search_files{"pattern": "TODO", "dirPath": null}></function>'),
+    [{ name: 'search_files', parameters: { pattern: 'TODO' } }],
+  );
+  assert.deepEqual(VinsaAgent._extractToolCalls('Sorry, I cannot do that.'), []);
+});